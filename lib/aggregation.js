@@ -0,0 +1,196 @@
+'use strict';
+const Errors = require('./errors'),
+      util = require('./util');
+
+class Aggregation {
+  /**
+   * Aggregate the documents of a query on the server, e.g.
+   * `Model.aggregate().groupBy('country').count().avg('age')`. Fields are
+   * checked against the schema of the model, and the results are returned as
+   * plain rows, e.g. `[ { country: 'FR', count: 2, avg_age: 31.5 }, ... ]`.
+   * @param {Query} query The query of the documents to aggregate
+   */
+  constructor(query) {
+    this._query = query;
+    this._groups = [];
+    this._aggregates = [];
+  }
+
+  /**
+   * Group the documents by the value of fields. The rows have the values of
+   * the groups in fields of the same names, and are ordered by group.
+   * @param {...string} fields Paths of fields, nested fields with dots
+   * @return {Aggregation}
+   */
+  groupBy() {
+    util.toArray(arguments).forEach(field => {
+      this._field(field, 'groupBy');
+      this._groups.push(field);
+    });
+    return this;
+  }
+
+  /**
+   * Count the documents, in `count` or the field `as`.
+   * @param {string=} as
+   * @return {Aggregation}
+   */
+  count(as) {
+    return this._aggregate('count', undefined, as || 'count');
+  }
+
+  /**
+   * Sum the numbers of a field, in `sum_<field>` or the field `as`. Documents
+   * without a number in the field count as 0.
+   * @param {string} field
+   * @param {string=} as
+   * @return {Aggregation}
+   */
+  sum(field, as) {
+    return this._aggregate('sum', field, as);
+  }
+
+  /**
+   * Average the numbers of a field, in `avg_<field>` or the field `as`.
+   * Documents without a number in the field are ignored, and the average is
+   * `null` when there is none.
+   * @param {string} field
+   * @param {string=} as
+   * @return {Aggregation}
+   */
+  avg(field, as) {
+    return this._aggregate('avg', field, as);
+  }
+
+  /**
+   * Run the aggregation.
+   * @param {Object=} options The options passed to the driver's method `run`
+   * @param {Function=} callback
+   * @return {Promise} Resolved with the rows. Without `groupBy`, there is a
+   * single row, even if there is no document.
+   */
+  run(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    let r = this._query._r;
+    let grouped = this._groups.length > 0;
+    let query = grouped ? this._query.group.apply(this._query, this._groups.map(field => select(field))) : this._query;
+    query = query.map(doc => this._map(r, doc)).reduce((left, right) => this._reduce(left, right));
+    query = grouped ? query.ungroup() : query.default(null);
+
+    return query.execute(options)
+      .then(result => {
+        if (!grouped) return [ this._row({}, result) ];
+        return result.map(group => {
+          let values = (this._groups.length === 1) ? [ group.group ] : group.group;
+          let row = {};
+          this._groups.forEach((field, index) => { row[field] = values[index]; });
+          return this._row(row, group.reduction);
+        });
+      })
+      .asCallback(callback);
+  }
+
+  /**
+   * Same as `run`.
+   */
+  execute(options, callback) {
+    return this.run(options, callback);
+  }
+
+  _aggregate(type, field, as) {
+    if (field !== undefined) this._field(field, type);
+    let name = (as !== undefined) ? as : type + '_' + field;
+    if ((this._groups.indexOf(name) !== -1) || this._aggregates.some(aggregate => aggregate.name === name)) {
+      throw new Errors.ThinkAgainError('The field `' + name + '` of the aggregation is already used.');
+    }
+
+    this._aggregates.push({ type: type, field: field, name: name });
+    return this;
+  }
+
+  /*
+  * Check that a field is declared in the schema of the model, and that it can
+  * hold numbers if it is summed or averaged.
+  */
+  _field(field, method) {
+    let model = this._query._model;
+    let schema = (typeof field === 'string' && field.length > 0) ?
+      util.fieldSchema(model._getModel()._validate.schema, field.split('.')) : undefined;
+    if (schema === undefined) {
+      throw new Errors.ThinkAgainError('The field `' + field + '` passed to `' + method + '` is not in the schema of the model `' + model.getTableName() + '`.');
+    }
+
+    if ((method === 'sum' || method === 'avg') && (schema.type !== undefined)) {
+      let types = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+      if (types.indexOf('number') === -1 && types.indexOf('integer') === -1) {
+        throw new Errors.ThinkAgainError('The field `' + field + '` passed to `' + method + '` is not a number.');
+      }
+    }
+  }
+
+  /*
+  * The partial aggregates of a document: 1 for `count`, the number or 0 for
+  * `sum`, and [ sum, count ] for `avg`.
+  */
+  _map(r, doc) {
+    let result = {};
+    this._aggregates.forEach((aggregate, index) => {
+      if (aggregate.type === 'count') {
+        result[index] = 1;
+        return;
+      }
+
+      let value = select(aggregate.field)(doc).default(null);
+      let isNumber = value.typeOf().eq('NUMBER');
+      result[index] = (aggregate.type === 'sum') ? r.branch(isNumber, value, 0) : r.branch(isNumber, [ value, 1 ], [ 0, 0 ]);
+    });
+    return result;
+  }
+
+  _reduce(left, right) {
+    let result = {};
+    this._aggregates.forEach((aggregate, index) => {
+      result[index] = (aggregate.type !== 'avg') ?
+        left(String(index)).add(right(String(index))) :
+        [ left(String(index)).nth(0).add(right(String(index)).nth(0)), left(String(index)).nth(1).add(right(String(index)).nth(1)) ];
+    });
+    return result;
+  }
+
+  /*
+  * Add the aggregates to a row, given the reduction of its documents, or null
+  * if there is none.
+  */
+  _row(row, reduction) {
+    this._aggregates.forEach((aggregate, index) => {
+      let value = (reduction != null) ? reduction[index] : undefined; // eslint-disable-line
+      if (aggregate.type !== 'avg') {
+        row[aggregate.name] = (value !== undefined) ? value : 0;
+      } else {
+        row[aggregate.name] = (value !== undefined && value[1] > 0) ? value[0] / value[1] : null;
+      }
+    });
+    return row;
+  }
+}
+
+/*
+* A function selecting a field, nested fields given with dots.
+*/
+function select(field) {
+  return doc => field.split('.').reduce((value, key) => value(key), doc);
+}
+
+// An aggregation can be used as a promise, like queries
+[ 'then', 'error', 'catch', 'finally' ].forEach(key => {
+  Aggregation.prototype[key] = function() {
+    let promise = this.run();
+    return promise[key].apply(promise, arguments);
+  };
+});
+
+module.exports = Aggregation;
@@ -1,6 +1,7 @@
 'use strict';
 const Promise = require('bluebird'),
       Errors = require('./errors'),
+      Journal = require('./journal'),
       util = require('./util');
 
 class Document {
@@ -160,12 +161,36 @@ class Document {
     }
 
     // Validate this document
-    let valid = documentModel._validate(this);
+    let valid = this._validateData(this);
     if (!valid) {
       throw new Errors.ValidationError(documentModel._validate.errors);
     }
   }
 
+  /**
+   * Run the schema validation of the model on `data`. Virtual fields are left
+   * out when validating the document itself since they are never saved.
+   * @param {Object} data The data to validate
+   * @return {boolean} Whether the data is valid
+   */
+  _validateData(data) {
+    let documentModel = this._getModel();
+    if ((data !== this) || (Object.keys(documentModel._virtuals).length === 0)) {
+      return documentModel._validate(data);
+    }
+
+    let copy = {};
+    util.loopKeys(this, (doc, key) => {
+      if (!documentModel._virtuals.hasOwnProperty(key)) copy[key] = doc[key];
+    });
+
+    let valid = documentModel._validate(copy);
+
+    // Keep the defaults and coerced values set by the validation
+    util.loopKeys(copy, (_copy, key) => { this[key] = _copy[key]; });
+    return valid;
+  }
+
   /*
   * Internal methods that will validate the document (but that will not execute the hooks).
   * @param {Object=} options Options to overwrite the ones of the document.
@@ -199,7 +224,7 @@ class Document {
     }
 
     // Validate this document
-    let valid = documentModel._validate(dataToValidate);
+    let valid = this._validateData(dataToValidate);
     if (!valid) {
       return Promise.reject(new Errors.ValidationError(documentModel._validate.errors));
     }
@@ -219,7 +244,7 @@ class Document {
       }
 
       let joinType = joins[key].type;
-      if (joinType === 'hasOne' || joinType === 'belongsTo') {
+      if (joinType === 'hasOne' || joinType === 'belongsTo' || joinType === 'belongsToPolymorphic') {
         if (!util.isPlainObject(this[key])) {
           return;
         }
@@ -254,7 +279,7 @@ class Document {
    * @return {Promise=}
    */
   save(callback) {
-    return this._save({}, false, {}, callback);
+    return this._save({}, false, {}, undefined, callback);
   }
 
   /**
@@ -262,21 +287,41 @@ class Document {
    * Return a promise if the callback is not provided.
    * It will save joined documents as long as a document of th esame model has not
    * been saved.
+   *
+   * With the option `atomic`, the writes are recorded and if any step of the
+   * save fails, they are reverted and the promise is rejected with a
+   * `TransactionError` listing the reverted writes in `reverted`.
+   * @param {Object=} docToSave Documents to save represented by an object field->true
+   * @param {Object=} options
+   *  - `atomic` {boolean} Revert the writes if the save fails, default false
    * @param {function=} callback to execute
    * @return {Promise=}
    */
-  saveAll(docToSave, callback) {
+  saveAll(docToSave, options, callback) {
     let saveAll;
     if (typeof docToSave === 'function') {
       callback = docToSave;
       saveAll = true;
       docToSave = {};
+      options = {};
     } else {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
       saveAll = docToSave === undefined;
       docToSave = docToSave || {};
+      options = options || {};
+    }
+
+    if (options.atomic !== true) {
+      return this._save(docToSave, saveAll, {}, undefined, callback);
     }
 
-    return this._save(docToSave, saveAll, {}, callback);
+    let journal = new Journal(this._getModel()._thinkagain.r);
+    return this._save(docToSave, saveAll, {}, journal)
+      .catch(error => journal.revert(error))
+      .asCallback(callback);
   }
 
   /**
@@ -291,6 +336,37 @@ class Document {
     return this.__makeSavableCopy(this, model, r);
   }
 
+  /**
+   * Stamp a savable copy of the document with the timestamps and the next
+   * version of the model. The dates are computed by the server with `r.now()`.
+   * @param {object} copy The savable copy of the document
+   * @return {object} The copy
+   */
+  _stampCopy(copy) {
+    let model = this._getModel();
+    let r = model._thinkagain.r;
+
+    let versionKey = model._versionKey;
+    if ((versionKey !== undefined) && (this.isSaved() === true)) {
+      copy[versionKey] = (typeof this[versionKey] === 'number') ? this[versionKey] + 1 : 0;
+    } else if ((versionKey !== undefined) && (copy[versionKey] === undefined)) {
+      copy[versionKey] = 0;
+    }
+
+    if (model._timestamps === undefined) {
+      return copy;
+    }
+
+    let createdAt = model._timestamps.createdAt;
+    if ((createdAt !== undefined) && (this.isSaved() === false) && (copy[createdAt] === undefined)) {
+      copy[createdAt] = r.now();
+    }
+    if (model._timestamps.updatedAt !== undefined) {
+      copy[model._timestamps.updatedAt] = r.now();
+    }
+    return copy;
+  }
+
   /**
    * Internal helper for _makeSavableCopy.
    * generating the dfault and virtual fields.
@@ -304,7 +380,8 @@ class Document {
       result = {};
       util.loopKeys(doc, (doc, key) => { // eslint-disable-line
         copyFlag = true;
-        if ((util.isPlainObject(model) === false) || (model._joins[key] === undefined)) { // We do not copy joined documents
+        if ((util.isPlainObject(model) === false) ||
+            ((model._joins[key] === undefined) && (model._virtuals.hasOwnProperty(key) === false))) { // We do not copy joined documents and virtual fields
           result[key] = this.__makeSavableCopy(doc[key], undefined, r);
         }
       });
@@ -342,10 +419,11 @@ class Document {
    * @param {Object=} docToSave Documents to save represented by an object field->true
    * @param {boolean} saveAll Whether _save should recurse by default or not
    * @param {Object=} savedModel Models saved in this call
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    * @param {Object=} callback to execute
    * @return {Promise=}
    */
-  _save(docToSave, saveAll, savedModel, callback) {
+  _save(docToSave, saveAll, savedModel, journal, callback) {
     //TOIMPROVE? How should we handle circular references outsides of joined fields? Now we throw with a maximum call stack size exceed
     this.emit('saving', this);
 
@@ -355,7 +433,7 @@ class Document {
       doc: this,
       async: true,
       fn: this._saveHook,
-      fnArgs: [docToSave, saveAll, savedModel]
+      fnArgs: [docToSave, saveAll, savedModel, journal]
     }).asCallback(callback);
   }
 
@@ -399,10 +477,11 @@ class Document {
    * @param {Object=} belongsToKeysSaved The keys that may contains a document to save
    * @param {boolean} saveAll Whether _save should recurse by default or not
    * @param {Object=} savedModel Models saved in this call
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    * @param {Function} resolve The function to call when everything has been saved
    * @param {Function} reject The function to call if an error happened
    */
-  _saveHook(docToSave, saveAll, savedModel) {
+  _saveHook(docToSave, saveAll, savedModel, journal) {
     let model = this._getModel(); // instance of Model
     let constructor = this.getModel();
 
@@ -420,7 +499,7 @@ class Document {
 
     // We'll use it to know which `belongsTo` docs were saved
     let belongsToKeysSaved = {};
-    let copy = this._makeSavableCopy();
+    let copy = this._stampCopy(this._makeSavableCopy());
 
     // Save the joined documents via belongsTo first
     let promises = [];
@@ -431,18 +510,34 @@ class Document {
         if (this[key] != null) { // eslint-disable-line
           savedModel[joins[key].model.getTableName()] = true;
           if (saveAll === true) {
-            promises.push(this[key]._save({}, true, savedModel));
+            promises.push(this[key]._save({}, true, savedModel, journal));
           } else {
-            promises.push(this[key]._save(docToSave[joins[key].model.getTableName()], false, savedModel));
+            promises.push(this[key]._save(docToSave[joins[key].model.getTableName()], false, savedModel, journal));
           }
         }
       }
+
+      // The model of a polymorphic joined document is the one of the document
+      if ((docToSave.hasOwnProperty(key) || (saveAll === true)) && (joins[key].type === 'belongsToPolymorphic')) {
+        let joinedModel = (this[key] instanceof Document) ? this[key].getModel() : undefined;
+        if ((saveAll === true) && (joinedModel !== undefined) && (savedModel[joinedModel.getTableName()] === true)) return;
+
+        belongsToKeysSaved[key] = true;
+        if (joinedModel === undefined) return;
+        if (util.polymorphicType(joins[key], joinedModel) === undefined) {
+          promises.push(Promise.reject(new Errors.ThinkAgainError('The document in the field `' + key + '` is not an instance of a model of the relation.')));
+          return;
+        }
+
+        savedModel[joinedModel.getTableName()] = true;
+        promises.push(this[key]._save((saveAll === true) ? {} : docToSave[key], saveAll, savedModel, journal));
+      }
     });
 
     //TODO Remove once
     return this.getModel().ready()
       .then(() => Promise.all(promises))
-      .then(() => this._onSavedBelongsTo(copy, docToSave, belongsToKeysSaved, saveAll, savedModel));
+      .then(() => this._onSavedBelongsTo(copy, docToSave, belongsToKeysSaved, saveAll, savedModel, journal));
   }
 
   /**
@@ -453,8 +548,9 @@ class Document {
    * @param {Object=} belongsToKeysSaved The keys that may contains a document to save
    * @param {boolean} saveAll Whether _save should recurse by default or not
    * @param {Object=} savedModel Models saved in this call
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    */
-  _onSavedBelongsTo(copy, docToSave, belongsToKeysSaved, saveAll, savedModel) {
+  _onSavedBelongsTo(copy, docToSave, belongsToKeysSaved, saveAll, savedModel, journal) {
     let model = this._getModel();
     let constructor = this.__proto__.constructor; // eslint-disable-line
 
@@ -464,8 +560,12 @@ class Document {
       let joins = model._joins;
       this.__proto__._belongsTo[key] = true; // eslint-disable-line
 
+      // The key of a polymorphic joined document is its primary key
+      let polymorphic = joins[key].type === 'belongsToPolymorphic';
+      let rightKey = polymorphic ? this[key]._getModel()._pk : joins[key].rightKey;
+
       // Copy foreign key
-      if (this[key][joins[key].rightKey] == null) { // eslint-disable-line
+      if (this[key][rightKey] == null) { // eslint-disable-line
         if (this.hasOwnProperty(joins[key].leftKey)) {
           delete this[joins[key][joins[key].leftKey]];
         }
@@ -473,8 +573,11 @@ class Document {
           delete copy[joins[key][joins[key].leftKey]];
         }
       } else {
-        this[joins[key].leftKey] = this[key][joins[key].rightKey];
-        copy[joins[key].leftKey] = this[key][joins[key].rightKey]; // We need to put it in copy before saving it
+        this[joins[key].leftKey] = this[key][rightKey];
+        copy[joins[key].leftKey] = this[key][rightKey]; // We need to put it in copy before saving it
+        if (polymorphic) {
+          this[joins[key].typeKey] = copy[joins[key].typeKey] = util.polymorphicType(joins[key], this[key].getModel());
+        }
       }
 
       // Save the document that belongs to this[key]
@@ -485,11 +588,12 @@ class Document {
       this[key].__proto__._parents._belongsTo[constructor.getTableName()].push({ // eslint-disable-line
         doc: this,
         foreignKey: joins[key].leftKey,
+        typeKey: joins[key].typeKey,
         key: key // foreignDoc
       });
     });
 
-    return this._saveSelf(copy, docToSave, belongsToKeysSaved, saveAll, savedModel);
+    return this._saveSelf(copy, docToSave, belongsToKeysSaved, saveAll, savedModel, journal);
   }
 
   /**
@@ -499,8 +603,9 @@ class Document {
    * @param {Object=} belongsToKeysSaved The keys that may contains a document to save
    * @param {boolean} saveAll Whether _save should recurse by default or not
    * @param {Object=} savedModel Models saved in this call
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    */
-  _saveSelf(copy, docToSave, belongsToKeysSaved, saveAll, savedModel) {
+  _saveSelf(copy, docToSave, belongsToKeysSaved, saveAll, savedModel, journal) {
     let model = this._getModel();
     let constructor = this.__proto__.constructor; // eslint-disable-line
     let r = this._getModel()._thinkagain.r;
@@ -508,7 +613,21 @@ class Document {
     // BelongsTo documents were saved before. We just need to copy the foreign
     // keys.
     util.loopKeys(model._joins, (joins, key) => {
-      if ((joins[key].type !== 'belongsTo') || (belongsToKeysSaved[key] !== true)) return;
+      if (belongsToKeysSaved[key] !== true) return;
+
+      if (joins[key].type === 'belongsToPolymorphic') {
+        if (this[key] != null) { // eslint-disable-line
+          this[joins[key].leftKey] = this[key][this[key]._getModel()._pk];
+        } else if (this.__proto__._belongsTo[key]) { // eslint-disable-line
+          delete this[joins[key].leftKey];
+          delete copy[joins[key].leftKey];
+          delete this[joins[key].typeKey];
+          delete copy[joins[key].typeKey];
+        }
+        return;
+      }
+
+      if (joins[key].type !== 'belongsTo') return;
 
       if (this[key] != null) { // eslint-disable-line
         this[joins[key].leftKey] = this[key][joins[key].rightKey];
@@ -522,17 +641,44 @@ class Document {
       .then(() => this.validate({ data: copy }))
       .then(() => {
         if (this.__proto__._saved === false) { // eslint-disable-line
-          return r.table(constructor.getTableName()).insert(copy, { returnChanges: 'always' }).run();
+          return this._runWrite(r.table(constructor.getTableName()).insert(copy, { returnChanges: 'always' }),
+            constructor.getTableName(), model._pk, journal, () => this._setUnSaved());
         }
 
         if (copy[model._pk] === undefined) {
           throw new Errors.ThinkAgainError('The document was previously saved, but its primary key is undefined.');
         }
 
-        return r.table(constructor.getTableName())
-          .get(copy[model._pk]).replace(copy, { returnChanges: 'always' }).run();
+        // Only the modified fields are updated if we know the saved value,
+        // else the document is replaced.
+        let savedValue = this.__proto__._savedValue; // eslint-disable-line
+        let write = (savedValue !== undefined) ? 'update' : 'replace';
+        let value = (savedValue !== undefined) ? util.updateValue(util.diff(savedValue, copy), r) : copy;
+
+        // With a version, the document is written only if it was not saved
+        // by someone else since it was loaded.
+        if (model._versionKey !== undefined) {
+          let version = (this[model._versionKey] !== undefined) ? this[model._versionKey] : null;
+          let written = value;
+          value = doc => r.branch(doc(model._versionKey).default(null).eq(version), written, (write === 'update') ? {} : doc);
+        }
+
+        let query = r.table(constructor.getTableName()).get(copy[model._pk]);
+        let onRevert = reverted => this._setReverted(reverted.oldValue);
+        return this._runWrite(query[write](value, { returnChanges: 'always' }),
+          constructor.getTableName(), model._pk, journal, onRevert)
+          .then(result => {
+            // The update skips a document deleted from the database since it
+            // was saved, which is then written again in full, like before.
+            if ((write !== 'update') || (model._versionKey !== undefined) || !(result.skipped > 0)) {
+              return result;
+            }
+
+            return this._runWrite(query.replace(copy, { returnChanges: 'always' }),
+              constructor.getTableName(), model._pk, journal, onRevert);
+          });
       })
-      .then(result => this._onSaved(result, docToSave, saveAll, savedModel));
+      .then(result => this._onSaved(result, docToSave, saveAll, savedModel, journal));
   }
 
   /**
@@ -541,13 +687,19 @@ class Document {
    * @param {Object=} docToSave Documents to save represented by an object field->true
    * @param {boolean} saveAll Whether _save should recurse by default or not
    * @param {Object=} savedModel Models saved in this call
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    */
-  _onSaved(result, docToSave, saveAll, savedModel) {
+  _onSaved(result, docToSave, saveAll, savedModel, journal) {
     // Keep in sync with Model.save
     if (result.first_error != null) { // eslint-disable-line
       return Promise.reject(Errors.create(result.first_error));
     }
 
+    if ((this._getModel()._versionKey !== undefined) && (result.inserted === 0) && (result.replaced === 0)) {
+      let current = (Array.isArray(result.changes) && (result.changes.length > 0)) ? result.changes[0].new_val : null;
+      return Promise.reject(new Errors.VersionConflict(undefined, current));
+    }
+
     if (Array.isArray(result.changes) && result.changes.length > 0) {
       this._merge(result.changes[0].new_val);
       this._setOldValue(util.deepCopy(result.changes[0].old_val));
@@ -555,7 +707,7 @@ class Document {
 
     this.setSaved();
     this.emit('saved', this);
-    return this._saveMany(docToSave, saveAll, savedModel);
+    return this._saveMany(docToSave, saveAll, savedModel, journal);
   }
 
   /**
@@ -566,8 +718,9 @@ class Document {
    * @param {Object=} docToSave Documents to save represented by an object field->true
    * @param {boolean} saveAll Whether _save should recurse by default or not
    * @param {Object=} savedModel Models saved in this call
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    */
-  _saveMany(docToSave, saveAll, savedModel) {
+  _saveMany(docToSave, saveAll, savedModel, journal) {
     let promises = [];
     let model = this._getModel();
     util.loopKeys(model._joins, (joins, key) => {
@@ -577,11 +730,11 @@ class Document {
           (join.type === 'hasOne') && ((saveAll === false) || (savedModel[join.model.getTableName()] !== true))) {
         savedModel[join.model.getTableName()] = true;
         if (this[key] != null) { // eslint-disable-line
-          promises.push(this._saveManyHasOne(key, join, docToSave, saveAll, savedModel));
+          promises.push(this._saveManyHasOne(key, join, docToSave, saveAll, savedModel, journal));
         } else if ((this[key] == null) && (this.__proto__._hasOne[key] != null)) { // eslint-disable-line
           let doc = this.__proto__._hasOne[key].doc; // eslint-disable-line
           delete doc[this.__proto__._hasOne[key].foreignKey]; // eslint-disable-line
-          promises.push(doc._save(docToSave[key], saveAll, savedModel));
+          promises.push(doc._save(docToSave[key], saveAll, savedModel, journal));
           this.__proto__._hasOne[key] = null; // eslint-disable-line
         }
       }
@@ -605,13 +758,13 @@ class Document {
           for (let i = 0, ii = this.__proto__._hasMany[key].length; i < ii; ++i) { // eslint-disable-line
             if (pkMap[this.__proto__._hasMany[key][i].doc[[join.model._pk]]] == null) { // eslint-disable-line
               delete this.__proto__._hasMany[key][i].doc[this.__proto__._hasMany[key][i].foreignKey]; // eslint-disable-line
-              promises.push(this.__proto__._hasMany[key][i].doc._save(docToSave[key], saveAll, savedModel)); // eslint-disable-line
+              promises.push(this.__proto__._hasMany[key][i].doc._save(docToSave[key], saveAll, savedModel, journal)); // eslint-disable-line
             }
           }
         }
         this.__proto__._hasMany[key] = []; // eslint-disable-line
 
-        promises.push(this._saveManyHasMany(key, join, docToSave, saveAll, savedModel));
+        promises.push(this._saveManyHasMany(key, join, docToSave, saveAll, savedModel, journal));
       }
 
       if (((key in docToSave) || (saveAll === true)) &&
@@ -622,20 +775,20 @@ class Document {
           return;
         }
 
-        promises.push(this._saveManyHasAndBelongsToMany(key, docToSave, saveAll, savedModel));
+        promises.push(this._saveManyHasAndBelongsToMany(key, docToSave, saveAll, savedModel, journal));
       }
     });
 
     return Promise.all(promises)
-      .then(() => this._saveLinks(docToSave, saveAll));
+      .then(() => this._saveLinks(docToSave, saveAll, journal));
   }
 
-  _saveManyHasOne(key, join, docToSave, saveAll, savedModel) {
+  _saveManyHasOne(key, join, docToSave, saveAll, savedModel, journal) {
     let model = this._getModel();
     let parents = this[key].__proto__._parents; // eslint-disable-line
 
     this[key][join.rightKey] = this[join.leftKey];
-    return this[key]._save(docToSave[key], saveAll, savedModel)
+    return this[key]._save(docToSave[key], saveAll, savedModel, journal)
       .then(() => {
         this.__proto__._hasOne[key] = { // eslint-disable-line
           doc: this[key],
@@ -650,12 +803,15 @@ class Document {
       });
   }
 
-  _saveManyHasMany(key, join, docToSave, saveAll, savedModel) {
+  _saveManyHasMany(key, join, docToSave, saveAll, savedModel, journal) {
     let model = this._getModel();
     return Promise.map(this[key], doc => {
       doc[join.rightKey] = this[join.leftKey];
+      if (join.typeKey !== undefined) {
+        doc[join.typeKey] = join.typeValue;
+      }
 
-      return doc._save(docToSave[key], saveAll, savedModel)
+      return doc._save(saveAll ? docToSave[key] : util.withThrough(join, docToSave[key]), saveAll, savedModel, journal)
         .then(savedDoc => {
           if (!Array.isArray(this.__proto__._hasMany[key])) { // eslint-disable-line
             this.__proto__._hasMany[key] = []; // eslint-disable-line
@@ -678,7 +834,7 @@ class Document {
     });
   }
 
-  _saveManyHasAndBelongsToMany(key, docToSave, saveAll, savedModel) {
+  _saveManyHasAndBelongsToMany(key, docToSave, saveAll, savedModel, journal) {
     let model = this._getModel();
     return Promise.map(this[key], doc => {
       if (!util.isPlainObject(doc)) {
@@ -686,7 +842,7 @@ class Document {
         return;
       }
 
-      return doc._save(docToSave[key], saveAll, savedModel)
+      return doc._save(docToSave[key], saveAll, savedModel, journal)
         .then(() => {
           let parents = doc.__proto__._parents; // eslint-disable-line
 
@@ -705,8 +861,9 @@ class Document {
    * called before _saveSelf as we will have to copy the foreign keys in `this`.
    * @param {Object=} docToSave Documents to save represented by an object field->true
    * @param {boolean} saveAll Whether _save should recurse by default or not
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
    */
-  _saveLinks(docToSave, saveAll) {
+  _saveLinks(docToSave, saveAll, journal) {
     let model = this._getModel();
     let constructor = this.getModel();
     let r = model._thinkagain.r;
@@ -766,8 +923,11 @@ class Document {
                 }
               }
 
-              let insertPromise = r.table(this._getModel()._joins[key].link)
-                .insert(newLink, {conflict: 'replace', returnChanges: 'always'}).run()
+              let linkValue = newLink[joins[key].model.getTableName() + '_' + joins[key].rightKey];
+              let insertPromise = this._runWrite(r.table(joins[key].link).insert(newLink, {conflict: 'replace', returnChanges: 'always'}),
+                joins[key].link, 'id', journal, () => {
+                  delete this.__proto__._links[joins[key].link][linkValue]; // eslint-disable-line
+                })
                 .then(result => {
                   if (Array.isArray(result.changes) && result.changes.length > 0) {
                     this.__proto__._links[joins[key].link][result.changes[0].new_val[joins[key].model.getTableName() + '_' + joins[key].rightKey]] = true; // eslint-disable-line
@@ -793,7 +953,8 @@ class Document {
 
           if (keysToDelete.length > 0) {
             let table = r.table(joins[key].link);
-            promisesLink.push(table.getAll.apply(table, keysToDelete).delete().run().then(() => {
+            let deleteQuery = table.getAll.apply(table, keysToDelete).delete((journal !== undefined) ? { returnChanges: true } : {});
+            promisesLink.push(this._runWrite(deleteQuery, joins[key].link, 'id', journal).then(() => {
               for (let i = 0, ii = keysToDelete.length; i < ii; ++i) {
                 this.__proto__._links[joins[key].link][keysToDelete[i]] = false; // eslint-disable-line
               }
@@ -810,6 +971,42 @@ class Document {
     return Promise.resolve(this);
   }
 
+  /**
+   * Run a write of the save. The writes of an atomic `saveAll` are recorded in
+   * its journal.
+   * @param {Term} query The write query, returning its changes
+   * @param {string} table The table written to
+   * @param {string} primaryKey The primary key of the table
+   * @param {Journal=} journal Records the writes of an atomic `saveAll`
+   * @param {Function=} onRevert Restores the document if the write is reverted
+   * @return {Promise}
+   */
+  _runWrite(query, table, primaryKey, journal, onRevert) {
+    if (journal === undefined) {
+      return query.run();
+    }
+
+    return journal.run(query, table, primaryKey, onRevert);
+  }
+
+  /**
+   * Generate the values of the virtual fields of the document. Fields defined
+   * with a function are always recomputed, the others only receive their
+   * default value if they are undefined.
+   * @return {Document}
+   */
+  generateVirtualValues() {
+    util.loopKeys(this._getModel()._virtuals, (virtuals, key) => {
+      if (typeof virtuals[key] === 'function') {
+        this[key] = virtuals[key].call(this);
+      } else if ((this[key] === undefined) && (virtuals[key] !== undefined)) {
+        this[key] = util.deepCopy(virtuals[key]);
+      }
+    });
+
+    return this;
+  }
+
   /**
    * Return the value saved in __proto__.oldValue
    */
@@ -825,6 +1022,55 @@ class Document {
     this.__proto__.oldValue = value; // eslint-disable-line
   }
 
+  /**
+   * Return the paths of the fields modified since the document was saved or
+   * retrieved, like `[ 'name', 'address.city' ]`. Joined documents and virtual
+   * fields are ignored. All the fields of a new document are modified.
+   * @return {Array<string>}
+   */
+  modifiedPaths() {
+    return this._diff().map(difference => difference.path.join('.'));
+  }
+
+  /**
+   * Return whether a field was modified since the document was saved or
+   * retrieved. A path is modified if a field in it, or containing it, is.
+   * @param {string=} path The path of the field, like `address.city`. If
+   * undefined, whether any field was modified.
+   * @return {boolean}
+   */
+  isModified(path) {
+    let paths = this.modifiedPaths();
+    if (path === undefined) {
+      return paths.length > 0;
+    }
+
+    return paths.some(modified => (modified === path) ||
+      modified.startsWith(path + '.') || path.startsWith(modified + '.'));
+  }
+
+  /**
+   * Return the modifications since the document was saved or retrieved.
+   * @return {Object} An object mapping the modified paths to an object with
+   * the fields `oldValue` and `newValue` (undefined if the field was removed)
+   */
+  changes() {
+    let result = {};
+    this._diff().forEach(difference => {
+      result[difference.path.join('.')] = { oldValue: difference.oldValue, newValue: difference.newValue };
+    });
+    return result;
+  }
+
+  /**
+   * Compare the document with its value when it was saved or retrieved.
+   * @return {Array} The differences, see `util.diff`
+   */
+  _diff() {
+    let savedValue = this.__proto__._savedValue; // eslint-disable-line
+    return util.diff((savedValue !== undefined) ? savedValue : {}, this._makeSavableCopy());
+  }
+
   /**
    * Return whether this document was saved or not.
    * @return {boolean}
@@ -839,6 +1085,8 @@ class Document {
    */
   setSaved(all) {
     this.__proto__._saved = true; // eslint-disable-line
+    // Keep the saved value to know which fields are modified
+    this.__proto__._savedValue = util.deepCopy(this._makeSavableCopy()); // eslint-disable-line
     if (all !== true) return;
     util.loopKeys(this._getModel()._joins, (joins, key) => {
       switch (joins[key].type) { // eslint-disable-line
@@ -849,6 +1097,7 @@ class Document {
         break;
 
       case 'belongsTo':
+      case 'belongsToPolymorphic':
         if (this[key] instanceof Document) {
           this[key].setSaved(true);
         }
@@ -877,7 +1126,17 @@ class Document {
     });
 
     // Make joins, we should keep references only of the saved documents
-    util.loopKeys(this._getModel()._joins, (joins, key) => {
+    this._setJoined(Object.keys(this._getModel()._joins));
+  }
+
+  /**
+   * Keep the references between the document and the saved documents joined
+   * in some fields, used by `saveAll`, `deleteAll` and `purge`.
+   * @param {Array} keys The fields of the relations
+   */
+  _setJoined(keys) {
+    let joins = this._getModel()._joins;
+    keys.forEach(key => {
       if (this[key] == null) return; // eslint-disable-line
       switch (joins[key].type) { // eslint-disable-line
       case 'hasOne':
@@ -899,6 +1158,7 @@ class Document {
         break;
 
       case 'belongsTo':
+      case 'belongsToPolymorphic':
         if (this[key].__proto__._parents._belongsTo[this._getModel()._name] == null) { // eslint-disable-line
           this[key].__proto__._parents._belongsTo[this._getModel()._name] = []; // eslint-disable-line
         }
@@ -906,6 +1166,7 @@ class Document {
         this[key].__proto__._parents._belongsTo[this._getModel()._name].push({ // eslint-disable-line
           doc: this,
           foreignKey: this._getModel()._joins[key].leftKey,
+          typeKey: this._getModel()._joins[key].typeKey,
           key: key
         });
 
@@ -963,6 +1224,19 @@ class Document {
    */
   _setUnSaved() {
     this.__proto__._saved = false; // eslint-disable-line
+    this.__proto__._savedValue = undefined; // eslint-disable-line
+  }
+
+  /*
+  * Forget the saved value of a document whose write was reverted, so that it
+  * is replaced if it is saved again, and restore its version.
+  */
+  _setReverted(oldValue) {
+    let versionKey = this._getModel()._versionKey;
+    if (versionKey !== undefined) {
+      this[versionKey] = oldValue[versionKey];
+    }
+    this.__proto__._savedValue = undefined; // eslint-disable-line
   }
 
   /**
@@ -1032,14 +1306,122 @@ class Document {
 
     deleteSelf = (deleteSelf === undefined) ? true : deleteSelf;
 
-    return util.hook({
-      preHooks: this._getModel()._pre.delete,
-      postHooks: this._getModel()._post.delete,
-      doc: this,
-      async: true,
-      fn: this._deleteHook,
-      fnArgs: [docToDelete, deleteAll, deletedDocs, deleteSelf, updateParents, callback]
+    return ((deleteSelf === true) ? this._restrictDelete() : Promise.resolve())
+      .then(() => util.hook({
+        preHooks: this._getModel()._pre.delete,
+        postHooks: this._getModel()._post.delete,
+        doc: this,
+        async: true,
+        fn: this._deleteHook,
+        fnArgs: [docToDelete, deleteAll, deletedDocs, deleteSelf, updateParents]
+      }))
+      .asCallback(callback);
+  }
+
+  /**
+   * Return the documents joined through the relations with the `onDelete`
+   * policy `policy`, as objects with the fields `field` (the relation),
+   * `model`, `selection` (a query of the joined documents), and `keys` (their
+   * keys referring to this document) or `links` (a query of the links of a
+   * `hasAndBelongsToMany` relation).
+   * @param {string} policy `cascade`, `setNull` or `restrict`
+   * @return {Array}
+   */
+  _dependents(policy) {
+    let model = this._getModel(); // instance of Model
+    let r = model._thinkagain.r;
+    let dependents = [];
+
+    util.loopKeys(model._joins, (joins, field) => {
+      let join = joins[field];
+      if ((join.onDelete !== policy) || (this[join.leftKey] === undefined)) return;
+
+      if ((join.type === 'hasOne') || (join.type === 'hasMany')) {
+        let selection = r.table(join.model.getTableName()).getAll(this[join.leftKey], {index: join.rightKey});
+        let keys = [ join.rightKey ];
+        if (join.typeKey !== undefined) {
+          selection = selection.filter(doc => doc(join.typeKey).eq(join.typeValue));
+          keys.push(join.typeKey);
+        }
+        dependents.push({ field: field, model: join.model, selection: selection, keys: keys });
+      } else if (join.type === 'hasAndBelongsToMany') {
+        let links, joinedKeys;
+        if ((this.getModel().getTableName() === join.model.getTableName()) && (join.leftKey === join.rightKey)) {
+          // The links hold the pair of keys in a field, see `getJoin`
+          let pair = join.leftKey + '_' + join.leftKey;
+          links = r.table(join.link).getAll(this[join.leftKey], {index: pair});
+          joinedKeys = links.concatMap(link => link(pair)).filter(key => key.ne(this[join.leftKey]));
+        } else {
+          links = r.table(join.link).getAll(this[join.leftKey], {index: this.getModel().getTableName() + '_' + join.leftKey});
+          joinedKeys = links(join.model.getTableName() + '_' + join.rightKey);
+        }
+        let selection = r.table(join.model.getTableName()).getAll(r.args(joinedKeys.coerceTo('ARRAY')), {index: join.rightKey});
+        dependents.push({ field: field, model: join.model, selection: selection, links: links });
+      }
+    });
+
+    util.loopKeys(model._reverseJoins, (reverseJoins, field) => {
+      let join = reverseJoins[field];
+      if ((join.type !== 'belongsTo') || (join.onDelete !== policy) || (this[join.rightKey] === undefined)) return;
+
+      // What was called is joinedModel.belongsTo(this, fieldDoc, leftKey, rightKey, { onDelete: policy })
+      dependents.push({
+        field: field,
+        model: join.model,
+        selection: r.table(join.model.getTableName()).getAll(this[join.rightKey], {index: join.leftKey}),
+        keys: [ join.leftKey ]
+      });
+    });
+
+    return dependents;
+  }
+
+  /**
+   * Check that no document is joined through a relation with
+   * `onDelete: 'restrict'` before deleting the document.
+   * @return {Promise} Rejected with a `RestrictedDelete` error listing the
+   * joined documents
+   */
+  _restrictDelete() {
+    if (this.isSaved() !== true) return Promise.resolve();
+
+    return Promise.map(this._dependents('restrict'), dependent => {
+      let pk = dependent.model._getModel()._pk;
+      return dependent.selection(pk).coerceTo('ARRAY').run()
+        .then(keys => keys.map(key => ({ field: dependent.field, table: dependent.model.getTableName(), primaryKey: key })));
+    })
+    .then(children => {
+      children = [].concat.apply([], children);
+      if (children.length === 0) return;
+
+      let fields = children.map(child => child.field).filter((field, index, all) => all.indexOf(field) === index);
+      throw new Errors.RestrictedDelete('The document cannot be deleted while documents are joined to it in `' +
+        fields.join('`, `') + '`.', children);
+    });
+  }
+
+  /**
+   * Apply the `onDelete` policies `cascade` and `setNull` to the joined
+   * documents still in the database once the document is deleted. The
+   * cascaded documents are deleted with their own hooks and policies.
+   * @param {Array} deletedDocs Documents already deleted
+   * @return {Promise}
+   */
+  _cascadeDelete(deletedDocs) {
+    let promises = this._dependents('setNull').map(dependent => (dependent.links !== undefined) ?
+      dependent.links.delete().run() :
+      dependent.selection.replace(doc => doc.without(dependent.keys)).run());
+
+    this._dependents('cascade').forEach(dependent => {
+      let pk = dependent.model._getModel()._pk;
+      let deleted = value => deletedDocs.some(doc => (doc.getModel().getTableName() === dependent.model.getTableName()) && (doc[pk] === value[pk]));
+      promises.push(dependent.selection.coerceTo('ARRAY').run()
+        .then(values => dependent.model._parse(values.filter(value => !deleted(value))))
+        .then(docs => Promise.map(docs, doc => doc._delete({}, false, deletedDocs, true, false)))
+        .then(() => (dependent.links !== undefined) ? dependent.links.delete().run() : undefined));
     });
+
+    return Promise.all(promises);
   }
 
   /**
@@ -1059,17 +1441,24 @@ class Document {
     let model = this._getModel(); // instance of Model
     let r = model._thinkagain.r;
 
+    // Soft deleted documents keep their relations, so that they can be restored
+    let softDelete = model._softDelete !== undefined;
+
+    // The `onDelete` policies apply when the document is deleted for good
+    let onDelete = (deleteSelf !== false) && (softDelete === false) && (this.isSaved() === true);
+    let cascade = key => (onDelete === true) && (this._getModel()._joins[key].onDelete === 'cascade');
+
     let promises = [];
 
     deletedDocs.push(this);
     util.loopKeys(this._getModel()._joins, (joins, key) => {
       if ((joins[key].type === 'hasOne') && (this[key] instanceof Document)) {
         if ((this[key].isSaved() === true) &&
-          ((key in docToDelete) || ((deleteAll === true) && (deletedDocs.indexOf(this[key]) === -1)))) {
+          ((key in docToDelete) || cascade(key) || ((deleteAll === true) && (deletedDocs.indexOf(this[key]) === -1)))) {
           let deletePromise = this[key]._delete(docToDelete[key], deleteAll, deletedDocs, true, false)
             .then(() => { delete this[key]; });
           promises.push(deletePromise);
-        } else if ((deleteSelf === true) && (deletedDocs.indexOf(this[key]) === -1)) {
+        } else if ((deleteSelf === true) && (softDelete === false) && (deletedDocs.indexOf(this[key]) === -1)) {
           delete this[key][joins[key].rightKey];
           if (this[key].isSaved() === true) {
             promises.push(this[key].save({}, false, {}, true, false));
@@ -1077,7 +1466,7 @@ class Document {
         }
       }
 
-      if ((joins[key].type === 'belongsTo') && (this[key] instanceof Document)) {
+      if (((joins[key].type === 'belongsTo') || (joins[key].type === 'belongsToPolymorphic')) && (this[key] instanceof Document)) {
         if ((this[key].isSaved() === true) &&
           ((key in docToDelete) || ((deleteAll === true) && (deletedDocs.indexOf(this[key]) === -1)))) {
           let deletePromise = this[key]._delete(docToDelete[key], deleteAll, deletedDocs, true, false)
@@ -1090,10 +1479,13 @@ class Document {
         let manyPromises = [];
         for (let i = 0, ii = this[key].length; i < ii; ++i) {
           if (((this[key][i] instanceof Document) && (this[key][i].isSaved() === true))
-            && ((key in docToDelete) || ((deleteAll === true) && (deletedDocs.indexOf(this[key][i]) === -1)))) {
+            && ((key in docToDelete) || cascade(key) || ((deleteAll === true) && (deletedDocs.indexOf(this[key][i]) === -1)))) {
             manyPromises.push(this[key][i]._delete(docToDelete[key], deleteAll, deletedDocs, true, false));
-          } else if ((this[key][i] instanceof Document) && (deletedDocs.indexOf(this[key][i]) === -1)) {
+          } else if ((this[key][i] instanceof Document) && (softDelete === false) && (deletedDocs.indexOf(this[key][i]) === -1)) {
             delete this[key][i][joins[key].rightKey];
+            if (joins[key].typeKey !== undefined) {
+              delete this[key][i][joins[key].typeKey];
+            }
             if (this[key][i].isSaved() === true) {
               promises.push(this[key][i].save({}, false, {}, true, false));
             }
@@ -1114,7 +1506,7 @@ class Document {
 
         for (let i = 0, ii = this[key].length; i < ii; ++i) {
           if (((this[key][i] instanceof Document) && (this[key][i].isSaved() === true))
-            && ((key in docToDelete) || ((deleteAll === true) && (deletedDocs.indexOf(this[key][i]) === -1)))) {
+            && ((key in docToDelete) || cascade(key) || ((deleteAll === true) && (deletedDocs.indexOf(this[key][i]) === -1)))) {
             //pks.push(this[key][i][joins[key].model._getModel()._pk]);
             docsToDelete.push(this[key][i]);
             // We are going to do a range delete, but we still have to recurse
@@ -1147,7 +1539,7 @@ class Document {
           }
         }
 
-        if (linksPks.length > 0) {
+        if ((linksPks.length > 0) && (softDelete === false)) {
           let query = r.table(joins[key].link);
           query = query.getAll.apply(query, linksPks).delete();
           promises.push(query.run());
@@ -1155,7 +1547,7 @@ class Document {
       }
     });
 
-    if (updateParents !== false) {
+    if ((updateParents !== false) && (softDelete === false)) {
       // Clean links that we are aware of
       util.loopKeys(this.__proto__._parents._hasOne, (hasOne, key) => { // eslint-disable-line
         let parents = hasOne[key];
@@ -1174,6 +1566,9 @@ class Document {
         for (let i = 0, ii = parents.length; i < ii; ++i) {
           delete parents[i].doc[parents[i].key];
           delete parents[i].doc[parents[i].foreignKey];
+          if (parents[i].typeKey !== undefined) {
+            delete parents[i].doc[parents[i].typeKey];
+          }
           if (deletedDocs.indexOf(parents[i]) === -1) {
             promises.push(parents[i].doc.save());
           }
@@ -1213,7 +1608,19 @@ class Document {
       });
     }
 
-    if (deleteSelf !== false) {
+    if ((deleteSelf !== false) && (softDelete === true)) {
+      if (this.isSaved() === true) {
+        let deletePromise = this.getModel().withDeleted().get(this[model._pk]).delete({ returnChanges: 'always' }).execute()
+          .then(result => {
+            if (Array.isArray(result.changes) && (result.changes.length > 0) && (result.changes[0].new_val !== null)) {
+              this._keepStamps(result.changes[0].new_val);
+            }
+            this.emit('deleted', this);
+          });
+
+        promises.push(deletePromise);
+      }
+    } else if (deleteSelf !== false) {
       if (this.isSaved() === true) {
         let deletePromise = r.table(model._name).get(this[model._pk]).delete().run()
           .then(result => {
@@ -1227,10 +1634,57 @@ class Document {
     }
 
     return Promise.all(promises)
+      .then(() => (onDelete === true) ? this._cascadeDelete(deletedDocs) : undefined)
       .return(this)
       .asCallback(callback);
   }
 
+  /**
+   * Restore a soft deleted document by removing the field storing when it was
+   * deleted. Only available for models with `softDelete`.
+   * @param {Function=} callback
+   * @return {Promise=} Return a promise if no callback is provided
+   */
+  restore(callback) {
+    let model = this._getModel(); // instance of Model
+
+    if (model._softDelete === undefined) {
+      return Promise.reject(new Errors.ThinkAgainError('`restore` can only be called on a document of a model with `softDelete`.'))
+        .asCallback(callback);
+    }
+
+    return this.getModel().withDeleted().get(this[model._pk]).restore({ returnChanges: 'always' }).execute()
+      .then(result => {
+        if (Array.isArray(result.changes) && (result.changes.length > 0) && (result.changes[0].new_val !== null)) {
+          this._keepStamps(result.changes[0].new_val);
+        }
+        this.emit('restored', this);
+        return this;
+      })
+      .asCallback(callback);
+  }
+
+  /*
+  * Keep the fields written by a soft delete or a restore, with the timestamp
+  * and the version of the write, from the new value of the document.
+  */
+  _keepStamps(newValue) {
+    let model = this._getModel();
+    let fields = [ model._softDelete, model._versionKey ];
+    if (model._timestamps !== undefined) fields.push(model._timestamps.updatedAt);
+
+    let savedValue = this.__proto__._savedValue; // eslint-disable-line
+    fields.filter(field => field !== undefined).forEach(field => {
+      if (newValue[field] === undefined) {
+        delete this[field];
+        if (savedValue !== undefined) delete savedValue[field];
+      } else {
+        this[field] = newValue[field];
+        if (savedValue !== undefined) savedValue[field] = newValue[field];
+      }
+    });
+  }
+
   /*
   * Delete this document and purge the database by doing range update to clean
   * the foreign keys.
@@ -1238,6 +1692,14 @@ class Document {
   * @return {Promise=} Return a promise if no callback is provided
   */
   purge(callback) {
+    // The relations with an `onDelete` policy are left to `delete`, and
+    // nothing is purged if the policy `restrict` forbids the deletion
+    return this._restrictDelete()
+      .then(() => this._purge())
+      .asCallback(callback);
+  }
+
+  _purge() {
     let model = this._getModel(); // instance of Model
     let r = model._thinkagain.r;
 
@@ -1257,6 +1719,9 @@ class Document {
         let parentDoc = belongsTo[key][i].doc;
         delete parentDoc[belongsTo[key][i].key];
         delete parentDoc[belongsTo[key][i].foreignKey];
+        if (belongsTo[key][i].typeKey !== undefined) {
+          delete parentDoc[belongsTo[key][i].typeKey];
+        }
       }
     });
 
@@ -1294,7 +1759,14 @@ class Document {
       let join = joins[field];
       let joinedModel = join.model;
 
-      if ((join.type === 'hasOne') || (join.type === 'hasMany')) {
+      if (join.onDelete !== undefined) {
+        return;
+      } else if ((join.type === 'hasMany') && (join.typeKey !== undefined)) {
+        // The joined documents of a `hasManyPolymorphic` relation
+        promises.push(r.table(joinedModel.getTableName()).getAll(this[join.leftKey], {index: join.rightKey})
+          .filter(doc => doc(join.typeKey).eq(join.typeValue))
+          .replace(doc => doc.without(join.rightKey, join.typeKey)).run());
+      } else if ((join.type === 'hasOne') || (join.type === 'hasMany')) {
         promises.push(r.table(joinedModel.getTableName()).getAll(this[join.leftKey], {index: join.rightKey}).replace(doc => {
           return doc.without(join.rightKey);
         }).run());
@@ -1312,11 +1784,18 @@ class Document {
       let join = reverseJoins[field];
       let joinedModel = join.model; // model where belongsTo/hasAndBelongsToMany was called
 
-      if (join.type === 'belongsTo') {
+      if (join.onDelete !== undefined) {
+        return;
+      } else if (join.type === 'belongsTo') {
         // What was called is joinedModel.belongsTo(this, fieldDoc, leftKey, rightKey)
         promises.push(r.table(joinedModel.getTableName()).getAll(this[join.rightKey], {index: join.leftKey}).replace(doc => {
           return doc.without(join.leftKey);
         }).run());
+      } else if (join.type === 'belongsToPolymorphic') {
+        // What was called is joinedModel.belongsToPolymorphic(fieldDoc, [ ..., this, ... ])
+        promises.push(r.table(joinedModel.getTableName()).getAll(this[this._getModel()._pk], {index: join.leftKey})
+          .filter(doc => doc(join.typeKey).eq(join.typeValue))
+          .replace(doc => doc.without(join.leftKey, join.typeKey)).run());
       } else if (join.type === 'hasAndBelongsToMany') {
         // Purge only if the key is a primary key
         // What was called is joinedModel.hasAndBelongsToMany(this, fieldDoc, leftKey, rightKey)
@@ -1331,7 +1810,86 @@ class Document {
     promises.push(this.delete());
 
     return Promise.all(promises)
-      .return(this)
+      .return(this);
+  }
+
+  /**
+   * Return a query of the documents joined to the document in a field, e.g.
+   * `author.related('posts').filter({ published: true }).run()`.
+   * @param {string} field The field of the relation
+   * @return {Query}
+   */
+  related(field) {
+    let model = this._getModel(); // instance of Model
+    let r = model._thinkagain.r;
+    let join = model._joins[field];
+    if (join === undefined) {
+      throw new Errors.ThinkAgainError('The field `' + field + '` is not a relation of the model `' + this.getModel().getTableName() + '`.');
+    }
+
+    // No document is joined without the key of the relation
+    let keys = (this[join.leftKey] !== undefined) ? [ this[join.leftKey] ] : [];
+    switch (join.type) { // eslint-disable-line
+    case 'belongsToPolymorphic':
+      // Without a known type, the query of any of the models returns nothing
+      let typed = join.models[this[join.typeKey]] !== undefined;
+      return (typed ? join.models[this[join.typeKey]] : util.joinedModels(join)[0]).getAll(r.args(typed ? keys : []));
+
+    case 'hasAndBelongsToMany':
+      let joinedKeys;
+      if ((this.getModel().getTableName() === join.model.getTableName()) && (join.leftKey === join.rightKey)) {
+        // The links hold the pair of keys in a field, see `getJoin`
+        let pair = join.leftKey + '_' + join.leftKey;
+        joinedKeys = r.table(join.link).getAll(r.args(keys), {index: pair})
+          .concatMap(link => link(pair)).filter(key => key.ne(this[join.leftKey]));
+      } else {
+        let joinedField = join.model.getTableName() + '_' + join.rightKey;
+        joinedKeys = r.table(join.link).getAll(r.args(keys), {index: this.getModel().getTableName() + '_' + join.leftKey})(joinedField);
+      }
+      return join.model.getAll(r.args(joinedKeys.coerceTo('ARRAY')), {index: join.rightKey});
+    }
+
+    let query = join.model.getAll(r.args(keys), {index: join.rightKey});
+    return (join.typeKey !== undefined) ? query.filter(doc => doc(join.typeKey).eq(join.typeValue)) : query;
+  }
+
+  /**
+   * Retrieve the documents joined to the document in a field and keep them in
+   * this field, as if they had been retrieved with `getJoin`, so that
+   * `saveAll` and `deleteAll` handle them.
+   * @param {string} field The field of the relation
+   * @param {Function=} callback
+   * @return {Promise=} Resolved with the joined document(s), an array for the
+   * `hasMany` and `hasAndBelongsToMany` relations
+   */
+  load(field, callback) {
+    let join = this._getModel()._joins[field];
+    if (join === undefined) {
+      return Promise.reject(new Errors.ThinkAgainError('The field `' + field + '` is not a relation of the model `' + this.getModel().getTableName() + '`.'))
+        .asCallback(callback);
+    }
+
+    let query = this.related(field);
+    if (join.through !== undefined) {
+      // The documents joined by the links of a `hasManyThrough` relation
+      query = query.getJoin({ [join.through]: true });
+    }
+
+    return query.run()
+      .then(docs => {
+        if ((join.type === 'hasMany') || (join.type === 'hasAndBelongsToMany')) {
+          this[field] = docs;
+        } else if (docs.length > 1) {
+          throw new Errors.ThinkAgainError('More than one element found for the field `' + field + '`.');
+        } else if (docs.length === 1) {
+          this[field] = docs[0];
+        } else {
+          delete this[field];
+        }
+
+        this._setJoined([ field ]);
+        return this[field];
+      })
       .asCallback(callback);
   }
 
@@ -1346,13 +1904,14 @@ class Document {
    */
   _merge(obj) {
     util.loopKeys(this, (_self, key) => {
-      if ((obj[key] === undefined) && (this._getModel()._joins[key] === undefined)) {
+      if ((obj[key] === undefined) && (this._getModel()._joins[key] === undefined) &&
+          (this._getModel()._virtuals.hasOwnProperty(key) === false)) {
         delete this[key];
       }
     });
 
     util.loopKeys(obj, (_obj, key) => { this[key] = obj[key]; });
-    return this;
+    return this.generateVirtualValues();
   }
 
   /**
@@ -1373,8 +1932,12 @@ class Document {
 
   /**
    * Set the atom feed and update the document for each change
+   * @param {Cursor} feed
+   * @param {Function=} select Return the value of a change, or null if the
+   * query does not select it
    */
-  _setFeed(feed) {
+  _setFeed(feed, select) {
+    select = select || (value => value);
     this.__proto__._feed = feed; // eslint-disable-line
     this.__proto__._active = true; // eslint-disable-line
     feed.each((err, change) => {
@@ -1382,15 +1945,18 @@ class Document {
         this.__proto__._active = false; // eslint-disable-line
         this.emit('error', err);
       } else {
-        if (change.new_val === null) {
+        let newValue = select(change.new_val), oldValue = select(change.old_val);
+        if ((newValue === null) && (oldValue === null)) return;
+
+        if (newValue === null) {
           // Delete all the fields
           this._merge({});
-          this._setOldValue(change.old_val);
+          this._setOldValue(oldValue);
           this._setUnSaved();
           this.emit('change', this);
         } else {
-          this._merge(change.new_val);
-          this._setOldValue(change.old_val);
+          this._merge(newValue);
+          this._setOldValue(oldValue);
           this.setSaved();
           this.emit('change', this);
         }
@@ -1413,7 +1979,7 @@ class Document {
   _emitRetrieve() {
     this.getModel().emit('retrieved', this);
     util.loopKeys(this._getModel()._joins, (joins, key) => {
-      if ((joins[key].type === 'hasOne') || (joins[key].type === 'belongsTo')) {
+      if ((joins[key].type === 'hasOne') || (joins[key].type === 'belongsTo') || (joins[key].type === 'belongsToPolymorphic')) {
         if ((this[key] != null) && (typeof this[key]._emitRetrieve === 'function')) { // eslint-disable-line
           this[key]._emitRetrieve();
         }
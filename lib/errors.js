@@ -76,6 +76,76 @@ errors.DuplicatePrimaryKey = function(message, primaryKey) {
 };
 util.inherits(errors.DuplicatePrimaryKey, errors.ThinkAgainError);
 
+/**
+ * Thrown or returned when a migration fails.
+ * @extends ThinkAgainError
+ */
+errors.MigrationError = function(message, version, parent) {
+  errors.ThinkAgainError.call(this, message, parent);
+  this.name = 'MigrationError';
+  this.version = version;
+};
+util.inherits(errors.MigrationError, errors.ThinkAgainError);
+
+/**
+ * Thrown or returned when the migration lock could not be acquired in time, or
+ * was taken over by another instance while migrating.
+ * @extends ThinkAgainError
+ */
+errors.MigrationLocked = function(message) {
+  let errorMessage = message || 'The migrations are locked by another instance.';
+  errors.ThinkAgainError.call(this, errorMessage);
+  this.name = 'MigrationLockedError';
+};
+util.inherits(errors.MigrationLocked, errors.ThinkAgainError);
+
+/**
+ * Thrown or returned when a document of a model with `versionKey` was modified
+ * since it was loaded. `current` is the document stored in the database, or
+ * `null` if it was deleted.
+ * @extends ThinkAgainError
+ */
+errors.VersionConflict = function(message, current) {
+  let errorMessage = message || 'The document was modified since it was loaded.';
+  errors.ThinkAgainError.call(this, errorMessage);
+  this.name = 'VersionConflictError';
+  this.current = (current !== undefined) ? current : null;
+};
+util.inherits(errors.VersionConflict, errors.ThinkAgainError);
+
+/**
+ * Thrown or returned when an atomic `saveAll` fails. The writes it did are
+ * reverted and listed in `reverted`, most recent first, as objects with the
+ * fields `table`, `primaryKey`, `oldValue` and `newValue`. The writes of the
+ * documents modified by someone else since are not reverted, and are listed
+ * in `conflicts`.
+ * @extends ThinkAgainError
+ */
+errors.TransactionError = function(message, parent, reverted, revertError, conflicts) {
+  errors.ThinkAgainError.call(this, message, parent);
+  this.name = 'TransactionError';
+  this.reverted = reverted || [];
+  this.conflicts = conflicts || [];
+  if (revertError !== undefined) {
+    this.revertError = revertError;
+  }
+};
+util.inherits(errors.TransactionError, errors.ThinkAgainError);
+
+/**
+ * Thrown or returned when a document cannot be deleted because documents are
+ * joined to it through a relation with `onDelete: 'restrict'`. `children` lists
+ * them as objects with the fields `field` (the relation), `table` and
+ * `primaryKey`.
+ * @extends ThinkAgainError
+ */
+errors.RestrictedDelete = function(message, children) {
+  errors.ThinkAgainError.call(this, message);
+  this.name = 'RestrictedDeleteError';
+  this.children = children || [];
+};
+util.inherits(errors.RestrictedDelete, errors.ThinkAgainError);
+
 /**
  * regular expressions used to determine which errors should be thrown
  */
@@ -1,12 +1,48 @@
 'use strict';
-const EventEmitter = require('events'),
+const Promise = require('bluebird'),
+      EventEmitter = require('events'),
       util = require('./util');
 
 class Feed {
-  constructor(feed, model) {
+  /*
+  * feed: the feed of the driver
+  * model: the model of the documents
+  * options can be:
+  * - events: return events `{ type, doc, oldDoc }` instead of documents, see
+  *   `_event`
+  * and for a feed reopened after connection errors (see the `resilient` option
+  * of `changes`):
+  * - reopen: function returning a promise of a new feed of the driver,
+  *   including the initial values and the states
+  * - retryDelay: the delay in ms before reopening the feed, default 1000
+  * - includeInitial: whether the initial values are returned the first time
+  * - includeStates: whether the states are returned
+  */
+  constructor(feed, model, options) {
+    options = options || {};
     this.feed = feed;
     this.model = model;
     this._closed = false;
+    this._events = options.events === true;
+
+    // Whether the query selects a value, the others are seen as removed
+    this._select = options.select;
+
+    this._reopen = options.reopen;
+    this._retryDelay = (options.retryDelay !== undefined) ? options.retryDelay : 1000;
+    this._includeInitial = options.includeInitial === true;
+    this._includeStates = options.includeStates === true;
+    this._reopened = false;
+    this._initializing = true;
+
+    // primary key -> last value, to skip the values that did not change when
+    // the feed is reopened
+    this._values = new Map();
+
+    // The keys of the values replayed since the feed was reopened, and the
+    // removes of the other values once they are all replayed
+    this._seen = new Set();
+    this._removed = [];
   }
 
   toString() {
@@ -14,18 +50,11 @@ class Feed {
   }
 
   next() {
-    return this.feed.next()
-      .then(data => {
-        if (data.new_val !== undefined && data.new_val !== null) {
-          return this.model._parse(data.new_val)
-            .then(doc => { doc._setOldValue(data.old_val); return doc; });
-        } else if (data.old_val !== undefined && data.old_val !== null) { // new_val is null
-          return this.model._parse(data.old_val)
-            .then(doc => { doc._setUnSaved(); return doc; });
-        }
-
-        //else we just drop the change as it's a state/initializing object
-      });
+    let changed = (this._removed.length > 0) ? this._change(this._removed.shift()) :
+      this.feed.next().then(data => this._change(data), error => this._recover(error));
+    return changed
+      // a reopened feed skips the changes it drops, and the reopening
+      .then(doc => ((doc === undefined) && (this._reopen !== undefined || this._events)) ? this.next() : doc);
   }
 
   toArray() {
@@ -43,27 +72,24 @@ class Feed {
         if (this._closed === true) {
           return;
         }
+        if (this._canRecover(err)) {
+          this._recover(err).then(() => this.each(callback, onFinish), callback);
+          return;
+        }
         return callback(err); // eslint-disable-line
       }
 
-      let promise;
-      if (data.new_val != null) { // eslint-disable-line
-        promise = this.model._parse(data.new_val)
-          .then(doc => {
-            doc._setOldValue(data.old_val);
-            callback(null, doc);
-          });
-      } else if (data.old_val != null) { // eslint-disable-line
-        // new_val is null
-        promise = this.model._parse(data.old_val)
+      let changes = [ data ];
+      let next = () => {
+        if (changes.length === 0) return;
+        return this._change(changes.shift())
           .then(doc => {
-            doc._setUnSaved();
-            callback(null, doc);
+            if (doc !== undefined) callback(null, doc);
+            changes = changes.concat(this._removed.splice(0));
+            return next();
           });
-      }
-      //else we just drop the change as it's a state/initializing object
-
-      promise.error(callback);
+      };
+      next().error(callback);
     }, onFinish);
   }
 
@@ -81,29 +107,215 @@ class Feed {
 
   _eachCb(err, data) {
     if (!!err) {
-      if ((this._closed !== false) || (err.message !== 'You cannot retrieve data from a cursor that is closed')) {
+      if (this._canRecover(err)) {
+        this._recover(err)
+          .then(() => this.feed.each(this._eachCb.bind(this), () => this._eventEmitter.emit('end')))
+          .error(e => this._eventEmitter.emit('error', e));
+      } else if ((this._closed !== false) || (err.message !== 'You cannot retrieve data from a cursor that is closed')) {
         this._eventEmitter.emit('error', err);
       }
       return;
     }
 
-    let promise;
-    if (data.new_val !== null) {
-      promise = this.model._parse(data.new_val)
-        .then(doc => {
-          doc._setOldValue(data.old_val);
-          this._eventEmitter.emit('data', doc);
+    // Besides `data`, the events are emitted by type: `add`, `change`...
+    let changes = [ data ];
+    let next = () => {
+      if (changes.length === 0) return;
+      return this._event(changes.shift(), this._events)
+        .then(event => {
+          if (event !== undefined) {
+            if (this._events) {
+              this._eventEmitter.emit('data', event);
+            } else if (event.doc !== undefined) {
+              this._eventEmitter.emit('data', event.doc);
+            }
+            this._eventEmitter.emit(event.type, event);
+          }
+          changes = changes.concat(this._removed.splice(0));
+          return next();
         });
-    } else if (data.old_val !== null) { // new_val is null
-      promise = this.model._parse(data.old_val)
+    };
+    next().error(e => this._eventEmitter.emit('error', e));
+  }
+
+  /*
+  * Return a promise of what `next` and `each` return for a change: the event
+  * with the `events` option, otherwise the document, or undefined if the
+  * change is dropped.
+  */
+  _change(data) {
+    return this._event(data, this._events)
+      .then(event => {
+        if (event === undefined) return undefined;
+        return this._events ? event : event.doc;
+      });
+  }
+
+  /*
+  * Return a promise of the event of a change, or of undefined if the change is
+  * dropped. The events are `{ type: 'state', state }` for the states, and
+  * `{ type, doc, oldDoc }` where the type is the one of `includeTypes`:
+  * - initial: `doc` is an initial value
+  * - add: `doc` was inserted
+  * - change: `doc` was updated from `oldDoc`
+  * - remove/uninitial: `doc` was deleted (or left the results), and is not
+  *   saved anymore. `oldDoc` is the same document.
+  * withOldDoc: whether `oldDoc` is created, otherwise it is null
+  */
+  _event(data, withOldDoc) {
+    if (data.state !== undefined) {
+      if (data.state === 'ready') {
+        this._initializing = false;
+        if (this._reopened) this._removeUnseen();
+        this._seen.clear();
+      }
+      if ((this._reopen !== undefined) && !this._includeStates) return Promise.resolve();
+      return Promise.resolve({ type: 'state', state: data.state });
+    }
+
+    if (this._select !== undefined) {
+      data = this._selected(data);
+    }
+
+    if (this._reopen !== undefined) {
+      data = this._track(data);
+      if (data === undefined) return Promise.resolve();
+    }
+
+    let type = changeType(data);
+    if (data.new_val != null) { // eslint-disable-line
+      let parsedOld = (withOldDoc && (data.old_val != null)) ? // eslint-disable-line
+        this.model._parse(data.old_val).then(doc => { doc._setUnSaved(); return doc; }) : null;
+      let parsed = this.model._parse(data.new_val)
+        .then(doc => { doc._setOldValue(data.old_val); return doc; });
+      return Promise.join(parsed, parsedOld, (doc, oldDoc) => ({ type: type, doc: doc, oldDoc: oldDoc }));
+    } else if (data.old_val != null) { // eslint-disable-line
+      // new_val is null
+      return this.model._parse(data.old_val)
         .then(doc => {
           doc._setUnSaved();
-          this._eventEmitter.emit('data', doc);
+          return { type: type, doc: doc, oldDoc: withOldDoc ? doc : null };
         });
     }
+    return Promise.resolve();
+  }
+
+  /*
+  * Replace the values of a change that the query does not select by null, so
+  * that a document leaving the selection is removed, and one entering it is
+  * added.
+  */
+  _selected(data) {
+    let select = value => (((value == null) || this._select(value)) ? value : null); // eslint-disable-line
+    let newValue = select(data.new_val), oldValue = select(data.old_val);
+    if ((newValue === data.new_val) && (oldValue === data.old_val)) return data;
+
+    let change = { new_val: newValue };
+    if (oldValue !== undefined) change.old_val = oldValue;
+    return change;
+  }
+
+  /*
+  * Remember the last value of each document of a reopened feed, and return
+  * the change to return, or undefined if it is dropped. The initial values are
+  * returned the first time only if they were requested, and then only if they
+  * changed while the feed was reopened, as an insert or an update.
+  */
+  _track(data) {
+    let value = (data.new_val != null) ? data.new_val : data.old_val; // eslint-disable-line
+    if (value == null) return undefined; // eslint-disable-line
+
+    let key = JSON.stringify(value[this.model._getModel()._pk]);
+    let known = this._values.get(key);
+    if (this._initializing) this._seen.add(key);
+    if (data.new_val == null) { // eslint-disable-line
+      this._values.delete(key);
+    } else {
+      this._values.set(key, data.new_val);
+    }
+
+    if (!this._initializing || (data.old_val !== undefined)) return data;
+    if (!this._reopened) return this._includeInitial ? data : undefined;
+    if (util.deepEqual(known, data.new_val)) return undefined;
+    return { new_val: data.new_val, old_val: (known !== undefined) ? known : null };
+  }
+
+  /*
+  * Queue the removes of the documents that were not replayed by a reopened
+  * feed, as they were deleted (or left the results) while it was reopened.
+  */
+  _removeUnseen() {
+    this._values.forEach((value, key) => {
+      if (!this._seen.has(key)) this._removed.push({ new_val: null, old_val: value });
+    });
+  }
 
-    promise.error(e => this._eventEmitter.emit('error', e));
+  _canRecover(error) {
+    return (this._reopen !== undefined) && (this._closed === false) &&
+      ((error.name === 'ReqlDriverError') || (error.name === 'ReqlAvailabilityError')) &&
+      !error.message.match(/^No more rows in the/) &&
+      !error.message.match(/^You cannot retrieve data from a cursor that is closed/);
   }
+
+  /*
+  * Reopen the feed after a connection error, retrying until it succeeds or the
+  * feed is closed. Rejected with the error if it cannot be recovered.
+  */
+  _recover(error) {
+    if (!this._canRecover(error)) {
+      return Promise.reject(error);
+    }
+
+    // Concurrent calls of `next` wait for the same new feed.
+    if (this._recovering === undefined) {
+      let reopen = () => Promise.delay(this._retryDelay)
+        .then(() => {
+          if (this._closed) throw error;
+          return this._reopen();
+        })
+        .catch(reopenError => {
+          if (!this._canRecover(reopenError)) throw reopenError;
+          return reopen();
+        });
+
+      this._recovering = reopen()
+        .then(feed => {
+          this.feed = feed;
+          this._reopened = true;
+          this._initializing = true;
+          this._seen.clear();
+        })
+        .finally(() => { delete this._recovering; });
+    }
+    return this._recovering;
+  }
+}
+
+/*
+* The type of a change, see `Feed._event`.
+*/
+function changeType(data) {
+  if (typeof data.type === 'string') return data.type;
+  if (data.new_val == null) return 'remove'; // eslint-disable-line
+  if (data.old_val === undefined) return 'initial';
+  return (data.old_val === null) ? 'add' : 'change';
+}
+
+// `for await (let doc of feed)` returns the documents of the changes until
+// the feed is closed.
+if (typeof Symbol.asyncIterator === 'symbol') {
+  Feed.prototype[Symbol.asyncIterator] = function() {
+    let next = () => this.next()
+      .then(doc => (doc === undefined) ? next() : { value: doc, done: false }, error => {
+        if (this._closed) return { value: undefined, done: true };
+        throw error;
+      });
+
+    return {
+      next: next,
+      return: () => this.close().then(() => ({ value: undefined, done: true }))
+    };
+  };
 }
 
 const methods = [
@@ -131,4 +343,160 @@ for (let i = 0, ii = methods.length; i < ii; ++i) {
   };
 }
 
+const CLOSED_MESSAGE = 'You cannot retrieve data from a cursor that is closed';
+
+class JoinedChanges {
+  /*
+  * The changes of the documents of a `getJoin` query, with their joined
+  * documents. It follows the feed of the documents and the feeds of the joined
+  * tables, and is used by `Feed` like a feed of the driver. A change of a
+  * joined document is returned as a change of the documents it is joined to.
+  * root: the feed of the driver of the documents
+  * related: the feeds of the joined tables, objects with the fields:
+  * - feed: the feed of the driver
+  * - key: the field of the documents used by the join
+  * - affected: function returning the values of `key` of the documents
+  *   affected by a change, or a promise of them
+  * options:
+  * - pk: the primary key of the documents
+  * - join: function returning a promise of a document with its joins
+  * - refresh: function(key, values) returning a promise of the documents whose
+  *   field `key` has one of the values, with their joins
+  */
+  constructor(root, related, options) {
+    this._feeds = [ root ].concat(related.map(source => source.feed));
+    this._pk = options.pk;
+    this._join = options.join;
+    this._refresh = options.refresh;
+
+    this._values = new Map(); // primary key -> last value returned
+    this._queue = Promise.resolve(); // the changes are handled one at a time
+    this._changes = [];
+    this._waiting = [];
+    this._closed = false;
+    this._error = undefined;
+
+    this._follow(root, change => this._rootChange(change));
+    related.forEach(source => this._follow(source.feed, change => this._relatedChange(source, change)));
+  }
+
+  getType() {
+    return 'Feed';
+  }
+
+  next() {
+    if (this._changes.length > 0) return Promise.resolve(this._changes.shift());
+    if (this._error !== undefined) return Promise.reject(this._error);
+    if (this._closed) return Promise.reject(new Error(CLOSED_MESSAGE));
+    return new Promise((resolve, reject) => this._waiting.push({ resolve: resolve, reject: reject }));
+  }
+
+  each(callback, onFinish) {
+    let loop = () => this.next()
+      .then(change => {
+        if (callback(null, change) === false) {
+          if (typeof onFinish === 'function') onFinish();
+          return;
+        }
+        loop();
+      }, error => {
+        if (!this._closed) callback(error);
+      });
+    loop();
+  }
+
+  close(callback) {
+    if (!this._closed) {
+      this._closed = true;
+      this._reject(new Error(CLOSED_MESSAGE));
+    }
+    return Promise.all(this._feeds.map(feed => feed.close())).asCallback(callback);
+  }
+
+  _follow(feed, handle) {
+    feed.each((error, change) => {
+      if (!!error) {
+        this._fail(error);
+        return false;
+      }
+      this._queue = this._queue
+        .then(() => handle(change))
+        .catch(_error => this._fail(_error));
+    });
+  }
+
+  _rootChange(change) {
+    if (change.state !== undefined) {
+      this._push(change);
+      return;
+    }
+
+    let value = (change.new_val != null) ? change.new_val : change.old_val; // eslint-disable-line
+    let key = JSON.stringify(value[this._pk]);
+    let old = this._values.has(key) ? this._values.get(key) : change.old_val;
+    if (change.new_val == null) { // eslint-disable-line
+      this._values.delete(key);
+      this._push(joinedChange(change, null, old));
+      return;
+    }
+
+    return this._join(change.new_val)
+      .then(joined => {
+        this._values.set(key, joined);
+        this._push(joinedChange(change, joined, (change.old_val === undefined) ? undefined : old));
+      });
+  }
+
+  _relatedChange(source, change) {
+    if (change.state !== undefined) return;
+
+    return Promise.resolve(source.affected(change))
+      .then(values => {
+        values = values.filter((value, index) => (value != null) && (values.indexOf(value) === index)); // eslint-disable-line
+        return (values.length > 0) ? this._refresh(source.key, values) : [];
+      })
+      .then(docs => docs.forEach(doc => {
+        let key = JSON.stringify(doc[this._pk]);
+        let old = this._values.has(key) ? this._values.get(key) : null;
+        if (util.deepEqual(old, doc)) return;
+
+        this._values.set(key, doc);
+        this._push({ new_val: doc, old_val: old, type: 'change' });
+      }));
+  }
+
+  _push(change) {
+    if (this._closed) return;
+    if (this._waiting.length > 0) {
+      this._waiting.shift().resolve(change);
+    } else {
+      this._changes.push(change);
+    }
+  }
+
+  _reject(error) {
+    let waiting = this._waiting;
+    this._waiting = [];
+    waiting.forEach(pending => pending.reject(error));
+  }
+
+  _fail(error) {
+    if (this._closed || (this._error !== undefined)) return;
+    this._error = error;
+    this._reject(error);
+    this._feeds.forEach(feed => feed.close().catch(() => {})); // the error reported is the first one
+  }
+}
+
+/*
+* A change of a document with its joins, keeping the type of the change.
+*/
+function joinedChange(change, newValue, oldValue) {
+  let result = { new_val: newValue };
+  if (oldValue !== undefined) result.old_val = oldValue;
+  if (change.type !== undefined) result.type = change.type;
+  return result;
+}
+
 module.exports = Feed;
+module.exports.JoinedChanges = JoinedChanges;
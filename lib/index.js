@@ -1,7 +1,9 @@
 'use strict';
 const Ajv = require('ajv'),
+      Promise = require('bluebird'),
       rethinkdbdash = require('rethinkdbdash'),
       Model = require('./model'),
+      Migrator = require('./migrator'),
       util = require('./util'),
       keywords = require('./types/keywords'),
       Query = require('./query'),
@@ -103,6 +105,29 @@ class ThinkAgain {
    *  other use cases.
    *  - `timeFormat` {"raw"|"native"} Format of ReQL dates.
    *  - `validate` {"oncreate"|"onsave"}, default "onsave".
+   *  - `virtuals` {Object} Fields that are never saved, mapping a field name to
+   *  either a function computing its value (called with the document as `this`)
+   *  or a default value.
+   *  - `softDelete` {boolean|string} Mark the deleted documents with the date
+   *  of their deletion instead of deleting them, in the field `deletedAt` or the
+   *  one named. Queries then exclude them unless `withDeleted` or `onlyDeleted`
+   *  is called.
+   *  - `timestamps` {boolean|Object} Stamp the documents with the date of their
+   *  creation (`createdAt`) and last update (`updatedAt`), computed by the
+   *  server. An object can rename the fields, e.g. `{ createdAt: 'created' }`,
+   *  or disable one of them with `false`.
+   *  - `versionKey` {boolean|string} Store a version in the field `__v` (or the
+   *  one named) incremented on each save. Saving a document that was modified
+   *  since it was loaded fails with `VersionConflict`.
+   *  - `indexes` {Array} Indexes created with the table, as names of fields or
+   *  objects `{ name, fields, fn, multi, geo }`. `fields` can list several
+   *  fields for a compound index, which `filter` uses when given all of them.
+   *  `ready()` waits for the indexes to be created.
+   *  - `discriminatorKey` {string} The field telling apart the models created
+   *  with `discriminator`, default `kind`.
+   *  - `strict` {boolean} Check the fields passed to `filter`, `orderBy`,
+   *  `pluck`, `without` and `update` against the schema, throwing a
+   *  `ValidationError` for an unknown field or a value of the wrong type.
    */
   createModel(name, schema, options) {
     // Make a deep copy of the options as the model may overwrite them.
@@ -136,6 +161,24 @@ class ThinkAgain {
     return model;
   }
 
+  /**
+   * Run the migrations that were not applied yet, in order of version. Applied
+   * versions are recorded in a dedicated table, and a lock prevents multiple
+   * instances from migrating at the same time.
+   *
+   * @param {Array} migrations The migrations, objects with a `version` and
+   * `up`/`down` functions called with `r` and a context of helpers.
+   * @param {object=} options Options for the migration. The fields can be:
+   *  - `to` {number|string} The version to migrate (up or down) to, default the latest
+   *  - `table` {string} The table recording the applied versions
+   *  - `lockTimeout` {number} How long to wait for the lock (in ms)
+   *  - `lockTtl` {number} How long before a lock is considered stale (in ms)
+   * @return {Promise} Resolved with the versions applied and reverted.
+   */
+  migrate(migrations, options) {
+    return Promise.try(() => new Migrator(this, migrations, options).run());
+  }
+
   /**
    * Method to clean all the references to the models. This is used to speed up
    * testing and should not be used in other use cases.
@@ -155,6 +198,12 @@ module.exports = function(config) {
   return new ThinkAgain(config);
 };
 
+// In-memory stand-in for rethinkdbdash, to pass as `config.r`. It is only
+// loaded when it is used.
+module.exports.memory = function(options) {
+  return require('./memory')(options);
+};
+
 module.exports.schema = {
   keywords: require('./types/keywords'),
   types: {
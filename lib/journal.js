@@ -0,0 +1,108 @@
+'use strict';
+const Promise = require('bluebird'),
+      Errors = require('./errors'),
+      util = require('./util');
+
+class Journal {
+  /**
+   * Record the writes of an atomic `saveAll`, so that they can be reverted if
+   * a step of the save fails.
+   * @param {Object} r The driver used to revert the writes
+   */
+  constructor(r) {
+    this._r = r;
+    this._writes = [];
+    this._pending = new Set();
+    this._error = undefined;
+  }
+
+  /**
+   * Run a write query and record the documents it changed. The query must
+   * return its changes (`returnChanges`).
+   * @param {Term} query
+   * @param {string} table The table written to
+   * @param {string} primaryKey The primary key of the table
+   * @param {Function=} onRevert Called with the write once it is reverted, to
+   * restore the state of the documents in memory
+   * @return {Promise} Resolved with the result of the query
+   */
+  run(query, table, primaryKey, onRevert) {
+    // Once the save failed, no new write is started.
+    if (this._error !== undefined) {
+      return Promise.reject(this._error);
+    }
+
+    let promise = query.run()
+      .then(result => {
+        if ((result.inserted + result.replaced + result.deleted > 0) && Array.isArray(result.changes)) {
+          for (let i = 0, ii = result.changes.length; i < ii; ++i) {
+            if (result.changes[i].error !== undefined) continue;
+            this._writes.push({
+              table: table,
+              primaryKey: util.extractPrimaryKey(result.changes[i].old_val, result.changes[i].new_val, primaryKey),
+              oldValue: result.changes[i].old_val,
+              newValue: result.changes[i].new_val,
+              onRevert: onRevert
+            });
+          }
+        }
+        return result;
+      })
+      .finally(() => this._pending.delete(promise));
+
+    this._pending.add(promise);
+    return promise;
+  }
+
+  /**
+   * Revert the recorded writes, most recent first, once the writes in
+   * progress are done. A document modified by someone else since it was
+   * written is not reverted, and is reported as a conflict.
+   * @param {Error} error The error that made the save fail
+   * @return {Promise} Always rejected with a `TransactionError` listing the
+   * reverted writes and the conflicts
+   */
+  revert(error) {
+    let r = this._r;
+    let reverted = [];
+    let conflicts = [];
+    this._error = error;
+
+    return Promise.all(Array.from(this._pending).map(promise => promise.reflect()))
+      .then(() => Promise.mapSeries(this._writes.slice().reverse(), write => {
+        let value = doc => r.branch(
+          doc.eq(write.newValue), write.oldValue,
+          doc.eq(write.oldValue), doc,
+          r.error('The document was modified since it was written.')
+        );
+        return r.table(write.table).get(write.primaryKey).replace(value).run()
+          .then(result => {
+            let change = {
+              table: write.table,
+              primaryKey: write.primaryKey,
+              oldValue: write.oldValue,
+              newValue: write.newValue
+            };
+            if (result.errors > 0) {
+              conflicts.push(change);
+              return;
+            }
+
+            if (typeof write.onRevert === 'function') write.onRevert(write);
+            reverted.push(change);
+          });
+      }))
+      .then(() => {
+        let message = (conflicts.length > 0) ?
+          'The save failed, and the changes were reverted except for the documents modified since they were written.' :
+          'The save failed, and the changes were reverted.';
+        throw new Errors.TransactionError(message, error, reverted, undefined, conflicts);
+      }, revertError => {
+        throw new Errors.TransactionError(
+          'The save failed, and the attempt to revert the changes failed with the error:\n' + revertError.message,
+          error, reverted, revertError, conflicts);
+      });
+  }
+}
+
+module.exports = Journal;
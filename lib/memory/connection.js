@@ -0,0 +1,169 @@
+'use strict';
+const EventEmitter = require('events'),
+      Promise = require('bluebird'),
+      driver = require('./driver'),
+      datum = require('./datum');
+
+const protodef = driver.protodef,
+      QUERY = protodef.Query.QueryType,
+      RESPONSE = protodef.Response.ResponseType,
+      ERROR = protodef.Response.ErrorType;
+
+class MemoryConnection extends EventEmitter {
+  /**
+   * A connection of rethinkdbdash answering the queries with an in-memory
+   * server. The responses are built like the ones of RethinkDB, and are
+   * processed by the code of rethinkdbdash, so cursors, feeds and errors behave
+   * like with a real connection.
+   * @param {Object} r The instance of rethinkdbdash
+   * @param {Server} server
+   * @param {string} db The default database
+   */
+  constructor(r, server, db) {
+    super();
+    this.r = r;
+    this.server = server;
+    this.db = db;
+    this.open = true;
+    this.token = 1;
+    this.metadata = {};
+    this.pendingPing = false;
+
+    this._feeds = {}; // token -> ChangeFeed
+  }
+
+  _isConnection() {
+    return true;
+  }
+
+  _isOpen() {
+    return this.open;
+  }
+
+  _getToken() {
+    return this.token++;
+  }
+
+  use(db) {
+    this.db = db;
+  }
+
+  close() {
+    this.open = false;
+    Object.keys(this._feeds).forEach(token => this._feeds[token].close());
+    return Promise.resolve();
+  }
+
+  /**
+   * Send a query, see `Connection#_send` in rethinkdbdash.
+   */
+  _send(query, token, resolve, reject, originalQuery, options, end) {
+    if (!this.open) {
+      reject(new this.r.Error.ReqlDriverError('The connection was closed by the other party'));
+      return;
+    }
+
+    if ((options !== undefined) && (options !== null) && (options.noreply === true)) {
+      if (typeof resolve === 'function') resolve();
+      this.emit('release');
+      setImmediate(() => this._handle(JSON.parse(JSON.stringify(query)), token, true));
+      return;
+    }
+
+    if (this.metadata[token] === undefined) {
+      this.metadata[token] = new driver.Metadata(resolve, reject, originalQuery, options);
+    } else if (end === true) {
+      this.metadata[token].setEnd(resolve, reject);
+    } else {
+      this.metadata[token].setCallbacks(resolve, reject);
+    }
+
+    // Queries go through JSON, like on the wire, and are answered asynchronously.
+    query = JSON.parse(JSON.stringify(query));
+    setImmediate(() => this._handle(query, token, false));
+  }
+
+  _handle(query, token, noreply) {
+    switch (query[0]) {
+    case QUERY.START:
+      return this._start(query[1], query[2] || {}, token, noreply);
+    case QUERY.CONTINUE:
+      return this._next(token);
+    case QUERY.STOP:
+      return this._stop(token);
+    case QUERY.NOREPLY_WAIT:
+      return this._respond({ t: RESPONSE.WAIT_COMPLETE }, token);
+    case QUERY.SERVER_INFO:
+      return this._respond({ t: RESPONSE.SERVER_INFO, r: [ { id: 'memory', name: 'memory', proxy: false } ] }, token);
+    default:
+      return this._respond({ t: RESPONSE.CLIENT_ERROR, r: [ 'Unexpected query type: ' + query[0] + '.' ] }, token);
+    }
+  }
+
+  _start(term, globalOptargs, token, noreply) {
+    let result;
+    try {
+      result = this.server.run(term, globalOptargs);
+    } catch (error) {
+      if (!noreply) this._respond(errorResponse(error), token);
+      return;
+    }
+    if (noreply) {
+      if (result.feed !== undefined) result.feed.close();
+      return;
+    }
+
+    if (result.feed !== undefined) {
+      this._feeds[token] = result.feed;
+      this._respond({ t: RESPONSE.SUCCESS_PARTIAL, r: result.feed.initial, n: result.feed.notes }, token);
+    } else if (result.sequence !== undefined) {
+      this._respond({ t: RESPONSE.SUCCESS_SEQUENCE, r: result.sequence }, token);
+    } else {
+      this._respond({ t: RESPONSE.SUCCESS_ATOM, r: [ result.atom ] }, token);
+    }
+  }
+
+  _next(token) {
+    let feed = this._feeds[token];
+    if (feed === undefined) return;
+
+    feed.next(changes => {
+      if (changes === null) {
+        delete this._feeds[token];
+        this._respond({ t: RESPONSE.SUCCESS_SEQUENCE, r: [] }, token);
+      } else {
+        this._respond({ t: RESPONSE.SUCCESS_PARTIAL, r: changes }, token);
+      }
+    });
+  }
+
+  /**
+   * Stop a feed. A pending `CONTINUE` is answered first, then the `STOP`.
+   */
+  _stop(token) {
+    let feed = this._feeds[token];
+    if (feed !== undefined) {
+      delete this._feeds[token];
+      feed.close();
+    }
+    this._respond({ t: RESPONSE.SUCCESS_SEQUENCE, r: [] }, token);
+    delete this.metadata[token];
+  }
+
+  _respond(response, token) {
+    if (this.metadata[token] === undefined) return;
+    this._processResponse(JSON.parse(JSON.stringify(response)), token);
+  }
+}
+
+// Responses are processed by rethinkdbdash itself.
+driver.processResponses(MemoryConnection);
+
+function errorResponse(error) {
+  if (error instanceof datum.ReqlError) {
+    return { t: RESPONSE.RUNTIME_ERROR, r: [ error.message ], e: ERROR[error.type], b: [] };
+  }
+  return { t: RESPONSE.RUNTIME_ERROR, r: [ error.message ], e: ERROR.INTERNAL, b: [] };
+}
+
+module.exports = MemoryConnection;
@@ -0,0 +1,239 @@
+'use strict';
+const crypto = require('crypto'),
+      util = require('../util');
+
+/**
+ * Helpers to manipulate the datums stored by the in-memory driver. Datums are
+ * kept in their wire format: JSON values where times, binaries and geometries
+ * are pseudo types (`{ $reql_type$: 'TIME', ... }`).
+ */
+
+// Sentinels for `r.minval` and `r.maxval`, never stored.
+const MINVAL = { $memory_bound$: 'minval' };
+const MAXVAL = { $memory_bound$: 'maxval' };
+
+// Sort order of the types, from the RethinkDB documentation
+const TYPE_ORDER = {
+  ARRAY: 1,
+  BOOL: 2,
+  NULL: 3,
+  NUMBER: 4,
+  OBJECT: 5,
+  'PTYPE<BINARY>': 6,
+  'PTYPE<GEOMETRY>': 7,
+  'PTYPE<TIME>': 8,
+  STRING: 9
+};
+
+class ReqlError extends Error {
+  /**
+   * Error raised while evaluating a query.
+   * @param {string} message
+   * @param {string=} type One of the keys of `protodef.Response.ErrorType`,
+   * default "QUERY_LOGIC"
+   */
+  constructor(message, type) {
+    super(message);
+    this.type = type || 'QUERY_LOGIC';
+  }
+}
+
+function nonExistence(message) {
+  return new ReqlError(message, 'NON_EXISTENCE');
+}
+
+/**
+ * Return the ReQL type name of a datum.
+ * @param {*} value
+ * @return {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'NULL';
+  if (typeof value === 'boolean') return 'BOOL';
+  if (typeof value === 'number') return 'NUMBER';
+  if (typeof value === 'string') return 'STRING';
+  if (Array.isArray(value)) return 'ARRAY';
+  if ((value === MINVAL) || (value === MAXVAL)) return value.$memory_bound$.toUpperCase();
+  if (typeof value.$reql_type$ === 'string') return 'PTYPE<' + value.$reql_type$ + '>';
+  return 'OBJECT';
+}
+
+function isObject(value) {
+  return (value !== null) && (typeof value === 'object') && (typeOf(value) === 'OBJECT');
+}
+
+/**
+ * Deep copy a datum.
+ * @param {*} value
+ * @return {*}
+ */
+function copy(value) {
+  if ((value === null) || (typeof value !== 'object')) return value;
+  if (Array.isArray(value)) return value.map(copy);
+
+  let result = {};
+  util.loopKeys(value, (obj, field) => { result[field] = copy(obj[field]); });
+  return result;
+}
+
+/**
+ * Compare two datums with the ordering of ReQL.
+ * @param {*} a
+ * @param {*} b
+ * @return {number} A negative number if `a < b`, 0 if equal, positive otherwise
+ */
+function compare(a, b) {
+  if (a === b) return 0;
+  if ((a === MINVAL) || (b === MAXVAL)) return -1;
+  if ((a === MAXVAL) || (b === MINVAL)) return 1;
+
+  let typeA = typeOf(a), typeB = typeOf(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER[typeA] - TYPE_ORDER[typeB];
+  }
+
+  switch (typeA) {
+  case 'NULL':
+    return 0;
+  case 'BOOL':
+    return a ? 1 : -1; // a !== b
+  case 'NUMBER':
+  case 'STRING':
+    if (a < b) return -1;
+    return (a > b) ? 1 : 0;
+  case 'ARRAY':
+    for (let i = 0, ii = Math.min(a.length, b.length); i < ii; ++i) {
+      let result = compare(a[i], b[i]);
+      if (result !== 0) return result;
+    }
+    return a.length - b.length;
+  case 'PTYPE<TIME>':
+    return compare(a.epoch_time, b.epoch_time);
+  case 'PTYPE<BINARY>':
+    return compare(Buffer.from(a.data, 'base64').toString('binary'), Buffer.from(b.data, 'base64').toString('binary'));
+  default: // OBJECT and GEOMETRY, compared as sorted key/value pairs
+    let keysA = Object.keys(a).sort(), keysB = Object.keys(b).sort();
+    for (let i = 0, ii = Math.min(keysA.length, keysB.length); i < ii; ++i) {
+      let result = compare(keysA[i], keysB[i]) || compare(a[keysA[i]], b[keysB[i]]);
+      if (result !== 0) return result;
+    }
+    return keysA.length - keysB.length;
+  }
+}
+
+function equals(a, b) {
+  return compare(a, b) === 0;
+}
+
+/**
+ * Return a string uniquely identifying a datum, two equal datums (as defined
+ * by `compare`) have the same key.
+ * @param {*} value
+ * @return {string}
+ */
+function key(value) {
+  switch (typeOf(value)) {
+  case 'ARRAY':
+    return '[' + value.map(key).join(',') + ']';
+  case 'OBJECT':
+  case 'PTYPE<GEOMETRY>':
+    return '{' + Object.keys(value).sort().map(field => JSON.stringify(field) + ':' + key(value[field])).join(',') + '}';
+  case 'PTYPE<TIME>':
+    return 'time:' + value.epoch_time;
+  case 'PTYPE<BINARY>':
+    return 'binary:' + value.data;
+  default:
+    return JSON.stringify(value);
+  }
+}
+
+/**
+ * Whether a datum can be used as a primary key or as the value of an index.
+ * @param {*} value
+ * @return {boolean}
+ */
+function isKey(value) {
+  let type = typeOf(value);
+  if (type === 'ARRAY') return value.every(isKey);
+  return (type === 'NUMBER') || (type === 'STRING') || (type === 'BOOL') ||
+    (type === 'PTYPE<TIME>') || (type === 'PTYPE<BINARY>');
+}
+
+/**
+ * Pretty print a datum the way RethinkDB does in its error messages.
+ * @param {*} value
+ * @return {string}
+ */
+function print(value) {
+  return JSON.stringify(value, null, '\t').replace(/": /g, '":\t');
+}
+
+/**
+ * Truthiness of a datum in ReQL: only `false` and `null` are falsy.
+ * @param {*} value
+ * @return {boolean}
+ */
+function isTruthy(value) {
+  return (value !== false) && (value !== null);
+}
+
+function makeTime(epochTime, timezone) {
+  return { $reql_type$: 'TIME', epoch_time: epochTime, timezone: timezone || '+00:00' };
+}
+
+/**
+ * Parse an ISO 8601 string to a time.
+ * @param {string} value
+ * @return {Object}
+ */
+function parseTime(value) {
+  let epoch = Date.parse(value);
+  if (isNaN(epoch)) {
+    throw new ReqlError('Invalid date string `' + value + '`.');
+  }
+
+  let timezone = value.match(/([+-]\d\d:?\d\d|Z)$/);
+  timezone = (timezone === null || timezone[1] === 'Z') ? '+00:00' : timezone[1];
+  return makeTime(epoch / 1000, timezone);
+}
+
+/**
+ * Generate a random UUID, or a deterministic one (version 5) from a string.
+ * @param {string=} name
+ * @return {string}
+ */
+function uuid(name) {
+  let bytes;
+  if (name === undefined) {
+    bytes = crypto.randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  } else {
+    // Namespace used by RethinkDB for `r.uuid(string)`
+    let namespace = Buffer.from('91461c9928a24dcd9d69c0da2d4e8a8b', 'hex');
+    bytes = crypto.createHash('sha1').update(namespace).update(name).digest().slice(0, 16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x50;
+  }
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  let hex = bytes.toString('hex');
+  return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+}
+
+module.exports = {
+  MINVAL: MINVAL,
+  MAXVAL: MAXVAL,
+  ReqlError: ReqlError,
+  nonExistence: nonExistence,
+  typeOf: typeOf,
+  isObject: isObject,
+  copy: copy,
+  compare: compare,
+  equals: equals,
+  key: key,
+  isKey: isKey,
+  print: print,
+  isTruthy: isTruthy,
+  makeTime: makeTime,
+  parseTime: parseTime,
+  uuid: uuid
+};
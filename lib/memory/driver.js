@@ -0,0 +1,43 @@
+'use strict';
+const Promise = require('bluebird'),
+      protodef = require('rethinkdbdash/lib/protodef'),
+      Connection = require('rethinkdbdash/lib/connection'),
+      Metadata = require('rethinkdbdash/lib/metadata');
+
+/**
+ * The internals of rethinkdbdash used by the in-memory driver, so that they
+ * are only reached from this module: the definitions of the protocol, the
+ * metadata of the queries and the processing of the responses by a
+ * connection, and the pool of connections of an instance.
+ */
+let driver = module.exports = {};
+
+driver.protodef = protodef;
+driver.Metadata = Metadata;
+
+/**
+ * Process the responses of a connection with the code of rethinkdbdash, so
+ * that cursors, feeds and errors behave like with a real connection.
+ * @param {Function} MemoryConnection The class of the connection
+ */
+driver.processResponses = function(MemoryConnection) {
+  [ '_processResponse', '_continue', '_end' ].forEach(key => {
+    MemoryConnection.prototype[key] = Connection.prototype[key];
+  });
+};
+
+/**
+ * Run the queries of an instance of rethinkdbdash that are not given a
+ * connection on a single connection, instead of its pool.
+ * @param {Object} r The instance of rethinkdbdash, created with `pool: false`
+ * @param {MemoryConnection} connection
+ */
+driver.usePool = function(r, connection) {
+  r._poolMaster = {
+    getConnection: () => Promise.resolve(connection),
+    getPools: () => [],
+    getLength: () => 1,
+    getAvailableLength: () => 1,
+    drain: () => connection.close()
+  };
+};
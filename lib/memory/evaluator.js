@@ -0,0 +1,212 @@
+'use strict';
+const protodef = require('./driver').protodef,
+      datum = require('./datum'),
+      values = require('./values'),
+      terms = require('./terms');
+
+// Term type id -> name, e.g. 15 -> "TABLE"
+const TERM_NAMES = {};
+Object.keys(protodef.Term.TermType).forEach(name => {
+  TERM_NAMES[protodef.Term.TermType[name]] = name;
+});
+
+// Terms that are not applied to each group of a GROUPED_DATA
+const NOT_GROUPED = { UNGROUP: true, TYPE_OF: true, INFO: true, FUNCALL: true };
+
+class Evaluator {
+  /**
+   * Evaluate the terms of a query, as sent on the wire by rethinkdbdash.
+   * @param {Server} server
+   * @param {Object=} options
+   *  - `db` {string} The default database
+   *  - `tables` {Map} Tables to use in place of the stored ones
+   */
+  constructor(server, options) {
+    options = options || {};
+    this.server = server;
+    this.db = options.db || 'test';
+    this.tables = options.tables || null;
+
+    // The tables read by the query, listened to by changefeeds
+    this.read = new Set();
+
+    // `r.now()` returns the same time for the whole query.
+    this.now = datum.makeTime(Date.now() / 1000);
+  }
+
+  /**
+   * Evaluate a term.
+   * @param {*} term
+   * @param {Object=} env The variables in scope
+   * @return {*} A datum or one of the values defined in `values`
+   */
+  evaluate(term, env) {
+    env = env || {};
+    if (Array.isArray(term)) {
+      let name = TERM_NAMES[term[0]];
+      let args = term[1] || [];
+      let optargs = term[2] || {};
+
+      switch (name) {
+      case 'FUNC':
+        return new values.Func(this, args[0][1], args[1], env);
+      case 'VAR':
+        if (!(args[0] in env)) throw new datum.ReqlError('Variable `' + args[0] + '` is not in scope.');
+        return env[args[0]];
+      case 'IMPLICIT_VAR':
+        if (!('$implicit' in env)) throw new datum.ReqlError('r.row is not defined in this context.');
+        return env.$implicit;
+      case 'BRANCH':
+        return this._branch(args, env);
+      case 'AND':
+      case 'OR':
+        return this._logical(name, args, env);
+      case 'DEFAULT':
+        return this._default(args, env);
+      case 'CHANGES':
+        throw new datum.ReqlError('The in-memory driver only supports `changes` at the root of a query.');
+      default:
+        break;
+      }
+
+      if (typeof terms[name] !== 'function') {
+        throw new datum.ReqlError('The term `' + (name || term[0]) + '` is not supported by the in-memory driver.');
+      }
+
+      let evaluatedArgs = this.evaluateArgs(args, env);
+      let evaluatedOptargs = {};
+      Object.keys(optargs).forEach(key => {
+        evaluatedOptargs[key] = values.toDatumOrValue(this.evaluate(optargs[key], env));
+      });
+
+      if ((evaluatedArgs[0] instanceof values.Grouped) && (NOT_GROUPED[name] !== true)) {
+        return new values.Grouped(evaluatedArgs[0].groups.map(group => ({
+          group: group.group,
+          value: terms[name].call(this, [ group.value ].concat(evaluatedArgs.slice(1)), evaluatedOptargs, env)
+        })));
+      }
+
+      return terms[name].call(this, evaluatedArgs, evaluatedOptargs, env);
+    }
+
+    if ((term !== null) && (typeof term === 'object')) {
+      if (typeof term.$reql_type$ === 'string') return datum.copy(term);
+
+      let result = {};
+      Object.keys(term).forEach(key => {
+        result[key] = values.toDatum(this.evaluate(term[key], env));
+      });
+      return result;
+    }
+
+    return term;
+  }
+
+  /**
+   * Evaluate the arguments of a term, splicing `r.args`.
+   * @param {Array} args
+   * @param {Object} env
+   * @return {Array}
+   */
+  evaluateArgs(args, env) {
+    let result = [];
+    for (let i = 0, ii = args.length; i < ii; ++i) {
+      if (Array.isArray(args[i]) && (TERM_NAMES[args[i][0]] === 'ARGS')) {
+        let spliced = values.toDatum(this.evaluate(args[i][1][0], env));
+        if (!Array.isArray(spliced)) {
+          throw new datum.ReqlError('Expected type ARRAY but found ' + datum.typeOf(spliced) + '.');
+        }
+        result.push.apply(result, spliced);
+      } else {
+        result.push(this.evaluate(args[i], env));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Call a function, or return the value if it is not one.
+   * @param {*} fn
+   * @param {Array} args
+   * @return {*}
+   */
+  call(fn, args) {
+    return (fn instanceof values.Func) ? fn.call(args) : fn;
+  }
+
+  /**
+   * Retrieve a table.
+   * @param {string} db
+   * @param {string} name
+   * @return {Table}
+   */
+  table(db, name) {
+    let table = this.server.table(db, name);
+    this.read.add(table);
+    if ((this.tables !== null) && this.tables.has(table)) {
+      return this.tables.get(table);
+    }
+    return table;
+  }
+
+  /**
+   * Read the entries of an index, see `Table#index`. Documents for which the
+   * index function fails are not indexed.
+   * @param {Table} table
+   * @param {string} name
+   * @return {Array}
+   */
+  index(table, name) {
+    return table.index(name, (index, doc) => {
+      try {
+        let value = values.toDatum(this.evaluate(index.function).call([ doc ]));
+        return (value === null) ? undefined : value;
+      } catch (error) {
+        if (error instanceof datum.ReqlError) return undefined;
+        throw error;
+      }
+    });
+  }
+
+  _branch(args, env) {
+    for (let i = 0; i < args.length - 1; i += 2) {
+      if (datum.isTruthy(values.toDatum(this.evaluate(args[i], env)))) {
+        return this.evaluate(args[i + 1], env);
+      }
+    }
+    return this.evaluate(args[args.length - 1], env);
+  }
+
+  _logical(name, args, env) {
+    let value = (name === 'AND');
+    for (let i = 0, ii = args.length; i < ii; ++i) {
+      value = values.toDatum(this.evaluate(args[i], env));
+      if (datum.isTruthy(value) !== (name === 'AND')) return value;
+    }
+    return value;
+  }
+
+  _default(args, env) {
+    let value, error;
+    try {
+      value = this.evaluate(args[0], env);
+      if ((value instanceof values.SingleSelection) ? (value.doc !== null) : (values.toDatumOrValue(value) !== null)) {
+        return value;
+      }
+    } catch (err) {
+      if (!(err instanceof datum.ReqlError) || (err.type !== 'NON_EXISTENCE')) throw err;
+      error = err;
+    }
+
+    let fallback = this.evaluate(args[1], env);
+    if (fallback instanceof values.Func) {
+      return fallback.call([ (error !== undefined) ? error.message : null ]);
+    }
+    return fallback;
+  }
+}
+
+Evaluator.TERM_NAMES = TERM_NAMES;
+Evaluator.TERM_IDS = protodef.Term.TermType;
+
+module.exports = Evaluator;
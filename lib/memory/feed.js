@@ -0,0 +1,211 @@
+'use strict';
+const protodef = require('./driver').protodef,
+      datum = require('./datum'),
+      values = require('./values');
+
+const TERM_IDS = protodef.Term.TermType,
+      NOTES = protodef.Response.ResponseNote;
+
+class ChangeFeed {
+  /**
+   * A changefeed, listening to the writes of the tables read by its query.
+   *
+   * Point changefeeds and changefeeds on a single value are evaluated again
+   * after each write, like `orderBy().limit()` feeds which are diffed with
+   * their previous result. Other feeds evaluate their query on the old and
+   * new versions of the document written only.
+   *
+   * @param {Evaluator} evaluator
+   * @param {Array} term The `changes` term
+   */
+  constructor(evaluator, term) {
+    this.evaluator = evaluator;
+    this.source = term[1][0];
+
+    let optargs = evaluator.evaluate(term[2] || {});
+    this.includeStates = optargs.include_states === true;
+    this.includeTypes = optargs.include_types === true;
+
+    let value = evaluator.evaluate(this.source);
+    if (Array.isArray(value) || (value instanceof values.Grouped)) {
+      throw new datum.ReqlError('Cannot call `changes` on an eager stream.');
+    }
+
+    let initial;
+    if ((value instanceof values.SingleSelection) || !values.isSequence(value)) {
+      this.kind = 'atom';
+      this.value = values.toDatum(value);
+      initial = [ { new_val: this.value } ];
+    } else if (isOrderByLimit(this.source)) {
+      this.kind = 'orderByLimit';
+      this.value = values.toArray(value);
+      initial = this.value.map(doc => ({ new_val: doc }));
+    } else {
+      this.kind = 'sequence';
+      initial = values.toArray(value).map(doc => ({ new_val: doc }));
+    }
+
+    this.notes = [ { atom: NOTES.ATOM_FEED, orderByLimit: NOTES.ORDER_BY_LIMIT_FEED, sequence: NOTES.SEQUENCE_FEED }[this.kind] ];
+    if (this.includeStates) this.notes.push(NOTES.INCLUDES_STATES);
+
+    // The first batch, sent with the response to the query
+    this.initial = [];
+    if (this.includeStates) this._push(this.initial, { state: 'initializing' }, 'state');
+    if (optargs.include_initial === true) {
+      initial.forEach(change => this._push(this.initial, change, 'initial'));
+    }
+    if (this.includeStates) this._push(this.initial, { state: 'ready' }, 'state');
+
+    this.closed = false;
+    this._buffer = [];
+    this._callback = null;
+    this._tables = evaluator.read;
+    this._tables.forEach(table => table.addFeed(this));
+  }
+
+  /**
+   * Called by the tables after each write.
+   * @param {Object|null} oldDoc
+   * @param {Object|null} newDoc
+   */
+  notify(oldDoc, newDoc) {
+    let changes;
+    try {
+      changes = this._changes(oldDoc, newDoc);
+    } catch (error) {
+      if (!(error instanceof datum.ReqlError)) throw error;
+      return; // Like a filter that fails, a document that cannot be evaluated is skipped.
+    }
+
+    changes.forEach(change => {
+      let type = 'change';
+      if (change.old_val === null) type = 'add';
+      if (change.new_val === null) type = 'remove';
+      this._push(this._buffer, change, type);
+    });
+    this._flush();
+  }
+
+  /**
+   * Wait for the next changes.
+   * @param {Function} callback Called with the changes, `null` once the feed
+   * is closed
+   */
+  next(callback) {
+    this._callback = callback;
+    this._flush();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this._tables.forEach(table => table.removeFeed(this));
+    this._flush();
+  }
+
+  _flush() {
+    if (this._callback === null) return;
+    if (this._buffer.length === 0 && !this.closed) return;
+
+    let callback = this._callback;
+    let changes = this._buffer;
+    this._callback = null;
+    this._buffer = [];
+    callback((changes.length > 0) ? changes : null);
+  }
+
+  _push(target, change, type) {
+    if (this.includeTypes) change.type = type;
+    target.push(change);
+  }
+
+  /**
+   * Compute the changes caused by a write.
+   */
+  _changes(oldDoc, newDoc) {
+    if (this.kind === 'atom') {
+      let value = values.toDatum(this._evaluate());
+      if (datum.equals(value, this.value)) return [];
+
+      let change = { new_val: value, old_val: this.value };
+      this.value = value;
+      return [ change ];
+    }
+
+    if (this.kind === 'orderByLimit') {
+      let items = values.toArray(this._evaluate());
+      let changes = diff(this.value, items, this.evaluator.read);
+      this.value = items;
+      return changes;
+    }
+
+    let oldItems = (oldDoc === null) ? [] : values.toArray(this._evaluate(oldDoc));
+    let newItems = (newDoc === null) ? [] : values.toArray(this._evaluate(newDoc));
+    let changes = [];
+    for (let i = 0, ii = Math.max(oldItems.length, newItems.length); i < ii; ++i) {
+      let change = {
+        new_val: (i < newItems.length) ? newItems[i] : null,
+        old_val: (i < oldItems.length) ? oldItems[i] : null
+      };
+      if (!datum.equals(change.new_val, change.old_val)) changes.push(change);
+    }
+    return changes;
+  }
+
+  /**
+   * Evaluate the query, on the tables holding only `doc` if provided.
+   * @param {Object=} doc
+   * @return {*}
+   */
+  _evaluate(doc) {
+    let Evaluator = this.evaluator.constructor;
+    let options = { db: this.evaluator.db };
+    if (doc !== undefined) {
+      options.tables = new Map();
+      this._tables.forEach(table => options.tables.set(table, table.snapshot([ doc ])));
+    }
+    return new Evaluator(this.evaluator.server, options).evaluate(this.source);
+  }
+}
+
+function isOrderByLimit(term) {
+  return Array.isArray(term) && (term[0] === TERM_IDS.LIMIT) &&
+    Array.isArray(term[1][0]) && (term[1][0][0] === TERM_IDS.ORDER_BY) &&
+    (term[1][0][2] !== undefined) && (term[1][0][2].index !== undefined);
+}
+
+/**
+ * The changes between two results of an `orderBy().limit()` query. Documents
+ * leaving the result are paired with the ones entering it.
+ * @param {Array} oldItems
+ * @param {Array} newItems
+ * @param {Set} tables The tables read by the query
+ * @return {Array}
+ */
+function diff(oldItems, newItems, tables) {
+  let pk = tables.values().next().value.primaryKey;
+  let oldDocs = new Map(oldItems.map(doc => [ datum.key(doc[pk]), doc ]));
+  let newDocs = new Map(newItems.map(doc => [ datum.key(doc[pk]), doc ]));
+
+  let changes = [], removed = [], added = [];
+  oldDocs.forEach((doc, key) => {
+    if (!newDocs.has(key)) {
+      removed.push(doc);
+    } else if (!datum.equals(doc, newDocs.get(key))) {
+      changes.push({ new_val: newDocs.get(key), old_val: doc });
+    }
+  });
+  newDocs.forEach((doc, key) => {
+    if (!oldDocs.has(key)) added.push(doc);
+  });
+
+  for (let i = 0, ii = Math.max(removed.length, added.length); i < ii; ++i) {
+    changes.push({
+      new_val: (i < added.length) ? added[i] : null,
+      old_val: (i < removed.length) ? removed[i] : null
+    });
+  }
+  return changes;
+}
+
+module.exports = ChangeFeed;
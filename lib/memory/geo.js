@@ -0,0 +1,175 @@
+'use strict';
+const datum = require('./datum');
+
+/**
+ * Geometry for the in-memory driver. Distances are computed on a sphere and
+ * polygons are tested in the plane of their coordinates, which is good enough
+ * for small areas.
+ */
+
+const EARTH_RADIUS = 6371008.8; // in meters
+
+const UNITS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  nm: 1852,
+  ft: 0.3048
+};
+
+function geometry(type, coordinates) {
+  return { $reql_type$: 'GEOMETRY', type: type, coordinates: coordinates };
+}
+
+function coordinatesOf(value) {
+  if (Array.isArray(value)) return value;
+  if ((datum.typeOf(value) === 'PTYPE<GEOMETRY>') && (value.type === 'Point')) return value.coordinates;
+  throw new datum.ReqlError('Expected a point but found ' + datum.typeOf(value) + '.');
+}
+
+function unitOf(unit) {
+  if (unit === undefined) return 1;
+  if (UNITS[unit] === undefined) {
+    throw new datum.ReqlError('Unrecognized distance unit `' + unit + '`.');
+  }
+  return UNITS[unit];
+}
+
+function point(longitude, latitude) {
+  if ((longitude < -180) || (longitude > 180)) {
+    throw new datum.ReqlError('Longitude must be between -180 and 180.  Got ' + longitude + '.');
+  }
+  if ((latitude < -90) || (latitude > 90)) {
+    throw new datum.ReqlError('Latitude must be between -90 and 90.  Got ' + latitude + '.');
+  }
+  return geometry('Point', [ longitude, latitude ]);
+}
+
+function line(points) {
+  return geometry('LineString', points.map(coordinatesOf));
+}
+
+function polygon(points) {
+  let ring = points.map(coordinatesOf);
+  if (!datum.equals(ring[0], ring[ring.length - 1])) {
+    ring.push(ring[0]);
+  }
+  return geometry('Polygon', [ ring ]);
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+/**
+ * Great circle distance between two points.
+ * @return {number} The distance in `unit` (meters by default)
+ */
+function distance(a, b, unit) {
+  a = coordinatesOf(a);
+  b = coordinatesOf(b);
+  let dLat = toRadians(b[1] - a[1]);
+  let dLon = toRadians(b[0] - a[0]);
+  let h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(a[1])) * Math.cos(toRadians(b[1])) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h))) / unitOf(unit);
+}
+
+/**
+ * Approximate a circle with a polygon, like RethinkDB does.
+ */
+function circle(center, radius, options) {
+  center = coordinatesOf(center);
+  let vertices = (options.num_vertices !== undefined) ? options.num_vertices : 32;
+  let angularRadius = radius * unitOf(options.unit) / EARTH_RADIUS;
+  let lat = toRadians(center[1]), lon = toRadians(center[0]);
+
+  let ring = [];
+  for (let i = 0; i < vertices; ++i) {
+    let bearing = 2 * Math.PI * i / vertices;
+    let vertexLat = Math.asin(Math.sin(lat) * Math.cos(angularRadius) +
+      Math.cos(lat) * Math.sin(angularRadius) * Math.cos(bearing));
+    let vertexLon = lon + Math.atan2(Math.sin(bearing) * Math.sin(angularRadius) * Math.cos(lat),
+      Math.cos(angularRadius) - Math.sin(lat) * Math.sin(vertexLat));
+    ring.push([ toDegrees(vertexLon), toDegrees(vertexLat) ]);
+  }
+
+  if (options.fill === false) {
+    ring.push(ring[0]);
+    return geometry('LineString', ring);
+  }
+  return polygon(ring);
+}
+
+function fromGeoJSON(value) {
+  if ([ 'Point', 'LineString', 'Polygon' ].indexOf(value.type) === -1) {
+    throw new datum.ReqlError('Unrecognized GeoJSON type `' + value.type + '`.');
+  }
+  return geometry(value.type, datum.copy(value.coordinates));
+}
+
+function toGeoJSON(value) {
+  return { type: value.type, coordinates: datum.copy(value.coordinates) };
+}
+
+function fill(value) {
+  if (value.type !== 'LineString') {
+    throw new datum.ReqlError('Expected a LineString but found a ' + value.type + '.');
+  }
+  return polygon(value.coordinates);
+}
+
+/**
+ * The points of a geometry, and the rings of polygons.
+ */
+function pointsOf(value) {
+  if (value.type === 'Point') return [ value.coordinates ];
+  if (value.type === 'LineString') return value.coordinates;
+  return value.coordinates[0];
+}
+
+function inRing(coordinates, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    let xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+    if (((yi > coordinates[1]) !== (yj > coordinates[1])) &&
+        (coordinates[0] < (xj - xi) * (coordinates[1] - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function containsPoint(value, coordinates) {
+  if (value.type === 'Polygon') {
+    return inRing(coordinates, value.coordinates[0]) &&
+      value.coordinates.slice(1).every(hole => !inRing(coordinates, hole));
+  }
+  return pointsOf(value).some(other => datum.equals(other, coordinates));
+}
+
+function includes(a, b) {
+  return pointsOf(b).every(coordinates => containsPoint(a, coordinates));
+}
+
+function intersects(a, b) {
+  return pointsOf(b).some(coordinates => containsPoint(a, coordinates)) ||
+    pointsOf(a).some(coordinates => containsPoint(b, coordinates));
+}
+
+module.exports = {
+  point: point,
+  line: line,
+  polygon: polygon,
+  circle: circle,
+  distance: distance,
+  fromGeoJSON: fromGeoJSON,
+  toGeoJSON: toGeoJSON,
+  fill: fill,
+  includes: includes,
+  intersects: intersects
+};
@@ -0,0 +1,44 @@
+'use strict';
+const Promise = require('bluebird'),
+      rethinkdbdash = require('rethinkdbdash'),
+      Server = require('./server'),
+      MemoryConnection = require('./connection'),
+      driver = require('./driver');
+
+/**
+ * Create an instance of rethinkdbdash running its queries in memory, to pass
+ * as `config.r`. It supports the queries built by the models, queries and
+ * documents (writes, joins, indexes, changefeeds...) but not JavaScript or
+ * HTTP terms, and geometry is approximated.
+ *
+ * @param {Object=} options
+ *  - `db` {string} The default database, default "test"
+ *  - `cursor` {boolean} Return cursors instead of arrays, like rethinkdbdash
+ *  - `stream` {boolean} Return streams instead of arrays, like rethinkdbdash
+ *  - `server` {Server} Share the databases of another instance
+ * @return {Object} An instance of rethinkdbdash, with the `memoryServer` holding the data
+ */
+function memory(options) {
+  options = options || {};
+  let r = rethinkdbdash({ pool: false, cursor: options.cursor, stream: options.stream });
+  let server = options.server || new Server();
+  let connection = new MemoryConnection(r, server, options.db || 'test');
+
+  // Queries run without a connection use this one.
+  driver.usePool(r, connection);
+
+  r.connect = function(connectOptions, callback) {
+    if (typeof connectOptions === 'function') {
+      callback = connectOptions;
+      connectOptions = {};
+    }
+    connectOptions = connectOptions || {};
+    return Promise.resolve(new MemoryConnection(r, server, connectOptions.db || 'test')).asCallback(callback);
+  };
+
+  r.memoryServer = server;
+  return r;
+}
+
+module.exports = memory;
+module.exports.Server = Server;
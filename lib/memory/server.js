@@ -0,0 +1,213 @@
+'use strict';
+const datum = require('./datum'),
+      values = require('./values'),
+      Evaluator = require('./evaluator'),
+      ChangeFeed = require('./feed');
+
+const ReqlError = datum.ReqlError,
+      TERM_IDS = Evaluator.TERM_IDS;
+
+class Server {
+  /**
+   * The databases of the in-memory driver. Like a fresh RethinkDB server, it
+   * starts with an empty `test` database.
+   */
+  constructor() {
+    this._dbs = new Map(); // name -> Map of name -> Table
+    this._dbs.set('test', new Map());
+  }
+
+  /**
+   * Run a query sent by the driver.
+   * @param {Array} term The query, in its wire format
+   * @param {Object} globalOptargs The options of `run`, `db` is a term
+   * @return {Object} `{ atom }`, `{ sequence }` or `{ feed }`
+   */
+  run(term, globalOptargs) {
+    // `db` is the term `r.db(name)`, the database is only required to exist when used.
+    let db = 'test';
+    if (globalOptargs.db !== undefined) {
+      db = new Evaluator(this).evaluate(globalOptargs.db[1][0]);
+    }
+
+    let evaluator = new Evaluator(this, { db: db });
+    if (Array.isArray(term) && (Evaluator.TERM_NAMES[term[0]] === 'CHANGES')) {
+      return { feed: new ChangeFeed(evaluator, term) };
+    }
+
+    let value = evaluator.evaluate(term);
+    if (value instanceof values.Grouped) {
+      return { atom: JSON.parse(JSON.stringify({
+        $reql_type$: 'GROUPED_DATA',
+        data: value.groups.map(group => [ group.group, values.toDatum(group.value) ])
+      })) };
+    }
+    if ((value instanceof values.Table) || (value instanceof values.Stream) ||
+        ((value instanceof values.Selection) && (value.type !== 'SELECTION<ARRAY>'))) {
+      return { sequence: JSON.parse(JSON.stringify(values.toArray(value))) };
+    }
+    if ((value instanceof values.Db) || (value instanceof values.Func) || (value instanceof values.Ordering)) {
+      throw new ReqlError('Query result must be of type DATUM, GROUPED_DATA, or STREAM (got ' + values.typeName(value) + ').');
+    }
+    return { atom: JSON.parse(JSON.stringify(values.stripLiterals(values.toDatum(value)))) };
+  }
+
+  /**
+   * Retrieve the tables of a database.
+   * @param {string} name
+   * @return {Map}
+   */
+  db(name) {
+    if (!this._dbs.has(name)) {
+      throw new ReqlError('Database `' + name + '` does not exist.', 'OP_FAILED');
+    }
+    return this._dbs.get(name);
+  }
+
+  table(db, name) {
+    let tables = this.db(db);
+    if (!tables.has(name)) {
+      throw new ReqlError('Table `' + db + '.' + name + '` does not exist.', 'OP_FAILED');
+    }
+    return tables.get(name);
+  }
+
+  dbCreate(name) {
+    if (this._dbs.has(name)) {
+      throw new ReqlError('Database `' + name + '` already exists.', 'OP_FAILED');
+    }
+    this._dbs.set(name, new Map());
+    return { config_changes: [ { new_val: { id: name, name: name }, old_val: null } ], dbs_created: 1 };
+  }
+
+  dbDrop(name) {
+    let tables = this.db(name);
+    tables.forEach(table => table.closeFeeds());
+    this._dbs.delete(name);
+    return {
+      config_changes: [ { new_val: null, old_val: { id: name, name: name } } ],
+      dbs_dropped: 1,
+      tables_dropped: tables.size
+    };
+  }
+
+  dbList() {
+    return Array.from(this._dbs.keys()).sort();
+  }
+
+  tableCreate(db, name, optargs) {
+    let tables = this.db(db);
+    if (tables.has(name)) {
+      throw new ReqlError('Table `' + db + '.' + name + '` already exists.', 'OP_FAILED');
+    }
+    let table = new values.Table(db, name, optargs.primary_key || 'id', optargs.durability);
+    tables.set(name, table);
+    return { config_changes: [ { new_val: this.tableConfig(table), old_val: null } ], tables_created: 1 };
+  }
+
+  tableDrop(db, name) {
+    let table = this.table(db, name);
+    table.closeFeeds();
+    this._dbs.get(db).delete(name);
+    return { config_changes: [ { new_val: null, old_val: this.tableConfig(table) } ], tables_dropped: 1 };
+  }
+
+  tableList(db) {
+    return Array.from(this.db(db).keys()).sort();
+  }
+
+  /**
+   * The result of `table.config()`.
+   * @param {Table} table
+   * @return {Object}
+   */
+  tableConfig(table) {
+    return {
+      db: table.db,
+      durability: table.durability,
+      id: table.id,
+      indexes: Object.keys(table.indexes).sort(),
+      name: table.name,
+      primary_key: table.primaryKey,
+      shards: [ { nonvoting_replicas: [], primary_replica: 'memory', replicas: [ 'memory' ] } ],
+      write_acks: 'majority'
+    };
+  }
+
+  /**
+   * Create a secondary index.
+   * @param {Table} table
+   * @param {string} name
+   * @param {Func|Array=} fn The function of the index, or its wire format,
+   * default the field `name`
+   * @param {Object} optargs `multi` and `geo`
+   */
+  indexCreate(table, name, fn, optargs) {
+    if ((name === table.primaryKey) || (table.indexes[name] !== undefined)) {
+      throw new ReqlError('Index `' + name + '` already exists on table `' + table.db + '.' + table.name + '`.', 'OP_FAILED');
+    }
+
+    // Like RethinkDB, an index on a field stores the function `r.row(name)`.
+    if (fn === undefined) {
+      fn = [ TERM_IDS.FUNC, [ [ TERM_IDS.MAKE_ARRAY, [ 1 ] ], [ TERM_IDS.BRACKET, [ [ TERM_IDS.VAR, [ 1 ] ], name ] ] ] ];
+    } else if (fn instanceof values.Func) {
+      fn = [ TERM_IDS.FUNC, [ [ TERM_IDS.MAKE_ARRAY, fn.params ], fn.body ] ];
+    }
+    table.indexes[name] = {
+      function: fn,
+      multi: optargs.multi === true,
+      geo: optargs.geo === true
+    };
+    return { created: 1 };
+  }
+
+  indexDrop(table, name) {
+    this._index(table, name);
+    delete table.indexes[name];
+    return { dropped: 1 };
+  }
+
+  indexRename(table, oldName, newName, overwrite) {
+    let index = this._index(table, oldName);
+    if (oldName === newName) return { renamed: 0 };
+    if ((newName === table.primaryKey) || ((table.indexes[newName] !== undefined) && !overwrite)) {
+      throw new ReqlError('Index `' + newName + '` already exists on table `' + table.db + '.' + table.name + '`.', 'OP_FAILED');
+    }
+
+    delete table.indexes[oldName];
+    table.indexes[newName] = index;
+    return { renamed: 1 };
+  }
+
+  /**
+   * The result of `indexStatus` for one index. The function is the wire
+   * format of its term, which can be passed back to `indexCreate`.
+   * @param {Table} table
+   * @param {string} name
+   * @return {Object}
+   */
+  indexStatus(table, name) {
+    let index = table.indexes[name];
+    if (index === undefined) {
+      throw new ReqlError('Index `' + name + '` was not found on table `' + table.db + '.' + table.name + '`.', 'OP_FAILED');
+    }
+
+    return {
+      function: { $reql_type$: 'BINARY', data: Buffer.from(JSON.stringify(index.function)).toString('base64') },
+      geo: index.geo,
+      index: name,
+      multi: index.multi,
+      outdated: false,
+      ready: true
+    };
+  }
+
+  _index(table, name) {
+    if (table.indexes[name] === undefined) {
+      throw new ReqlError('Index `' + name + '` does not exist on table `' + table.db + '.' + table.name + '`.', 'OP_FAILED');
+    }
+    return table.indexes[name];
+  }
+}
+
+module.exports = Server;
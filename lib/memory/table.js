@@ -0,0 +1,153 @@
+'use strict';
+const crypto = require('crypto'),
+      datum = require('./datum');
+
+class Table {
+  /**
+   * A table kept in memory. Documents are indexed by the key of their primary
+   * key, and secondary indexes are computed lazily and dropped after each write.
+   * @param {string} db The name of the database
+   * @param {string} name The name of the table
+   * @param {string} primaryKey
+   * @param {string=} durability "hard" (default) or "soft", only reported
+   */
+  constructor(db, name, primaryKey, durability) {
+    this.db = db;
+    this.name = name;
+    this.primaryKey = primaryKey;
+    this.durability = durability || 'hard';
+    this.id = crypto.randomBytes(16).toString('hex');
+
+    this._docs = new Map();
+    this._sorted = null;
+
+    // name -> { function: wire term of the function, multi: boolean, geo: boolean }
+    this.indexes = {};
+    this._indexCache = {};
+
+    this._feeds = new Set();
+  }
+
+  /**
+   * Retrieve a document by primary key.
+   * @param {*} value
+   * @return {Object|null}
+   */
+  get(value) {
+    let doc = this._docs.get(datum.key(value));
+    return (doc === undefined) ? null : doc;
+  }
+
+  /**
+   * All the documents, ordered by primary key.
+   * @return {Array}
+   */
+  all() {
+    if (this._sorted === null) {
+      let pk = this.primaryKey;
+      this._sorted = Array.from(this._docs.values())
+        .sort((a, b) => datum.compare(a[pk], b[pk]));
+    }
+    return this._sorted;
+  }
+
+  count() {
+    return this._docs.size;
+  }
+
+  /**
+   * Store a new version of a document, `null` deletes it. Feeds listening to
+   * the table are notified.
+   * @param {*} key The primary key of the document
+   * @param {Object|null} doc
+   */
+  write(key, doc) {
+    let oldDoc = this.get(key);
+    if (doc === null) {
+      this._docs.delete(datum.key(key));
+    } else {
+      this._docs.set(datum.key(key), doc);
+    }
+
+    this._sorted = null;
+    this._indexCache = {};
+    this._feeds.forEach(feed => feed.notify(oldDoc, doc));
+  }
+
+  /**
+   * Compute the entries of an index.
+   * @param {string} name
+   * @param {Function} evaluate Evaluate the index function on a document,
+   * returning `undefined` if the document is not indexed
+   * @return {Array} Entries `{ value, doc }` ordered by value, then primary key
+   */
+  index(name, evaluate) {
+    if (name === this.primaryKey) {
+      return this.all().map(doc => ({ value: doc[name], doc: doc }));
+    }
+
+    if (this.indexes[name] === undefined) {
+      throw new datum.ReqlError('Index `' + name + '` was not found on table `' + this.db + '.' + this.name + '`.', 'OP_FAILED');
+    }
+
+    // The entries are cached with the index they were computed for, since an
+    // index can be dropped and created again under the same name
+    let index = this.indexes[name];
+    let cached = this._indexCache[name];
+    if ((cached === undefined) || (cached.index !== index)) {
+      let pk = this.primaryKey;
+      let entries = [];
+      this.all().forEach(doc => {
+        let value = evaluate(index, doc);
+        if (value === undefined) return;
+
+        if (index.multi && Array.isArray(value)) {
+          let seen = new Set();
+          value.forEach(item => {
+            if (!datum.isKey(item) || seen.has(datum.key(item))) return;
+            seen.add(datum.key(item));
+            entries.push({ value: item, doc: doc });
+          });
+        } else if (index.geo || datum.isKey(value)) {
+          entries.push({ value: value, doc: doc });
+        }
+      });
+
+      entries.sort((a, b) => datum.compare(a.value, b.value) || datum.compare(a.doc[pk], b.doc[pk]));
+      cached = this._indexCache[name] = { index: index, entries: entries };
+    }
+
+    return cached.entries;
+  }
+
+  /**
+   * A copy of this table holding only some documents, with the same indexes.
+   * Used by feeds to evaluate their query on the documents that changed.
+   * @param {Array} docs
+   * @return {Table}
+   */
+  snapshot(docs) {
+    let table = new Table(this.db, this.name, this.primaryKey, this.durability);
+    table.id = this.id;
+    table.indexes = this.indexes;
+    docs.forEach(doc => table._docs.set(datum.key(doc[this.primaryKey]), doc));
+    return table;
+  }
+
+  addFeed(feed) {
+    this._feeds.add(feed);
+  }
+
+  removeFeed(feed) {
+    this._feeds.delete(feed);
+  }
+
+  /**
+   * Close all the feeds on this table, used when it is dropped.
+   */
+  closeFeeds() {
+    this._feeds.forEach(feed => feed.close());
+  }
+}
+
+module.exports = Table;
@@ -0,0 +1,1511 @@
+'use strict';
+const datum = require('./datum'),
+      values = require('./values'),
+      writes = require('./writes'),
+      geo = require('./geo');
+
+const ReqlError = datum.ReqlError,
+      merge = values.merge,
+      stripLiterals = values.stripLiterals;
+
+/**
+ * Implementation of the ReQL terms, called with the evaluator as `this`, the
+ * evaluated arguments and optional arguments.
+ * `FUNC`, `VAR`, `BRANCH`, `AND`, `OR`, `DEFAULT` and `CHANGES` are handled
+ * by the evaluator.
+ */
+let terms = module.exports = {};
+
+/**
+ * Helpers
+ */
+
+function expect(value, type) {
+  value = values.toDatum(value);
+  let actual = datum.typeOf(value);
+  if (actual !== type) {
+    throw new ReqlError('Expected type ' + type + ' but found ' + actual + '.');
+  }
+  return value;
+}
+
+function expectSequence(value) {
+  if (values.isSequence(value)) return value;
+  throw new ReqlError('Cannot convert ' + values.typeName(value) + ' to SEQUENCE');
+}
+
+function expectSelection(value) {
+  if ((value instanceof values.Table) || (value instanceof values.Selection)) return value;
+  throw new ReqlError('Expected type SELECTION but found ' + values.typeName(value) + '.');
+}
+
+function getField(value, field) {
+  value = values.toDatum(value);
+  if (!datum.isObject(value)) {
+    throw new ReqlError('Cannot perform get_field on a non-object non-sequence `' + JSON.stringify(value) + '`.');
+  }
+  if (!Object.prototype.hasOwnProperty.call(value, field)) {
+    throw datum.nonExistence('No attribute `' + field + '` in object:\n' + datum.print(value));
+  }
+  return value[field];
+}
+
+function nth(items, index) {
+  if (index < 0) index = items.length + index;
+  if ((index < 0) || (index >= items.length)) {
+    throw datum.nonExistence('Index out of bounds: ' + index);
+  }
+  return items[index];
+}
+
+/**
+ * Apply `fn` to each item of a sequence or to an object.
+ */
+function mapValue(value, fn) {
+  if (values.isSequence(value)) {
+    return values.derivedSequence(value, values.toArray(value).map(item => fn(item)));
+  }
+  return fn(values.toDatum(value));
+}
+
+/**
+ * Evaluate a predicate as `filter` does.
+ * @param {*} predicate A function or a value, objects are matched against the item
+ * @param {*} item
+ * @param {*} fallback Value when a field is missing
+ * @return {boolean}
+ */
+function matches(predicate, item, fallback) {
+  try {
+    if (predicate instanceof values.Func) {
+      return datum.isTruthy(values.toDatum(predicate.call([ item ])));
+    }
+
+    if (datum.isObject(predicate)) {
+      return matchesObject(predicate, item);
+    }
+
+    return datum.isTruthy(predicate);
+  } catch (error) {
+    if ((error instanceof ReqlError) && (error.type === 'NON_EXISTENCE')) {
+      return datum.isTruthy(fallback);
+    }
+    throw error;
+  }
+}
+
+function matchesObject(pattern, item) {
+  return Object.keys(pattern).every(key => {
+    let value = getField(item, key);
+    if (datum.isObject(pattern[key])) {
+      return matchesObject(pattern[key], value);
+    }
+    return datum.equals(pattern[key], value);
+  });
+}
+
+/**
+ * Whether an object has the given fields, like `hasFields`. Null values
+ * count as missing.
+ */
+function hasFields(value, selector) {
+  if (typeof selector === 'string') {
+    return datum.isObject(value) && (value[selector] !== undefined) && (value[selector] !== null);
+  }
+  if (Array.isArray(selector)) {
+    return selector.every(item => hasFields(value, item));
+  }
+  if (datum.isObject(selector)) {
+    return Object.keys(selector).every(key => {
+      if (!hasFields(value, key)) return false;
+      return (selector[key] === true) || hasFields(value[key], selector[key]);
+    });
+  }
+  throw new ReqlError('Invalid path argument `' + JSON.stringify(selector) + '`.');
+}
+
+function pluck(value, selectors) {
+  let result = {};
+  selectors.forEach(selector => {
+    if (typeof selector === 'string') {
+      if (value[selector] !== undefined) result[selector] = value[selector];
+    } else if (Array.isArray(selector)) {
+      Object.assign(result, pluck(value, selector));
+    } else if (datum.isObject(selector)) {
+      Object.keys(selector).forEach(key => {
+        if (value[key] === undefined) return;
+        if (selector[key] === true) {
+          result[key] = value[key];
+        } else if (datum.isObject(value[key])) {
+          result[key] = pluck(value[key], [ selector[key] ]);
+        } else if (Array.isArray(value[key])) {
+          result[key] = value[key].filter(datum.isObject).map(item => pluck(item, [ selector[key] ]));
+        }
+      });
+    } else {
+      throw new ReqlError('Invalid path argument `' + JSON.stringify(selector) + '`.');
+    }
+  });
+  return result;
+}
+
+function without(value, selectors) {
+  let result = Object.assign({}, value);
+  selectors.forEach(selector => {
+    if (typeof selector === 'string') {
+      delete result[selector];
+    } else if (Array.isArray(selector)) {
+      result = without(result, selector);
+    } else if (datum.isObject(selector)) {
+      Object.keys(selector).forEach(key => {
+        if (result[key] === undefined) return;
+        if (selector[key] === true) {
+          delete result[key];
+        } else if (datum.isObject(result[key])) {
+          result[key] = without(result[key], [ selector[key] ]);
+        }
+      });
+    } else {
+      throw new ReqlError('Invalid path argument `' + JSON.stringify(selector) + '`.');
+    }
+  });
+  return result;
+}
+
+/**
+ * Build a function extracting the value used by `orderBy`, `group`, `sum`...
+ * @param {string|Func} selector A field or a function
+ * @return {Function}
+ */
+function selectorOf(selector) {
+  if (selector instanceof values.Func) {
+    return item => values.toDatum(selector.call([ item ]));
+  }
+  if (typeof selector === 'string') {
+    return item => getField(item, selector);
+  }
+  throw new ReqlError('Expected type STRING but found ' + values.typeName(selector) + '.');
+}
+
+/**
+ * Extract the values of a sequence for an aggregation, skipping items
+ * without the field.
+ */
+function aggregated(items, selector) {
+  if (selector === undefined) return items;
+  let select = selectorOf(selector);
+  let result = [];
+  items.forEach(item => {
+    try {
+      result.push(select(item));
+    } catch (error) {
+      if (!(error instanceof ReqlError) || (error.type !== 'NON_EXISTENCE')) throw error;
+    }
+  });
+  return result;
+}
+
+function compareBy(orderings) {
+  return (a, b) => {
+    for (let i = 0, ii = orderings.length; i < ii; ++i) {
+      let result = datum.compare(orderings[i].key(a), orderings[i].key(b));
+      if (result !== 0) return (orderings[i].direction === 'desc') ? -result : result;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Build an ordering `{ key, direction }` from a field, a function or the
+ * result of `r.asc`/`r.desc`. Missing fields sort first.
+ */
+function orderingOf(value) {
+  let direction = 'asc';
+  if (value instanceof values.Ordering) {
+    direction = value.direction;
+    value = value.key;
+  }
+
+  let select = selectorOf(value);
+  return {
+    direction: direction,
+    key: item => {
+      try {
+        return select(item);
+      } catch (error) {
+        if (!(error instanceof ReqlError) || (error.type !== 'NON_EXISTENCE')) throw error;
+        return datum.MINVAL;
+      }
+    }
+  };
+}
+
+function sum(items) {
+  return items.reduce((total, item) => total + expect(item, 'NUMBER'), 0);
+}
+
+/**
+ * Convert a RE2 regular expression to a JavaScript one.
+ */
+function regExp(pattern) {
+  let flags = '';
+  let match = pattern.match(/^\(\?([imsU]+)\)/);
+  if (match !== null) {
+    pattern = pattern.slice(match[0].length);
+    if (match[1].indexOf('i') !== -1) flags += 'i';
+    if (match[1].indexOf('m') !== -1) flags += 'm';
+  }
+
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new ReqlError('Error in regexp `' + pattern + '`: ' + error.message);
+  }
+}
+
+/**
+ * Time helpers
+ */
+
+function timezoneOffset(timezone) {
+  let match = timezone.match(/^([+-])(\d\d):?(\d\d)$/);
+  if (match === null) return 0;
+  return ((match[1] === '-') ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) * 60;
+}
+
+// A Date whose UTC fields are the local fields of `time`
+function localDate(time) {
+  return new Date((time.epoch_time + timezoneOffset(time.timezone)) * 1000);
+}
+
+function toISO8601(time) {
+  let iso = localDate(time).toISOString();
+  return iso.slice(0, iso.length - 1) + time.timezone;
+}
+
+/**
+ * Control structures and errors
+ */
+
+terms.MAKE_ARRAY = function(args) {
+  return args.map(values.toDatum);
+};
+
+terms.MAKE_OBJ = function(args, optargs) {
+  return optargs;
+};
+
+terms.DATUM = function(args) {
+  return args[0];
+};
+
+terms.FUNCALL = function(args) {
+  return this.call(args[0], args.slice(1));
+};
+
+terms.ERROR = function(args) {
+  let message = (args.length > 0) ? expect(args[0], 'STRING') : 'Error.';
+  throw new ReqlError(message, 'USER');
+};
+
+terms.FOR_EACH = function(args) {
+  let result = writes.emptyResult();
+  values.toArray(expectSequence(args[0])).forEach(item => {
+    let write = values.toDatum(this.call(args[1], [ item ]));
+    (Array.isArray(write) ? write : [ write ]).forEach(single => writes.addResult(result, single));
+  });
+  return result;
+};
+
+terms.JAVASCRIPT = function() {
+  throw new ReqlError('`r.js` is not supported by the in-memory driver.');
+};
+
+terms.HTTP = function() {
+  throw new ReqlError('`r.http` is not supported by the in-memory driver.');
+};
+
+terms.LITERAL = function(args) {
+  return new values.Literal(values.toDatum(args[0]), args.length > 0);
+};
+
+terms.ASC = function(args) {
+  return new values.Ordering('asc', args[0]);
+};
+
+terms.DESC = function(args) {
+  return new values.Ordering('desc', args[0]);
+};
+
+terms.MINVAL = function() {
+  return datum.MINVAL;
+};
+
+terms.MAXVAL = function() {
+  return datum.MAXVAL;
+};
+
+terms.UUID = function(args) {
+  return datum.uuid((args.length > 0) ? expect(args[0], 'STRING') : undefined);
+};
+
+terms.RANDOM = function(args, optargs) {
+  if (args.length === 0) return Math.random();
+  let low = (args.length === 2) ? expect(args[0], 'NUMBER') : 0;
+  let high = expect(args[args.length - 1], 'NUMBER');
+  let value = low + Math.random() * (high - low);
+  return (optargs.float === true) ? value : Math.floor(value);
+};
+
+/**
+ * Comparisons and logic
+ */
+
+function comparison(test) {
+  return function(args) {
+    for (let i = 0; i < args.length - 1; ++i) {
+      if (!test(datum.compare(values.toDatum(args[i]), values.toDatum(args[i + 1])))) return false;
+    }
+    return true;
+  };
+}
+
+terms.EQ = comparison(result => result === 0);
+terms.LT = comparison(result => result < 0);
+terms.LE = comparison(result => result <= 0);
+terms.GT = comparison(result => result > 0);
+terms.GE = comparison(result => result >= 0);
+
+terms.NE = function(args) {
+  return !terms.EQ.call(this, args);
+};
+
+terms.NOT = function(args) {
+  return !datum.isTruthy(values.toDatum(args[0]));
+};
+
+/**
+ * Math
+ */
+
+terms.ADD = function(args) {
+  return args.map(values.toDatum).reduce((left, right) => {
+    let type = datum.typeOf(left);
+    if ((type === 'NUMBER') || (type === 'STRING') || (type === 'ARRAY')) {
+      if (datum.typeOf(right) !== type) {
+        throw new ReqlError('Expected type ' + type + ' but found ' + datum.typeOf(right) + '.');
+      }
+      return left.concat ? left.concat(right) : left + right;
+    }
+    if (type === 'PTYPE<TIME>') {
+      return datum.makeTime(left.epoch_time + expect(right, 'NUMBER'), left.timezone);
+    }
+    throw new ReqlError('Expected type NUMBER but found ' + type + '.');
+  });
+};
+
+terms.SUB = function(args) {
+  return args.map(values.toDatum).reduce((left, right) => {
+    if (datum.typeOf(left) === 'PTYPE<TIME>') {
+      if (datum.typeOf(right) === 'PTYPE<TIME>') return left.epoch_time - right.epoch_time;
+      return datum.makeTime(left.epoch_time - expect(right, 'NUMBER'), left.timezone);
+    }
+    return expect(left, 'NUMBER') - expect(right, 'NUMBER');
+  });
+};
+
+terms.MUL = function(args) {
+  return args.map(values.toDatum).reduce((left, right) => {
+    if (Array.isArray(left)) {
+      let result = [];
+      for (let i = 0, ii = expect(right, 'NUMBER'); i < ii; ++i) result = result.concat(left);
+      return result;
+    }
+    return expect(left, 'NUMBER') * expect(right, 'NUMBER');
+  });
+};
+
+terms.DIV = function(args) {
+  return args.map(values.toDatum).reduce((left, right) => {
+    if (expect(right, 'NUMBER') === 0) throw new ReqlError('Cannot divide by zero.');
+    return expect(left, 'NUMBER') / right;
+  });
+};
+
+terms.MOD = function(args) {
+  let left = expect(args[0], 'NUMBER'), right = expect(args[1], 'NUMBER');
+  if (right === 0) throw new ReqlError('Cannot take a number modulo 0.');
+  return left % right;
+};
+
+terms.FLOOR = function(args) {
+  return Math.floor(expect(args[0], 'NUMBER'));
+};
+
+terms.CEIL = function(args) {
+  return Math.ceil(expect(args[0], 'NUMBER'));
+};
+
+terms.ROUND = function(args) {
+  let value = expect(args[0], 'NUMBER');
+  return (value < 0) ? -Math.round(-value) : Math.round(value);
+};
+
+/**
+ * Documents
+ */
+
+terms.BRACKET = function(args) {
+  let value = args[0], field = values.toDatum(args[1]);
+  if (typeof field === 'number') {
+    return terms.NTH.call(this, args);
+  }
+
+  if (values.isSequence(value)) {
+    field = expect(field, 'STRING');
+    return values.derivedSequence(value, values.toArray(value)
+      .filter(item => datum.isObject(item) && (item[field] !== undefined))
+      .map(item => item[field]));
+  }
+
+  value = values.toDatum(value);
+  if (value === null) {
+    // Like RethinkDB, `default` catches it.
+    throw datum.nonExistence('Cannot perform bracket on a non-object non-sequence `null`.');
+  }
+  if (!datum.isObject(value)) {
+    throw new ReqlError('Cannot perform bracket on a non-object non-sequence `' + JSON.stringify(value) + '`.');
+  }
+  return getField(value, expect(field, 'STRING'));
+};
+
+terms.GET_FIELD = function(args) {
+  return terms.BRACKET.call(this, [ args[0], expect(args[1], 'STRING') ]);
+};
+
+terms.HAS_FIELDS = function(args) {
+  let selectors = args.slice(1).map(values.toDatum);
+  if (values.isSequence(args[0])) {
+    return values.sameSequence(args[0], values.toArray(args[0]).filter(item => hasFields(item, selectors)));
+  }
+  return hasFields(expect(args[0], 'OBJECT'), selectors);
+};
+
+terms.WITH_FIELDS = function(args) {
+  let selectors = args.slice(1).map(values.toDatum);
+  return values.derivedSequence(args[0], values.toArray(expectSequence(args[0]))
+    .filter(item => hasFields(item, selectors))
+    .map(item => pluck(item, selectors)));
+};
+
+terms.PLUCK = function(args) {
+  let selectors = args.slice(1).map(values.toDatum);
+  return mapValue(args[0], item => pluck(expect(item, 'OBJECT'), selectors));
+};
+
+terms.WITHOUT = function(args) {
+  let selectors = args.slice(1).map(values.toDatum);
+  return mapValue(args[0], item => without(expect(item, 'OBJECT'), selectors));
+};
+
+terms.MERGE = function(args) {
+  let others = args.slice(1);
+  return mapValue(args[0], item => {
+    return others.reduce((result, other) => {
+      let value = values.toDatum(this.call(other, [ item ]));
+      return merge(result, value);
+    }, stripLiterals(item));
+  });
+};
+
+terms.KEYS = function(args) {
+  return Object.keys(expect(args[0], 'OBJECT')).sort();
+};
+
+terms.VALUES = function(args) {
+  let value = expect(args[0], 'OBJECT');
+  return Object.keys(value).sort().map(key => value[key]);
+};
+
+terms.OBJECT = function(args) {
+  if (args.length % 2 !== 0) {
+    throw new ReqlError('OBJECT expects an even number of arguments (but found ' + args.length + ').');
+  }
+
+  let result = {};
+  for (let i = 0; i < args.length; i += 2) {
+    let key = expect(args[i], 'STRING');
+    if (result[key] !== undefined) {
+      throw new ReqlError('Duplicate key `' + key + '` in object.  (got `' + JSON.stringify(result[key]) + '` and `' +
+        JSON.stringify(values.toDatum(args[i + 1])) + '` as values)');
+    }
+    result[key] = values.toDatum(args[i + 1]);
+  }
+  return result;
+};
+
+terms.TYPE_OF = function(args) {
+  return values.typeName(args[0]);
+};
+
+terms.COERCE_TO = function(args) {
+  let target = expect(args[1], 'STRING').toUpperCase();
+  let value = values.isSequence(args[0]) ? values.toArray(args[0]).slice() : values.toDatum(args[0]);
+  let type = datum.typeOf(value);
+
+  if (target === type) return value;
+  switch (target) {
+  case 'ARRAY':
+    if (type === 'OBJECT') return Object.keys(value).map(key => [ key, value[key] ]);
+    if (type === 'STRING') return value.split('');
+    if (type === 'PTYPE<BINARY>') return Array.from(Buffer.from(value.data, 'base64'));
+    break;
+  case 'OBJECT':
+    if (type === 'ARRAY') {
+      let result = {};
+      value.forEach(pair => {
+        if (!Array.isArray(pair) || pair.length !== 2) {
+          throw new ReqlError('Expected array of size 2, but got size ' + (Array.isArray(pair) ? pair.length : 1) + '.');
+        }
+        result[expect(pair[0], 'STRING')] = pair[1];
+      });
+      return result;
+    }
+    break;
+  case 'STRING':
+    if (type === 'PTYPE<BINARY>') return Buffer.from(value.data, 'base64').toString('utf8');
+    return JSON.stringify(value);
+  case 'NUMBER':
+    if (type === 'STRING') {
+      let number = Number(value);
+      if (value.trim() === '' || isNaN(number)) {
+        throw new ReqlError('Could not coerce `' + value + '` to NUMBER.');
+      }
+      return number;
+    }
+    break;
+  case 'BOOL':
+    return datum.isTruthy(value);
+  case 'BINARY':
+    if (type === 'STRING') return { $reql_type$: 'BINARY', data: Buffer.from(value, 'utf8').toString('base64') };
+    break;
+  default:
+    break;
+  }
+
+  throw new ReqlError('Cannot coerce ' + type + ' to ' + target + '.');
+};
+
+terms.INFO = function(args) {
+  let value = args[0];
+  if (value instanceof values.Table) {
+    return {
+      db: { id: value.db, name: value.db, type: 'DB' },
+      doc_count_estimates: [ value.count() ],
+      id: value.id,
+      indexes: Object.keys(value.indexes).sort(),
+      name: value.name,
+      primary_key: value.primaryKey,
+      type: 'TABLE'
+    };
+  }
+  if (value instanceof values.Db) {
+    return { id: value.name, name: value.name, type: 'DB' };
+  }
+  return { type: values.typeName(value), value: JSON.stringify(values.toDatum(value)) };
+};
+
+terms.JSON = function(args) {
+  try {
+    return JSON.parse(expect(args[0], 'STRING'));
+  } catch (error) {
+    throw new ReqlError('Failed to parse "' + args[0] + '" as JSON: ' + error.message + '.');
+  }
+};
+
+terms.TO_JSON_STRING = function(args) {
+  return JSON.stringify(values.toDatum(args[0]));
+};
+
+/**
+ * Arrays
+ */
+
+terms.APPEND = function(args) {
+  return expect(args[0], 'ARRAY').concat([ values.toDatum(args[1]) ]);
+};
+
+terms.PREPEND = function(args) {
+  return [ values.toDatum(args[1]) ].concat(expect(args[0], 'ARRAY'));
+};
+
+terms.DIFFERENCE = function(args) {
+  let removed = expect(args[1], 'ARRAY');
+  return expect(args[0], 'ARRAY').filter(item => !removed.some(other => datum.equals(item, other)));
+};
+
+function distinct(items) {
+  let seen = new Set();
+  return items.filter(item => {
+    let key = datum.key(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+terms.SET_INSERT = function(args) {
+  return distinct(expect(args[0], 'ARRAY').concat([ values.toDatum(args[1]) ]));
+};
+
+terms.SET_UNION = function(args) {
+  return distinct(expect(args[0], 'ARRAY').concat(expect(args[1], 'ARRAY')));
+};
+
+terms.SET_INTERSECTION = function(args) {
+  let other = expect(args[1], 'ARRAY');
+  return distinct(expect(args[0], 'ARRAY')).filter(item => other.some(value => datum.equals(item, value)));
+};
+
+terms.SET_DIFFERENCE = function(args) {
+  let other = expect(args[1], 'ARRAY');
+  return distinct(expect(args[0], 'ARRAY')).filter(item => !other.some(value => datum.equals(item, value)));
+};
+
+terms.INSERT_AT = function(args) {
+  let array = expect(args[0], 'ARRAY').slice();
+  array.splice(expect(args[1], 'NUMBER'), 0, values.toDatum(args[2]));
+  return array;
+};
+
+terms.SPLICE_AT = function(args) {
+  let array = expect(args[0], 'ARRAY').slice();
+  Array.prototype.splice.apply(array, [ expect(args[1], 'NUMBER'), 0 ].concat(expect(args[2], 'ARRAY')));
+  return array;
+};
+
+terms.DELETE_AT = function(args) {
+  let array = expect(args[0], 'ARRAY').slice();
+  let start = expect(args[1], 'NUMBER');
+  let end = (args.length > 2) ? expect(args[2], 'NUMBER') : start + 1;
+  if (start < 0) start += array.length;
+  if (end < 0) end += array.length;
+  array.splice(start, end - start);
+  return array;
+};
+
+terms.CHANGE_AT = function(args) {
+  let array = expect(args[0], 'ARRAY').slice();
+  let index = expect(args[1], 'NUMBER');
+  nth(array, index);
+  array[(index < 0) ? array.length + index : index] = values.toDatum(args[2]);
+  return array;
+};
+
+/**
+ * Sequences
+ */
+
+terms.FILTER = function(args, optargs) {
+  let sequence = expectSequence(args[0]);
+  let fallback = (optargs.default !== undefined) ? optargs.default : false;
+  return values.sameSequence(sequence, values.toArray(sequence)
+    .filter(item => matches(args[1], item, fallback)));
+};
+
+terms.MAP = function(args) {
+  let fn = args[args.length - 1];
+  let sequences = args.slice(0, args.length - 1).map(sequence => values.toArray(expectSequence(sequence)));
+  let length = Math.min.apply(null, sequences.map(items => items.length));
+  let result = [];
+  for (let i = 0; i < length; ++i) {
+    result.push(values.toDatum(this.call(fn, sequences.map(items => items[i]))));
+  }
+  return values.derivedSequence(args[0], result);
+};
+
+terms.CONCAT_MAP = function(args) {
+  let result = [];
+  values.toArray(expectSequence(args[0])).forEach(item => {
+    let mapped = this.call(args[1], [ item ]);
+    result.push.apply(result, values.toArray(values.isSequence(mapped) ? mapped : values.toDatum(mapped)));
+  });
+  return values.derivedSequence(args[0], result);
+};
+
+terms.ORDER_BY = function(args, optargs) {
+  let sequence = expectSequence(args[0]);
+  let orderings = args.slice(1).map(orderingOf);
+
+  if (optargs.index !== undefined) {
+    if (!(sequence instanceof values.Table) && !((sequence instanceof values.Selection) && (sequence.type === 'TABLE_SLICE'))) {
+      throw new ReqlError('Indexed order_by can only be performed on a TABLE or TABLE_SLICE.');
+    }
+
+    let table = (sequence instanceof values.Table) ? sequence : sequence.table;
+    let index = (optargs.index instanceof values.Ordering) ? optargs.index : new values.Ordering('asc', optargs.index);
+    let entries = this.index(table, expect(index.key, 'STRING'));
+    if (sequence instanceof values.Selection) {
+      let docs = new Set(sequence.docs);
+      entries = entries.filter(entry => docs.has(entry.doc));
+    }
+
+    // The documents with their first value in the index, sorted explicitly by
+    // that value and their primary key rather than relying on a stable sort
+    let indexed = new Map();
+    entries.forEach(entry => {
+      if (!indexed.has(entry.doc)) indexed.set(entry.doc, entry.value);
+    });
+    let pk = table.primaryKey;
+    let sign = (index.direction === 'desc') ? -1 : 1;
+    let compare = compareBy(orderings);
+    let docs = Array.from(indexed.keys()).sort((a, b) => compare(a, b) ||
+      sign * (datum.compare(indexed.get(a), indexed.get(b)) || datum.compare(a[pk], b[pk])));
+
+    return new values.Selection(table, docs, 'TABLE_SLICE');
+  }
+
+  if (orderings.length === 0) {
+    throw new ReqlError('Expected 2 or more arguments but found 1.');
+  }
+
+  let items = values.toArray(sequence).slice().sort(compareBy(orderings));
+  if ((sequence instanceof values.Table) || (sequence instanceof values.Selection)) {
+    return values.sameSequence(sequence, items, 'SELECTION<ARRAY>');
+  }
+  return items;
+};
+
+terms.DISTINCT = function(args, optargs) {
+  if (optargs.index !== undefined) {
+    let table = args[0];
+    if (!(table instanceof values.Table)) {
+      throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+    }
+    return new values.Stream(distinct(this.index(table, optargs.index).map(entry => entry.value)));
+  }
+  return distinct(values.toArray(expectSequence(args[0]))).sort(datum.compare);
+};
+
+terms.SKIP = function(args) {
+  let sequence = expectSequence(args[0]);
+  return values.sameSequence(sequence, values.toArray(sequence).slice(expect(args[1], 'NUMBER')));
+};
+
+terms.LIMIT = function(args) {
+  let sequence = expectSequence(args[0]);
+  let limit = expect(args[1], 'NUMBER');
+  if (limit < 0) throw new ReqlError('LIMIT takes a non-negative argument (got ' + limit + ')');
+  return values.sameSequence(sequence, values.toArray(sequence).slice(0, limit));
+};
+
+terms.SLICE = function(args, optargs) {
+  let value = args[0];
+  let items = (typeof values.toDatumOrValue(value) === 'string') ? values.toDatum(value) : values.toArray(expectSequence(value));
+  let start = expect(args[1], 'NUMBER');
+  let end = (args.length > 2) ? expect(args[2], 'NUMBER') : items.length;
+  if (start < 0) start += items.length;
+  if (end < 0) end += items.length;
+  if (optargs.left_bound === 'open') start += 1;
+  if (optargs.right_bound === 'closed') end += 1;
+
+  if (typeof items === 'string') return items.slice(start, end);
+  return values.sameSequence(value, items.slice(start, end));
+};
+
+terms.NTH = function(args) {
+  let sequence = args[0];
+  let item = nth(values.toArray(expectSequence(sequence)), expect(args[1], 'NUMBER'));
+  if ((sequence instanceof values.Table) || (sequence instanceof values.Selection)) {
+    let table = (sequence instanceof values.Table) ? sequence : sequence.table;
+    return new values.SingleSelection(table, item[table.primaryKey], item);
+  }
+  return item;
+};
+
+terms.OFFSETS_OF = function(args) {
+  let result = [];
+  values.toArray(expectSequence(args[0])).forEach((item, index) => {
+    let found = (args[1] instanceof values.Func) ?
+      datum.isTruthy(values.toDatum(args[1].call([ item ]))) :
+      datum.equals(item, values.toDatum(args[1]));
+    if (found) result.push(index);
+  });
+  return result;
+};
+
+terms.CONTAINS = function(args) {
+  let items = values.toArray(expectSequence(args[0]));
+  return args.slice(1).every(expected => items.some(item => {
+    if (expected instanceof values.Func) return datum.isTruthy(values.toDatum(expected.call([ item ])));
+    return datum.equals(item, values.toDatum(expected));
+  }));
+};
+
+terms.IS_EMPTY = function(args) {
+  return values.toArray(expectSequence(args[0])).length === 0;
+};
+
+terms.UNION = function(args) {
+  let result = [];
+  args.forEach(arg => { result.push.apply(result, values.toArray(expectSequence(arg))); });
+  return args.every(Array.isArray) ? result : new values.Stream(result);
+};
+
+terms.ZIP = function(args) {
+  return values.derivedSequence(args[0], values.toArray(expectSequence(args[0]))
+    .map(item => merge(getField(item, 'left'), getField(item, 'right'))));
+};
+
+terms.SAMPLE = function(args) {
+  let items = values.toArray(expectSequence(args[0])).slice();
+  let count = expect(args[1], 'NUMBER');
+  for (let i = items.length - 1; i > 0; --i) {
+    let j = Math.floor(Math.random() * (i + 1));
+    let tmp = items[i]; items[i] = items[j]; items[j] = tmp;
+  }
+  return values.sameSequence(args[0], items.slice(0, count));
+};
+
+terms.RANGE = function(args) {
+  if (args.length === 0) throw new ReqlError('`r.range` without arguments is not supported by the in-memory driver.');
+  let start = (args.length > 1) ? expect(args[0], 'NUMBER') : 0;
+  let end = expect(args[args.length - 1], 'NUMBER');
+  let result = [];
+  for (let i = start; i < end; ++i) result.push(i);
+  return new values.Stream(result);
+};
+
+terms.INNER_JOIN = function(args) {
+  let right = values.toArray(expectSequence(args[1]));
+  let result = [];
+  values.toArray(expectSequence(args[0])).forEach(left => {
+    right.forEach(item => {
+      if (datum.isTruthy(values.toDatum(this.call(args[2], [ left, item ])))) {
+        result.push({ left: left, right: item });
+      }
+    });
+  });
+  return values.derivedSequence(args[0], result);
+};
+
+terms.OUTER_JOIN = function(args) {
+  let right = values.toArray(expectSequence(args[1]));
+  let result = [];
+  values.toArray(expectSequence(args[0])).forEach(left => {
+    let found = false;
+    right.forEach(item => {
+      if (datum.isTruthy(values.toDatum(this.call(args[2], [ left, item ])))) {
+        found = true;
+        result.push({ left: left, right: item });
+      }
+    });
+    if (!found) result.push({ left: left });
+  });
+  return values.derivedSequence(args[0], result);
+};
+
+terms.EQ_JOIN = function(args, optargs) {
+  let table = args[2];
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+
+  let select = selectorOf(args[1]);
+  let index = (optargs.index !== undefined) ? optargs.index : table.primaryKey;
+  let entries = this.index(table, index);
+  let result = [];
+  values.toArray(expectSequence(args[0])).forEach(left => {
+    let value;
+    try {
+      value = select(left);
+    } catch (error) {
+      if ((error instanceof ReqlError) && (error.type === 'NON_EXISTENCE')) return;
+      throw error;
+    }
+    entries.forEach(entry => {
+      if (datum.equals(entry.value, value)) result.push({ left: left, right: entry.doc });
+    });
+  });
+  return values.derivedSequence(args[0], result);
+};
+
+/**
+ * Aggregations
+ */
+
+terms.COUNT = function(args) {
+  let value = args[0];
+  if (value instanceof values.Table) return value.count();
+
+  value = values.isSequence(value) ? values.toArray(value) : values.toDatum(value);
+  switch (datum.typeOf(value)) {
+  case 'STRING':
+    return Array.from(value).length;
+  case 'OBJECT':
+    return Object.keys(value).length;
+  case 'PTYPE<BINARY>':
+    return Buffer.from(value.data, 'base64').length;
+  case 'ARRAY':
+    if (args.length === 1) return value.length;
+    return value.filter(item => {
+      if (args[1] instanceof values.Func) return datum.isTruthy(values.toDatum(args[1].call([ item ])));
+      return datum.equals(item, values.toDatum(args[1]));
+    }).length;
+  default:
+    throw new ReqlError('Cannot convert ' + datum.typeOf(value) + ' to SEQUENCE');
+  }
+};
+
+terms.SUM = function(args) {
+  return sum(aggregated(values.toArray(expectSequence(args[0])), args[1]));
+};
+
+terms.AVG = function(args) {
+  let items = aggregated(values.toArray(expectSequence(args[0])), args[1]);
+  if (items.length === 0) {
+    throw datum.nonExistence('Cannot take the average of an empty stream.  (If you passed `avg` a field name, it may be that no elements of the stream had that field.)');
+  }
+  return sum(items) / items.length;
+};
+
+function extremum(name, sign) {
+  return function(args, optargs) {
+    if (optargs.index !== undefined) {
+      let entries = this.index(expectSelection(args[0]), optargs.index);
+      if (entries.length === 0) {
+        throw datum.nonExistence('Cannot take the ' + name + ' of an empty stream.');
+      }
+      return entries[(sign < 0) ? 0 : entries.length - 1].doc;
+    }
+
+    let items = values.toArray(expectSequence(args[0]));
+    let select = (args.length > 1) ? selectorOf(args[1]) : item => item;
+    let best, bestValue;
+    items.forEach(item => {
+      let value;
+      try {
+        value = select(item);
+      } catch (error) {
+        if ((error instanceof ReqlError) && (error.type === 'NON_EXISTENCE')) return;
+        throw error;
+      }
+      if ((best === undefined) || (sign * datum.compare(value, bestValue) > 0)) {
+        best = item;
+        bestValue = value;
+      }
+    });
+
+    if (best === undefined) {
+      throw datum.nonExistence('Cannot take the ' + name + ' of an empty stream.  (If you passed `' + name + '` a field name, it may be that no elements of the stream had that field.)');
+    }
+    return best;
+  };
+}
+
+terms.MIN = extremum('min', -1);
+terms.MAX = extremum('max', 1);
+
+terms.REDUCE = function(args) {
+  let items = values.toArray(expectSequence(args[0]));
+  if (items.length === 0) {
+    throw datum.nonExistence('Cannot reduce over an empty stream.');
+  }
+  return items.reduce((left, right) => values.toDatum(this.call(args[1], [ left, right ])));
+};
+
+terms.FOLD = function(args, optargs) {
+  let accumulator = values.toDatum(args[1]);
+  let emitted = [];
+  values.toArray(expectSequence(args[0])).forEach(item => {
+    let next = values.toDatum(this.call(args[2], [ accumulator, item ]));
+    if (optargs.emit !== undefined) {
+      emitted.push.apply(emitted, values.toDatum(optargs.emit.call([ accumulator, item, next ])));
+    }
+    accumulator = next;
+  });
+  return (optargs.emit !== undefined) ? values.derivedSequence(args[0], emitted) : accumulator;
+};
+
+terms.GROUP = function(args, optargs) {
+  let items = values.toArray(expectSequence(args[0]));
+  let selectors = args.slice(1).map(selectorOf);
+  if (optargs.index !== undefined) {
+    let entries = this.index(expectSelection(args[0]), optargs.index);
+    return values.Grouped.from(items, doc => entries
+      .filter(entry => entry.doc === doc)
+      .map(entry => entry.value));
+  }
+
+  return values.Grouped.from(items, item => {
+    let group = selectors.map(select => {
+      try {
+        return select(item);
+      } catch (error) {
+        if ((error instanceof ReqlError) && (error.type === 'NON_EXISTENCE')) return null;
+        throw error;
+      }
+    });
+    if (selectors.length !== 1) return [ group ];
+    return ((optargs.multi === true) && Array.isArray(group[0])) ? group[0] : group;
+  });
+};
+
+terms.UNGROUP = function(args) {
+  if (!(args[0] instanceof values.Grouped)) {
+    throw new ReqlError('Expected type GROUPED_DATA but found ' + values.typeName(args[0]) + '.');
+  }
+  return args[0].groups.map(group => ({ group: group.group, reduction: values.toDatum(group.value) }));
+};
+
+/**
+ * Strings
+ */
+
+terms.MATCH = function(args) {
+  let value = expect(args[0], 'STRING');
+  let match = regExp(expect(args[1], 'STRING')).exec(value);
+  if (match === null) return null;
+
+  let groups = [];
+  let position = match.index;
+  for (let i = 1; i < match.length; ++i) {
+    if (match[i] === undefined) {
+      groups.push(null);
+    } else {
+      let start = value.indexOf(match[i], position);
+      groups.push({ str: match[i], start: start, end: start + match[i].length });
+    }
+  }
+  return { str: match[0], start: match.index, end: match.index + match[0].length, groups: groups };
+};
+
+terms.UPCASE = function(args) {
+  return expect(args[0], 'STRING').toUpperCase();
+};
+
+terms.DOWNCASE = function(args) {
+  return expect(args[0], 'STRING').toLowerCase();
+};
+
+terms.SPLIT = function(args) {
+  let value = expect(args[0], 'STRING');
+  let separator = (args.length > 1) ? values.toDatum(args[1]) : null;
+  let limit = (args.length > 2) ? expect(args[2], 'NUMBER') : -1;
+
+  let parts;
+  if (separator === null) {
+    parts = value.trim().split(/\s+/).filter(part => part.length > 0);
+  } else if (separator === '') {
+    parts = value.split('');
+  } else {
+    parts = value.split(separator);
+  }
+
+  if ((limit >= 0) && (parts.length > limit + 1)) {
+    let rest = parts.slice(limit).join((separator === null) ? ' ' : separator);
+    parts = parts.slice(0, limit).concat([ rest ]);
+  }
+  return parts;
+};
+
+/**
+ * Times
+ */
+
+terms.NOW = function() {
+  return this.now;
+};
+
+terms.ISO8601 = function(args) {
+  return datum.parseTime(expect(args[0], 'STRING'));
+};
+
+terms.EPOCH_TIME = function(args) {
+  return datum.makeTime(expect(args[0], 'NUMBER'));
+};
+
+terms.TO_EPOCH_TIME = function(args) {
+  return expect(args[0], 'PTYPE<TIME>').epoch_time;
+};
+
+terms.TO_ISO8601 = function(args) {
+  return toISO8601(expect(args[0], 'PTYPE<TIME>'));
+};
+
+terms.TIME = function(args) {
+  let timezone = expect(args[args.length - 1], 'STRING');
+  let fields = args.slice(0, args.length - 1).map(arg => expect(arg, 'NUMBER'));
+  let epoch = Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3] || 0, fields[4] || 0, 0) / 1000 + (fields[5] || 0);
+  return datum.makeTime(epoch - timezoneOffset(timezone), timezone);
+};
+
+terms.IN_TIMEZONE = function(args) {
+  let time = expect(args[0], 'PTYPE<TIME>');
+  return datum.makeTime(time.epoch_time, expect(args[1], 'STRING'));
+};
+
+terms.TIMEZONE = function(args) {
+  return expect(args[0], 'PTYPE<TIME>').timezone;
+};
+
+terms.DURING = function(args, optargs) {
+  let time = expect(args[0], 'PTYPE<TIME>');
+  let start = datum.compare(time, values.toDatum(args[1]));
+  let end = datum.compare(time, values.toDatum(args[2]));
+  return ((optargs.left_bound === 'open') ? start > 0 : start >= 0) &&
+    ((optargs.right_bound === 'closed') ? end <= 0 : end < 0);
+};
+
+terms.DATE = function(args) {
+  let time = expect(args[0], 'PTYPE<TIME>');
+  let local = localDate(time);
+  local.setUTCHours(0, 0, 0, 0);
+  return datum.makeTime(local.getTime() / 1000 - timezoneOffset(time.timezone), time.timezone);
+};
+
+terms.TIME_OF_DAY = function(args) {
+  let time = expect(args[0], 'PTYPE<TIME>');
+  let local = time.epoch_time + timezoneOffset(time.timezone);
+  return local - Math.floor(local / 86400) * 86400;
+};
+
+function timePart(getter) {
+  return function(args) {
+    return getter(localDate(expect(args[0], 'PTYPE<TIME>')));
+  };
+}
+
+terms.YEAR = timePart(date => date.getUTCFullYear());
+terms.MONTH = timePart(date => date.getUTCMonth() + 1);
+terms.DAY = timePart(date => date.getUTCDate());
+terms.DAY_OF_WEEK = timePart(date => date.getUTCDay() || 7);
+terms.DAY_OF_YEAR = timePart(date => Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1);
+terms.HOURS = timePart(date => date.getUTCHours());
+terms.MINUTES = timePart(date => date.getUTCMinutes());
+terms.SECONDS = function(args) {
+  let time = expect(args[0], 'PTYPE<TIME>');
+  let local = time.epoch_time + timezoneOffset(time.timezone);
+  return local - Math.floor(local / 60) * 60;
+};
+
+[ 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY' ].forEach((day, index) => {
+  terms[day] = () => index + 1;
+});
+const MONTHS = [ 'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER',
+  'OCTOBER', 'NOVEMBER', 'DECEMBER' ];
+MONTHS.forEach((month, index) => {
+  terms[month] = () => index + 1;
+});
+
+/**
+ * Binary and geometry
+ */
+
+terms.BINARY = function(args) {
+  let value = values.toDatum(args[0]);
+  if (datum.typeOf(value) === 'PTYPE<BINARY>') return value;
+  return { $reql_type$: 'BINARY', data: Buffer.from(expect(value, 'STRING'), 'utf8').toString('base64') };
+};
+
+terms.POINT = function(args) {
+  return geo.point(expect(args[0], 'NUMBER'), expect(args[1], 'NUMBER'));
+};
+
+terms.LINE = function(args) {
+  return geo.line(args.map(values.toDatum));
+};
+
+terms.POLYGON = function(args) {
+  return geo.polygon(args.map(values.toDatum));
+};
+
+terms.CIRCLE = function(args, optargs) {
+  return geo.circle(values.toDatum(args[0]), expect(args[1], 'NUMBER'), optargs);
+};
+
+terms.GEOJSON = function(args) {
+  return geo.fromGeoJSON(expect(args[0], 'OBJECT'));
+};
+
+terms.TO_GEOJSON = function(args) {
+  return geo.toGeoJSON(expect(args[0], 'PTYPE<GEOMETRY>'));
+};
+
+terms.DISTANCE = function(args, optargs) {
+  return geo.distance(expect(args[0], 'PTYPE<GEOMETRY>'), expect(args[1], 'PTYPE<GEOMETRY>'), optargs.unit);
+};
+
+terms.INTERSECTS = function(args) {
+  let geometry = expect(args[1], 'PTYPE<GEOMETRY>');
+  if (values.isSequence(args[0])) {
+    return values.sameSequence(args[0], values.toArray(args[0]).filter(item => geo.intersects(item, geometry)));
+  }
+  return geo.intersects(expect(args[0], 'PTYPE<GEOMETRY>'), geometry);
+};
+
+terms.INCLUDES = function(args) {
+  let geometry = expect(args[1], 'PTYPE<GEOMETRY>');
+  if (values.isSequence(args[0])) {
+    return values.sameSequence(args[0], values.toArray(args[0]).filter(item => geo.includes(item, geometry)));
+  }
+  return geo.includes(expect(args[0], 'PTYPE<GEOMETRY>'), geometry);
+};
+
+terms.GET_INTERSECTING = function(args, optargs) {
+  let table = args[0];
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+  if (optargs.index === undefined) {
+    throw new ReqlError('get_intersecting requires an index argument.');
+  }
+
+  let geometry = expect(args[1], 'PTYPE<GEOMETRY>');
+  let seen = new Set();
+  let docs = [];
+  this.index(table, optargs.index).forEach(entry => {
+    if (!seen.has(entry.doc) && geo.intersects(entry.value, geometry)) {
+      seen.add(entry.doc);
+      docs.push(entry.doc);
+    }
+  });
+  return new values.Selection(table, docs);
+};
+
+terms.GET_NEAREST = function(args, optargs) {
+  let table = args[0];
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+  if (optargs.index === undefined) {
+    throw new ReqlError('get_nearest requires an index argument.');
+  }
+
+  let point = expect(args[1], 'PTYPE<GEOMETRY>');
+  let maxDist = (optargs.max_dist !== undefined) ? optargs.max_dist : 100000;
+  let maxResults = (optargs.max_results !== undefined) ? optargs.max_results : 100;
+  return this.index(table, optargs.index)
+    .map(entry => ({ dist: geo.distance(point, entry.value, optargs.unit), doc: entry.doc }))
+    .filter(result => result.dist <= maxDist)
+    .sort((a, b) => a.dist - b.dist)
+    .slice(0, maxResults);
+};
+
+terms.FILL = function(args) {
+  return geo.fill(expect(args[0], 'PTYPE<GEOMETRY>'));
+};
+
+/**
+ * Databases, tables and indexes
+ */
+
+terms.DB = function(args) {
+  let name = expect(args[0], 'STRING');
+  this.server.db(name);
+  return new values.Db(name);
+};
+
+terms.TABLE = function(args) {
+  if (args.length === 1) return this.table(this.db, expect(args[0], 'STRING'));
+  return this.table(args[0].name, expect(args[1], 'STRING'));
+};
+
+terms.DB_CREATE = function(args) {
+  return this.server.dbCreate(expect(args[0], 'STRING'));
+};
+
+terms.DB_DROP = function(args) {
+  return this.server.dbDrop(expect(args[0], 'STRING'));
+};
+
+terms.DB_LIST = function() {
+  return this.server.dbList();
+};
+
+function dbAndName(evaluator, args) {
+  if (args[0] instanceof values.Db) return [ args[0].name, expect(args[1], 'STRING') ];
+  return [ evaluator.db, expect(args[0], 'STRING') ];
+}
+
+terms.TABLE_CREATE = function(args, optargs) {
+  let target = dbAndName(this, args);
+  return this.server.tableCreate(target[0], target[1], optargs);
+};
+
+terms.TABLE_DROP = function(args) {
+  let target = dbAndName(this, args);
+  return this.server.tableDrop(target[0], target[1]);
+};
+
+terms.TABLE_LIST = function(args) {
+  return this.server.tableList((args[0] instanceof values.Db) ? args[0].name : this.db);
+};
+
+terms.WAIT = function(args) {
+  if ((args.length === 0) || (args[0] instanceof values.Db)) {
+    return { ready: this.server.tableList((args.length === 0) ? this.db : args[0].name).length };
+  }
+  expectSelection(args[0]);
+  return { ready: 1 };
+};
+
+terms.SYNC = function(args) {
+  expectSelection(args[0]);
+  return { synced: 1 };
+};
+
+terms.CONFIG = function(args) {
+  let table = args[0];
+  if (table instanceof values.Db) {
+    return { id: table.name, name: table.name };
+  }
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+  return this.server.tableConfig(table);
+};
+
+terms.STATUS = function(args) {
+  let table = expectSelection(args[0]);
+  return {
+    db: table.db,
+    id: table.id,
+    name: table.name,
+    raft_leader: 'memory',
+    shards: [ { primary_replicas: [ 'memory' ], replicas: [ { server: 'memory', state: 'ready' } ] } ],
+    status: { all_replicas_ready: true, ready_for_outdated_reads: true, ready_for_reads: true, ready_for_writes: true }
+  };
+};
+
+function indexTable(value) {
+  if (!(value instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(value) + '.');
+  }
+  return value;
+}
+
+terms.INDEX_CREATE = function(args, optargs) {
+  let table = indexTable(args[0]);
+  let fn = (args.length > 2) ? args[2] : undefined;
+  if ((fn !== undefined) && !(fn instanceof values.Func)) {
+    let value = values.toDatum(fn);
+    if ((datum.typeOf(value) === 'PTYPE<BINARY>')) {
+      fn = JSON.parse(Buffer.from(value.data, 'base64').toString('utf8'));
+    } else {
+      throw new ReqlError('Expected type FUNCTION but found ' + datum.typeOf(value) + '.');
+    }
+  }
+  return this.server.indexCreate(table, expect(args[1], 'STRING'), fn, optargs);
+};
+
+terms.INDEX_DROP = function(args) {
+  return this.server.indexDrop(indexTable(args[0]), expect(args[1], 'STRING'));
+};
+
+terms.INDEX_RENAME = function(args, optargs) {
+  return this.server.indexRename(indexTable(args[0]), expect(args[1], 'STRING'), expect(args[2], 'STRING'), optargs.overwrite === true);
+};
+
+terms.INDEX_LIST = function(args) {
+  return Object.keys(indexTable(args[0]).indexes).sort();
+};
+
+terms.INDEX_STATUS = function(args) {
+  let table = indexTable(args[0]);
+  let names = (args.length > 1) ? args.slice(1).map(arg => expect(arg, 'STRING')) : Object.keys(table.indexes).sort();
+  return names.map(name => this.server.indexStatus(table, name));
+};
+
+terms.INDEX_WAIT = terms.INDEX_STATUS;
+
+/**
+ * Selections
+ */
+
+terms.GET = function(args) {
+  let table = args[0];
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+  let key = values.toDatum(args[1]);
+  if (!datum.isKey(key)) {
+    throw new ReqlError('Primary keys must be either a number, string, bool, pseudotype or array (got type ' + datum.typeOf(key) + '):\n' + datum.print(key));
+  }
+  return new values.SingleSelection(table, key, table.get(key));
+};
+
+terms.GET_ALL = function(args, optargs) {
+  let table = args[0];
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+
+  let keys = args.slice(1).map(values.toDatum);
+  let index = (optargs.index !== undefined) ? optargs.index : table.primaryKey;
+  let docs = [];
+  if (index === table.primaryKey) {
+    keys.forEach(key => {
+      let doc = table.get(key);
+      if (doc !== null) docs.push(doc);
+    });
+  } else {
+    let entries = this.index(table, index);
+    keys.forEach(key => {
+      entries.forEach(entry => {
+        if (datum.equals(entry.value, key)) docs.push(entry.doc);
+      });
+    });
+  }
+  return new values.Selection(table, docs);
+};
+
+terms.BETWEEN = function(args, optargs) {
+  let sequence = args[0];
+  if (!(sequence instanceof values.Table) && !((sequence instanceof values.Selection) && (sequence.type === 'TABLE_SLICE'))) {
+    throw new ReqlError('Expected type TABLE_SLICE but found ' + values.typeName(sequence) + '.');
+  }
+
+  let table = (sequence instanceof values.Table) ? sequence : sequence.table;
+  let lower = values.toDatum(args[1]), upper = values.toDatum(args[2]);
+  let leftOpen = (optargs.left_bound === 'open'), rightClosed = (optargs.right_bound === 'closed');
+  let index = (optargs.index !== undefined) ? optargs.index : table.primaryKey;
+  let within = (sequence instanceof values.Selection) ? new Set(sequence.docs) : null;
+
+  let seen = new Set();
+  let docs = [];
+  this.index(table, index).forEach(entry => {
+    let start = datum.compare(entry.value, lower), end = datum.compare(entry.value, upper);
+    if ((leftOpen ? start > 0 : start >= 0) && (rightClosed ? end <= 0 : end < 0) &&
+        !seen.has(entry.doc) && ((within === null) || within.has(entry.doc))) {
+      seen.add(entry.doc);
+      docs.push(entry.doc);
+    }
+  });
+  return new values.Selection(table, docs, 'TABLE_SLICE');
+};
+
+/**
+ * Writes
+ */
+
+terms.INSERT = function(args, optargs) {
+  let table = args[0];
+  if (!(table instanceof values.Table)) {
+    throw new ReqlError('Expected type TABLE but found ' + values.typeName(table) + '.');
+  }
+  return writes.insert(this, table, values.toDatum(args[1]), optargs);
+};
+
+terms.UPDATE = function(args, optargs) {
+  return writes.update(this, args[0], args[1], optargs);
+};
+
+terms.REPLACE = function(args, optargs) {
+  return writes.replace(this, args[0], args[1], optargs);
+};
+
+terms.DELETE = function(args, optargs) {
+  return writes.remove(this, args[0], optargs);
+};
+
@@ -0,0 +1,300 @@
+'use strict';
+const datum = require('./datum'),
+      Table = require('./table');
+
+/**
+ * Values produced while evaluating a query that are not datums.
+ */
+
+class Db {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class Selection {
+  /**
+   * Documents of a table, can be written to.
+   * @param {Table} table
+   * @param {Array} docs
+   * @param {string=} type "SELECTION<STREAM>" (default), "SELECTION<ARRAY>"
+   * or "TABLE_SLICE"
+   */
+  constructor(table, docs, type) {
+    this.table = table;
+    this.docs = docs;
+    this.type = type || 'SELECTION<STREAM>';
+  }
+}
+
+class SingleSelection {
+  /**
+   * A document of a table (or its absence), can be written to.
+   * @param {Table} table
+   * @param {*} key The primary key of the document
+   * @param {Object|null} doc
+   */
+  constructor(table, key, doc) {
+    this.table = table;
+    this.key = key;
+    this.doc = doc;
+  }
+}
+
+class Stream {
+  constructor(items) {
+    this.items = items;
+  }
+}
+
+class Grouped {
+  /**
+   * The result of `group`, the operations applied to it are applied to each group.
+   * @param {Array} groups Objects `{ group, value }` sorted by group
+   */
+  constructor(groups) {
+    this.groups = groups;
+  }
+
+  /**
+   * Group a sequence.
+   * @param {Array} items
+   * @param {Function} groupsOf Return the groups of an item
+   * @return {Grouped}
+   */
+  static from(items, groupsOf) {
+    let groups = new Map();
+    items.forEach(item => {
+      groupsOf(item).forEach(group => {
+        let key = datum.key(group);
+        if (!groups.has(key)) groups.set(key, { group: group, value: [] });
+        groups.get(key).value.push(item);
+      });
+    });
+
+    return new Grouped(Array.from(groups.values()).sort((a, b) => datum.compare(a.group, b.group)));
+  }
+}
+
+class Func {
+  /**
+   * A ReQL function, closing over the variables of its environment.
+   * @param {Evaluator} evaluator
+   * @param {Array} params The ids of the variables
+   * @param {*} body The term to evaluate
+   * @param {Object} env
+   */
+  constructor(evaluator, params, body, env) {
+    this.evaluator = evaluator;
+    this.params = params;
+    this.body = body;
+    this.env = env;
+  }
+
+  /**
+   * Call the function, like RethinkDB a function without parameters accepts
+   * any arguments.
+   * @param {Array} args
+   * @return {*}
+   */
+  call(args) {
+    if ((args.length !== this.params.length) && (this.params.length !== 0)) {
+      throw new datum.ReqlError('Expected function with ' + args.length + ' argument' + (args.length === 1 ? '' : 's') +
+        ' but found function with ' + this.params.length + ' argument' + (this.params.length === 1 ? '' : 's') + '.');
+    }
+
+    let env = Object.create(this.env);
+    for (let i = 0, ii = this.params.length; i < ii; ++i) {
+      env[this.params[i]] = args[i];
+    }
+    if (this.params.length === 1) env.$implicit = args[0];
+
+    return this.evaluator.evaluate(this.body, env);
+  }
+}
+
+class Ordering {
+  /**
+   * Result of `r.asc` and `r.desc`.
+   * @param {string} direction "asc" or "desc"
+   * @param {string|Func} key
+   */
+  constructor(direction, key) {
+    this.direction = direction;
+    this.key = key;
+  }
+}
+
+class Literal {
+  /**
+   * Result of `r.literal`, replaces a field instead of merging it. Without
+   * value, the field is removed.
+   */
+  constructor(value, hasValue) {
+    this.value = value;
+    this.hasValue = hasValue;
+  }
+}
+
+/**
+ * Merge `right` in `left` like `merge` does, nested objects are merged and
+ * `r.literal` replaces values.
+ * @param {*} left
+ * @param {*} right
+ * @return {*} The merged value, `undefined` if removed by `r.literal()`
+ */
+function merge(left, right) {
+  if (right instanceof Literal) {
+    return right.hasValue ? stripLiterals(right.value) : undefined;
+  }
+
+  if (!datum.isObject(left) || !datum.isObject(right)) {
+    return stripLiterals(right);
+  }
+
+  let result = Object.assign({}, left);
+  Object.keys(right).forEach(key => {
+    let value = merge(result[key], right[key]);
+    if (value === undefined) {
+      delete result[key];
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Remove the `r.literal` wrappers of a value.
+ * @param {*} value
+ * @return {*}
+ */
+function stripLiterals(value) {
+  if (value instanceof Literal) {
+    return value.hasValue ? stripLiterals(value.value) : undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.map(stripLiterals);
+  }
+  if (datum.isObject(value)) {
+    let result = {};
+    Object.keys(value).forEach(key => {
+      let field = stripLiterals(value[key]);
+      if (field !== undefined) result[key] = field;
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Return the ReQL type name of any value.
+ * @param {*} value
+ * @return {string}
+ */
+function typeName(value) {
+  if (value instanceof Table) return 'TABLE';
+  if (value instanceof Selection) return value.type;
+  if (value instanceof SingleSelection) return 'SELECTION<OBJECT>';
+  if (value instanceof Stream) return 'STREAM';
+  if (value instanceof Grouped) return 'GROUPED_DATA';
+  if (value instanceof Func) return 'FUNCTION';
+  if (value instanceof Db) return 'DB';
+  if (value instanceof Ordering) return 'ORDERING';
+  if (value instanceof Literal) return 'OBJECT';
+  return datum.typeOf(value);
+}
+
+function isSequence(value) {
+  return (value instanceof Table) || (value instanceof Selection) ||
+    (value instanceof Stream) || Array.isArray(value);
+}
+
+/**
+ * Convert a value to a datum, streams are read in arrays.
+ * @param {*} value
+ * @return {*}
+ */
+function toDatum(value) {
+  if (value instanceof SingleSelection) return value.doc;
+  if (value instanceof Selection) return value.docs;
+  if (value instanceof Stream) return value.items;
+  if ((value instanceof Table) || (value instanceof Grouped) || (value instanceof Func) ||
+      (value instanceof Db) || (value instanceof Ordering)) {
+    throw new datum.ReqlError('Expected type DATUM but found ' + typeName(value) + '.');
+  }
+  return value;
+}
+
+/**
+ * Like `toDatum`, but values that cannot be converted are returned as is.
+ * @param {*} value
+ * @return {*}
+ */
+function toDatumOrValue(value) {
+  if ((value instanceof SingleSelection) || (value instanceof Selection) || (value instanceof Stream)) {
+    return toDatum(value);
+  }
+  return value;
+}
+
+/**
+ * Read the items of a sequence.
+ * @param {*} value
+ * @return {Array}
+ */
+function toArray(value) {
+  if (value instanceof Table) return value.all();
+  if (value instanceof Selection) return value.docs;
+  if (value instanceof Stream) return value.items;
+  if (Array.isArray(value)) return value;
+  throw new datum.ReqlError('Cannot convert ' + typeName(value) + ' to SEQUENCE');
+}
+
+/**
+ * Build a sequence of the same kind as `source`: selections stay selections.
+ * @param {*} source
+ * @param {Array} items
+ * @param {string=} type The type of the selection
+ * @return {*}
+ */
+function sameSequence(source, items, type) {
+  if (source instanceof Table) return new Selection(source, items, type);
+  if (source instanceof Selection) return new Selection(source.table, items, type || source.type);
+  if (source instanceof Stream) return new Stream(items);
+  return items;
+}
+
+/**
+ * Build a stream from a sequence, the documents cannot be written to anymore.
+ * @param {*} source
+ * @param {Array} items
+ * @return {*}
+ */
+function derivedSequence(source, items) {
+  if (Array.isArray(source) || ((source instanceof Selection) && (source.type === 'SELECTION<ARRAY>'))) {
+    return items;
+  }
+  return new Stream(items);
+}
+
+module.exports = {
+  Db: Db,
+  Table: Table,
+  Selection: Selection,
+  SingleSelection: SingleSelection,
+  Stream: Stream,
+  Grouped: Grouped,
+  Func: Func,
+  Ordering: Ordering,
+  Literal: Literal,
+  merge: merge,
+  stripLiterals: stripLiterals,
+  typeName: typeName,
+  isSequence: isSequence,
+  toDatum: toDatum,
+  toDatumOrValue: toDatumOrValue,
+  toArray: toArray,
+  sameSequence: sameSequence,
+  derivedSequence: derivedSequence
+};
@@ -0,0 +1,290 @@
+'use strict';
+const datum = require('./datum'),
+      values = require('./values');
+
+const ReqlError = datum.ReqlError;
+
+/**
+ * Writes of the in-memory driver, building the same results as RethinkDB.
+ */
+
+function emptyResult() {
+  return { deleted: 0, errors: 0, inserted: 0, replaced: 0, skipped: 0, unchanged: 0 };
+}
+
+/**
+ * Add the counters of a write result to another one, used by `forEach`.
+ * @param {Object} result
+ * @param {Object} other
+ */
+function addResult(result, other) {
+  if (!datum.isObject(other)) {
+    throw new ReqlError('FOR_EACH expects one or more basic write queries.');
+  }
+
+  Object.keys(other).forEach(key => {
+    if (typeof other[key] === 'number') {
+      result[key] = (result[key] || 0) + other[key];
+    } else if (Array.isArray(other[key])) {
+      result[key] = (result[key] || []).concat(other[key]);
+    } else if ((key === 'first_error') && (result.first_error === undefined)) {
+      result.first_error = other.first_error;
+    }
+  });
+}
+
+class Write {
+  /**
+   * Accumulate the result of a write.
+   * @param {Table} table
+   * @param {Object} optargs The options of the write (`return_changes`)
+   */
+  constructor(table, optargs) {
+    this.table = table;
+    this.returnChanges = optargs.return_changes;
+    this.result = emptyResult();
+    if ((this.returnChanges === true) || (this.returnChanges === 'always')) {
+      this.result.changes = [];
+    }
+  }
+
+  /**
+   * Check and store a new version of a document.
+   * @param {*} key The primary key of the document
+   * @param {Object|null} oldDoc
+   * @param {Object|null} newDoc
+   */
+  commit(key, oldDoc, newDoc) {
+    let pk = this.table.primaryKey;
+    if (newDoc !== null) {
+      if (!datum.isObject(newDoc)) {
+        throw new ReqlError('Expected type OBJECT but found ' + datum.typeOf(newDoc) + '.');
+      }
+      if (newDoc[pk] === undefined) {
+        throw new ReqlError('Inserted object must have primary key `' + pk + '`:\n' + datum.print(newDoc));
+      }
+      if (!datum.equals(newDoc[pk], key)) {
+        throw new ReqlError('Primary key `' + pk + '` cannot be changed (`' + datum.print(oldDoc) + '` -> `' + datum.print(newDoc) + '`).');
+      }
+    }
+
+    if ((oldDoc === null) && (newDoc === null)) {
+      this.result.skipped++;
+      this._change(oldDoc, newDoc, false);
+      return;
+    }
+
+    if ((oldDoc !== null) && (newDoc !== null) && datum.equals(oldDoc, newDoc)) {
+      this.result.unchanged++;
+      this._change(oldDoc, newDoc, false);
+      return;
+    }
+
+    if (oldDoc === null) {
+      this.result.inserted++;
+    } else if (newDoc === null) {
+      this.result.deleted++;
+    } else {
+      this.result.replaced++;
+    }
+
+    newDoc = datum.copy(newDoc);
+    this.table.write(key, newDoc);
+    this._change(oldDoc, newDoc, true);
+  }
+
+  /**
+   * Record an error for one document.
+   * @param {Error} error
+   * @param {Object|null} oldDoc
+   * @param {Object|null} newDoc
+   */
+  fail(error, oldDoc, newDoc) {
+    if (!(error instanceof ReqlError)) throw error;
+
+    this.result.errors++;
+    if (this.result.first_error === undefined) {
+      this.result.first_error = error.message;
+    }
+    if (this.returnChanges === 'always') {
+      this.result.changes.push({ error: error.message, new_val: newDoc, old_val: oldDoc });
+    }
+  }
+
+  _change(oldDoc, newDoc, changed) {
+    if ((this.returnChanges === 'always') || (changed && (this.returnChanges === true))) {
+      this.result.changes.push({ new_val: newDoc, old_val: oldDoc });
+    }
+  }
+}
+
+/**
+ * The primary keys of the documents targeted by a write. The documents are
+ * read again before being written, in case a selection contains a document
+ * twice.
+ * @param {*} selection
+ * @return {Object} `{ table, keys }`
+ */
+function targetOf(selection) {
+  let table, docs;
+  if (selection instanceof values.Table) {
+    table = selection;
+    docs = selection.all();
+  } else if (selection instanceof values.Selection) {
+    table = selection.table;
+    docs = selection.docs;
+  } else if (selection instanceof values.SingleSelection) {
+    return { table: selection.table, keys: [ selection.key ] };
+  } else {
+    throw new ReqlError('Expected type SELECTION but found ' + values.typeName(selection) + '.');
+  }
+
+  return { table: table, keys: docs.map(doc => doc[table.primaryKey]) };
+}
+
+/**
+ * Insert documents in a table.
+ * @param {Evaluator} evaluator
+ * @param {Table} table
+ * @param {Object|Array} docs
+ * @param {Object} optargs `conflict` ("error", "replace", "update" or a
+ * function) and `return_changes`
+ * @return {Object}
+ */
+function insert(evaluator, table, docs, optargs) {
+  let write = new Write(table, optargs);
+  let conflict = (optargs.conflict !== undefined) ? optargs.conflict : 'error';
+  let pk = table.primaryKey;
+
+  (Array.isArray(docs) ? docs : [ docs ]).forEach(doc => {
+    let oldDoc = null;
+    try {
+      if (!datum.isObject(doc)) {
+        throw new ReqlError('Expected type OBJECT but found ' + datum.typeOf(doc) + '.');
+      }
+      doc = values.stripLiterals(doc);
+
+      if (doc[pk] === undefined) {
+        let key = datum.uuid();
+        doc = Object.assign({}, doc);
+        doc[pk] = key;
+        write.result.generated_keys = (write.result.generated_keys || []).concat([ key ]);
+      } else if (!datum.isKey(doc[pk])) {
+        throw new ReqlError('Primary keys must be either a number, string, bool, pseudotype or array (got type ' + datum.typeOf(doc[pk]) + '):\n' + datum.print(doc[pk]));
+      }
+
+      let key = doc[pk];
+      oldDoc = table.get(key);
+      let newDoc = doc;
+      if (oldDoc !== null) {
+        if (conflict === 'error') {
+          throw new ReqlError('Duplicate primary key `' + pk + '`:\n' + datum.print(oldDoc) + '\n' + datum.print(doc), 'OP_FAILED');
+        } else if (conflict === 'update') {
+          newDoc = values.merge(oldDoc, doc);
+        } else if (conflict instanceof values.Func) {
+          newDoc = values.toDatum(conflict.call([ key, oldDoc, doc ]));
+        }
+      }
+
+      write.commit(key, oldDoc, newDoc);
+    } catch (error) {
+      write.fail(error, oldDoc, doc);
+    }
+  });
+
+  return write.result;
+}
+
+/**
+ * Update documents.
+ * @param {Evaluator} evaluator
+ * @param {*} selection
+ * @param {*} value An object or a function returning one
+ * @param {Object} optargs
+ * @return {Object}
+ */
+function update(evaluator, selection, value, optargs) {
+  let target = targetOf(selection);
+  let write = new Write(target.table, optargs);
+
+  target.keys.forEach(key => {
+    let oldDoc = target.table.get(key);
+    if (oldDoc === null) {
+      write.result.skipped++;
+      return;
+    }
+
+    let newDoc = oldDoc;
+    try {
+      let changes = values.toDatum(evaluator.call(value, [ oldDoc ]));
+      if (changes !== null) {
+        if (!datum.isObject(changes)) {
+          throw new ReqlError('Expected type OBJECT but found ' + datum.typeOf(changes) + '.');
+        }
+        newDoc = values.merge(oldDoc, changes);
+      }
+      write.commit(key, oldDoc, newDoc);
+    } catch (error) {
+      write.fail(error, oldDoc, oldDoc);
+    }
+  });
+
+  return write.result;
+}
+
+/**
+ * Replace documents.
+ * @param {Evaluator} evaluator
+ * @param {*} selection
+ * @param {*} value An object, `null` to delete, or a function returning one
+ * @param {Object} optargs
+ * @return {Object}
+ */
+function replace(evaluator, selection, value, optargs) {
+  let target = targetOf(selection);
+  let write = new Write(target.table, optargs);
+
+  target.keys.forEach(key => {
+    let oldDoc = target.table.get(key);
+    try {
+      let newDoc = values.stripLiterals(values.toDatum(evaluator.call(value, [ oldDoc ])));
+      write.commit(key, oldDoc, newDoc);
+    } catch (error) {
+      write.fail(error, oldDoc, oldDoc);
+    }
+  });
+
+  return write.result;
+}
+
+/**
+ * Delete documents.
+ * @param {Evaluator} evaluator
+ * @param {*} selection
+ * @param {Object} optargs
+ * @return {Object}
+ */
+function remove(evaluator, selection, optargs) {
+  let target = targetOf(selection);
+  let write = new Write(target.table, optargs);
+
+  target.keys.forEach(key => {
+    let oldDoc = target.table.get(key);
+    if (oldDoc === null) {
+      write.result.skipped++;
+      return;
+    }
+    write.commit(key, oldDoc, null);
+  });
+
+  return write.result;
+}
+
+module.exports = {
+  emptyResult: emptyResult,
+  addResult: addResult,
+  insert: insert,
+  update: update,
+  replace: replace,
+  remove: remove
+};
@@ -0,0 +1,300 @@
+'use strict';
+const Promise = require('bluebird'),
+      crypto = require('crypto'),
+      Errors = require('./errors');
+
+const LOCK_ID = '$lock';
+
+class Migrator {
+  /**
+   * Run versioned schema migrations against the database of `thinkagain`.
+   * @param {ThinkAgain} thinkagain The instance of thinkagain to migrate
+   * @param {Array} migrations The migrations, objects with the fields:
+   *  - `version` {number|string} Unique version of the migration, migrations are
+   *  applied in ascending order of version. The versions are either all
+   *  numbers or all strings.
+   *  - `up` {function(r, context)} Apply the migration, may return a promise
+   *  - `down` {function(r, context)=} Revert the migration, may return a promise
+   *  `context` holds `thinkagain` and the helpers `transform(table, fn)`,
+   *  `createIndex(table, name, fn, opts)` and `dropIndex(table, name)`.
+   * @param {Object=} options The options of the migration, the fields can be:
+   *  - `to` {number|string} The version to migrate to, default the latest one
+   *  - `table` {string} The table keeping track of the applied migrations,
+   *  default "_thinkagain_migrations"
+   *  - `lockTimeout` {number} How long to wait for a lock held by another
+   *  instance (in ms), default 60000
+   *  - `lockTtl` {number} How long a lock is valid before being considered
+   *  stale, in case the instance holding it died (in ms), default 600000. The
+   *  lock is renewed before each migration.
+   */
+  constructor(thinkagain, migrations, options) {
+    options = options || {};
+
+    this._thinkagain = thinkagain;
+    this._migrations = this._sortMigrations(migrations);
+    if ((options.to !== undefined) && (this._migrations.length > 0) &&
+        (typeof options.to !== typeof this._migrations[0].version)) {
+      throw new Errors.ThinkAgainError('The option `to` must be of the type of the versions of the migrations.');
+    }
+
+    this._table = (options.table != null) ? options.table : '_thinkagain_migrations'; // eslint-disable-line
+    this._to = options.to;
+    this._lockTimeout = (options.lockTimeout != null) ? options.lockTimeout : 60000; // eslint-disable-line
+    this._lockTtl = (options.lockTtl != null) ? options.lockTtl : 600000; // eslint-disable-line
+    this._lockRetryInterval = 500;
+    this._owner = crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Validate the migrations and sort them by version.
+   * @param {Array} migrations
+   * @return {Array}
+   */
+  _sortMigrations(migrations) {
+    if (!Array.isArray(migrations)) {
+      throw new Errors.ThinkAgainError('The migrations must be provided as an array.');
+    }
+
+    let versions = new Set();
+    for (let i = 0, ii = migrations.length; i < ii; ++i) {
+      let migration = migrations[i];
+      if ((typeof migration.version !== 'number') && (typeof migration.version !== 'string')) {
+        throw new Errors.ThinkAgainError('The version of a migration must be a number or a string.');
+      }
+
+      // Numbers and strings are not ordered together, and 1 and '1' would be
+      // the same version once recorded
+      if (typeof migration.version !== typeof migrations[0].version) {
+        throw new Errors.ThinkAgainError('The versions of the migrations must be all numbers or all strings.');
+      }
+
+      if (migration.version === LOCK_ID) {
+        throw new Errors.ThinkAgainError('The version `' + LOCK_ID + '` is reserved by thinkagain.');
+      }
+
+      if (versions.has(migration.version)) {
+        throw new Errors.ThinkAgainError('The version `' + migration.version + '` is used by multiple migrations.');
+      }
+
+      if (typeof migration.up !== 'function') {
+        throw new Errors.ThinkAgainError('The migration `' + migration.version + '` does not define an `up` function.');
+      }
+
+      versions.add(migration.version);
+    }
+
+    return migrations.slice().sort((a, b) => {
+      if (a.version < b.version) return -1;
+      if (a.version > b.version) return 1;
+      return 0;
+    });
+  }
+
+  /**
+   * Apply the pending migrations, or revert the applied ones if `to` is lower
+   * than the current version.
+   * @return {Promise} Resolved with `{ applied: [versions], reverted: [versions] }`
+   */
+  run() {
+    let report = { applied: [], reverted: [] };
+
+    return this._tableReady()
+      .then(() => this._lock())
+      .then(() => {
+        return this._appliedVersions()
+          .then(applied => this._migrate(applied, report))
+          .finally(() => this._unlock());
+      })
+      .return(report);
+  }
+
+  /**
+   * Create the table keeping track of the migrations.
+   * @return {Promise}
+   */
+  _tableReady() {
+    let r = this._thinkagain.r;
+    return this._thinkagain.dbReady()
+      .then(() => r.tableCreate(this._table).run())
+      .error(error => {
+        if (error.message.match(/Table `.*` already exists/)) {
+          return;
+        }
+
+        throw error;
+      })
+      .then(() => r.table(this._table).wait().run());
+  }
+
+  /**
+   * Acquire the migration lock, waiting for other instances to release it.
+   * A lock older than `lockTtl` is considered stale and taken over.
+   * @return {Promise}
+   */
+  _lock() {
+    let r = this._thinkagain.r;
+    let start = Date.now();
+    let attempt = () => {
+      return r.table(this._table).insert({
+        id: LOCK_ID,
+        owner: this._owner,
+        expiresAt: r.now().add(this._lockTtl / 1000)
+      }, {
+        conflict: (id, oldLock, newLock) => r.branch(oldLock('expiresAt').lt(r.now()), newLock, oldLock)
+      }).run()
+        .then(result => {
+          if ((result.inserted === 1) || (result.replaced === 1)) {
+            return;
+          }
+
+          if (Date.now() - start >= this._lockTimeout) {
+            throw new Errors.MigrationLocked();
+          }
+
+          return Promise.delay(this._lockRetryInterval).then(attempt);
+        });
+    };
+
+    return attempt();
+  }
+
+  /**
+   * Release the migration lock if we still own it.
+   * @return {Promise}
+   */
+  _unlock() {
+    let r = this._thinkagain.r;
+    return r.table(this._table).get(LOCK_ID)
+      .replace(lock => r.branch(lock.ne(null).and(lock('owner').eq(this._owner)), null, lock))
+      .run();
+  }
+
+  /**
+   * Extend the migration lock before a migration, so that it does not become
+   * stale while the migrations run.
+   * @return {Promise} Rejected with a `MigrationLocked` error if another
+   * instance took the lock over
+   */
+  _renewLock() {
+    let r = this._thinkagain.r;
+    return r.table(this._table).get(LOCK_ID)
+      .update(lock => r.branch(lock('owner').eq(this._owner),
+        { expiresAt: r.now().add(this._lockTtl / 1000) },
+        r.error('The lock is held by another instance.')))
+      .run()
+      .then(result => {
+        if ((result.errors > 0) || (result.skipped > 0)) {
+          throw new Errors.MigrationLocked('The migration lock was taken over by another instance.');
+        }
+      });
+  }
+
+  /**
+   * Retrieve the versions of the migrations already applied.
+   * @return {Promise} Resolved with the set of the versions
+   */
+  _appliedVersions() {
+    let r = this._thinkagain.r;
+    return r.table(this._table).filter(doc => doc('id').ne(LOCK_ID))('id').coerceTo('ARRAY').run()
+      .then(versions => new Set(versions));
+  }
+
+  /**
+   * Execute the migrations, one at a time.
+   * @param {Set} applied The versions already applied
+   * @param {Object} report The versions applied and reverted during this run
+   * @return {Promise}
+   */
+  _migrate(applied, report) {
+    let migrations = this._migrations;
+    let target = this._to;
+
+    let steps = [];
+    for (let i = 0, ii = migrations.length; i < ii; ++i) {
+      if (!applied.has(migrations[i].version) &&
+          ((target === undefined) || (migrations[i].version <= target))) {
+        steps.push({ migration: migrations[i], direction: 'up' });
+      }
+    }
+
+    if (target !== undefined) {
+      for (let i = migrations.length - 1; i >= 0; --i) {
+        if (applied.has(migrations[i].version) && (migrations[i].version > target)) {
+          steps.push({ migration: migrations[i], direction: 'down' });
+        }
+      }
+    }
+
+    return Promise.each(steps, step => this._renewLock()
+      .then(() => this._step(step.migration, step.direction))
+      .then(() => {
+        if (step.direction === 'up') {
+          report.applied.push(step.migration.version);
+        } else {
+          report.reverted.push(step.migration.version);
+        }
+      }));
+  }
+
+  /**
+   * Apply or revert a single migration and record it.
+   * @param {Object} migration
+   * @param {string} direction "up" or "down"
+   * @return {Promise}
+   */
+  _step(migration, direction) {
+    let r = this._thinkagain.r;
+    if (typeof migration[direction] !== 'function') {
+      return Promise.reject(new Errors.MigrationError('The migration `' + migration.version + '` cannot be reverted.', migration.version));
+    }
+
+    return Promise.try(() => migration[direction](r, this._context()))
+      .then(() => {
+        if (direction === 'up') {
+          return r.table(this._table).insert({
+            id: migration.version,
+            name: migration.name,
+            appliedAt: r.now()
+          }).run();
+        }
+
+        return r.table(this._table).get(migration.version).delete().run();
+      })
+      .catch(error => {
+        throw new Errors.MigrationError('The migration `' + migration.version + '` failed (' + direction + '): ' + error.message, migration.version, error);
+      });
+  }
+
+  /**
+   * Helpers given to the `up` and `down` functions of the migrations.
+   * @return {Object}
+   */
+  _context() {
+    let thinkagain = this._thinkagain;
+    let r = thinkagain.r;
+
+    return {
+      thinkagain: thinkagain,
+
+      transform: (table, fn) => r.table(table).replace(fn).run(),
+
+      createIndex: (table, name, fn, opts) => {
+        return r.branch(
+          r.table(table).indexList().contains(name),
+          r.table(table).indexWait(name),
+          r.table(table).indexCreate(name, fn, opts).do(() => r.table(table).indexWait(name))
+        ).run();
+      },
+
+      dropIndex: (table, name) => {
+        return r.branch(
+          r.table(table).indexList().contains(name),
+          r.table(table).indexDrop(name),
+          null
+        ).run();
+      }
+    };
+  }
+}
+
+module.exports = Migrator;
@@ -6,6 +6,9 @@ const Promise = require('bluebird'),
       Query = require('./query'),
       util = require('./util');
 
+// The table where `syncIndexes` creates the declared indexes to compare them
+const SYNC_TABLE = '_thinkagain_indexes';
+
 class Model extends EventEmitter {
 
   /*
@@ -45,9 +48,47 @@ class Model extends EventEmitter {
 
     this._validator = options.validator;
 
-    this._indexes = {}; // indexName -> true
+    // Fields that are computed from the document and never saved
+    // Example: { fullName: function() { return this.first + ' ' + this.last; } }
+    this._virtuals = util.isPlainObject(options.virtuals) ? options.virtuals : {};
+
+    // Field storing when a soft deleted document was deleted, undefined if the
+    // documents are really deleted
+    this._softDelete = util.softDeleteField(options);
+
+    // Field incremented each time a document is saved, to detect concurrent
+    // writes
+    this._versionKey = util.versionField(options);
+
+    // Whether the fields and values used by the queries are checked against
+    // the schema, see `Query`
+    this._strict = options.strict === true;
+
+    // Fields stamped with `r.now()` when a document is created/updated, see
+    // `util.timestampFields`
+    this._timestamps = util.timestampFields(options);
+
+    // Indexes declared with the `indexes` option, see `util.indexDefinitions`
+    this._indexDefinitions = util.indexDefinitions(options);
+
+    // indexName -> true for an index on the field of the same name, or
+    // { fields, multi, geo } for the other declared indexes
+    this._indexes = {};
     this._pendingPromises = [];
 
+    // The options the model was created with, inherited by its discriminated
+    // models
+    this._modelOptions = options;
+
+    // Field telling apart the kinds of documents sharing the table, and the
+    // models created with `discriminator`: value -> model
+    this._discriminatorKey = (typeof options.discriminatorKey === 'string') ? options.discriminatorKey : 'kind';
+    this._discriminators = new Map();
+
+    // { key, value } for a model created with `discriminator`, whose documents
+    // are the ones of the table with this value
+    this._discriminator = undefined;
+
     this._error = null; // If an error occured, we won't let people save things
 
     this._listeners = {};
@@ -61,6 +102,8 @@ class Model extends EventEmitter {
 
     this._methods = {};
     this._staticMethods = {};
+    this._scopes = {};
+    this._defaultScopes = []; // names of the scopes applied to every query
     this._async = {
       init: false,
       retrieve: false,
@@ -98,6 +141,10 @@ class Model extends EventEmitter {
         doc = util.deepCopy(doc);
       }
 
+      if ((proto._discriminator !== undefined) && (doc[proto._discriminator.key] === undefined)) {
+        doc[proto._discriminator.key] = proto._discriminator.value;
+      }
+
       util.changeProto(doc, new Document(model, _options));
 
       // Create joins document. We do it here because `_options` are easily available
@@ -107,6 +154,11 @@ class Model extends EventEmitter {
             doc[key] = new joins[key].model(doc[key], _options); // eslint-disable-line
           } else if ((joins[key].type === 'belongsTo') && (doc[key] instanceof Document === false)) {
             doc[key] = new joins[key].model(doc[key], _options); // eslint-disable-line
+          } else if ((joins[key].type === 'belongsToPolymorphic') && (doc[key] instanceof Document === false)) {
+            let joinedModel = joins[key].models[doc[joins[key].typeKey]];
+            if (joinedModel !== undefined) {
+              doc[key] = new joinedModel(doc[key], _options); // eslint-disable-line
+            }
           } else if (joins[key].type === 'hasMany') {
             doc.__proto__._hasMany[key] = []; // eslint-disable-line
 
@@ -125,6 +177,8 @@ class Model extends EventEmitter {
         }
       });
 
+      doc.generateVirtualValues();
+
       let promises = [];
       let promise;
       if (proto._options.validate === 'oncreate') {
@@ -162,6 +216,10 @@ class Model extends EventEmitter {
       model.emit('ready');
     }
 
+    proto._indexDefinitions.forEach(index => {
+      model._createDeclaredIndex(index).catch(error => model._setError(error));
+    });
+
     // So people can directly call the EventEmitter from the constructor
     // TOIMPROVE: We should emit everything from the constructor instead of emitting things from
     // the constructor and the instance of Model
@@ -295,7 +353,7 @@ class Model extends EventEmitter {
       });
   }
 
-  _createIndex(name, fn, opts) {
+  _createIndex(name, fn, opts, definition) {
     let model = this._getModel();
     let tableName = this.getTableName();
     let r = model._thinkagain.r;
@@ -324,12 +382,151 @@ class Model extends EventEmitter {
 
         throw error;
       })
-      .then(() => { model._indexes[name] = true; });
+      .then(() => { model._indexes[name] = (definition !== undefined) ? definition : true; });
 
     this._waitFor(promise);
     return promise;
   }
 
+  /*
+  * Create an index declared with the `indexes` option. Compound indexes index
+  * the array of the values of their fields. The function is always given, so
+  * that `syncIndexes` can compare it.
+  */
+  _createDeclaredIndex(index) {
+    let fields = index.fields;
+    let fn = util.indexTerm(this._getModel()._thinkagain.r, index);
+
+    // Only a plain index on a field of the same name can replace this field in
+    // `orderBy` and `filter`, like the indexes of `ensureIndex`
+    let definition = (index.fn === undefined && fields.length === 1 && fields[0] === index.name && !index.multi && !index.geo) ?
+      true : { fields: fields, multi: index.multi, geo: index.geo };
+
+    return this._createIndex(index.name, fn, util.indexOptions(index), definition);
+  }
+
+  /**
+   * Compare the indexes declared with the `indexes` option with the indexes of
+   * the table, and rebuild the ones that differ: the declared indexes that are
+   * missing or whose function or options changed are (re)created, and the
+   * indexes that are neither declared nor used by the model (created by
+   * `ensureIndex` or the joins) are dropped. A dry run does not write to the
+   * database, and only compares the functions of the indexes on the documents
+   * of the table.
+   * @param {Object=} options `dryRun` to only report the differences
+   * @return {Promise} Resolved with `{ missing, extra, changed }`, the names of
+   * the indexes in each case
+   */
+  syncIndexes(options) {
+    options = options || {};
+    let model = this._getModel();
+    let table = model._thinkagain.r.table(this.getTableName());
+    let result = { missing: [], extra: [], changed: [] };
+
+    let declared = {};
+    model._indexDefinitions.forEach(index => { declared[index.name] = index; });
+
+    return this.ready()
+      .then(() => (options.dryRun ? undefined : this._syncTableReady()))
+      .then(() => table.indexList().run())
+      .then(names => Promise.mapSeries(names, name => {
+        if (declared[name] === undefined) {
+          if (!model._indexes.hasOwnProperty(name)) result.extra.push(name);
+          return;
+        }
+
+        let comparison = options.dryRun ? this._indexDiffers(declared[name]) : this._indexChanged(declared[name]);
+        return comparison
+          .then(changed => { if (changed) result.changed.push(name); });
+      })
+      .then(() => {
+        model._indexDefinitions.forEach(index => {
+          if (names.indexOf(index.name) === -1) result.missing.push(index.name);
+        });
+      }))
+      .then(() => {
+        if (options.dryRun) return;
+
+        return Promise.mapSeries(result.extra.concat(result.changed), name => {
+          delete model._indexes[name];
+          return table.indexDrop(name).run();
+        })
+        .then(() => Promise.mapSeries(result.changed.concat(result.missing),
+          name => this._createDeclaredIndex(declared[name])))
+        .then(() => table.indexWait().run())
+        .catch(error => {
+          model._setError(error);
+          throw error;
+        });
+      })
+      .then(() => result);
+  }
+
+  /*
+  * Create the table where the declared indexes are compared, which stays
+  * empty.
+  */
+  _syncTableReady() {
+    let r = this._getModel()._thinkagain.r;
+    return r.tableCreate(SYNC_TABLE).run()
+      .error(error => {
+        if (error.message.match(/Table `.*` already exists/)) return;
+        throw error;
+      })
+      .then(() => r.table(SYNC_TABLE).wait().run());
+  }
+
+  /*
+  * Whether the function or the options of a declared index differ from the
+  * ones of the index of the table. The declared function is compared by
+  * creating it in a temporary index of an empty table, so that no document is
+  * indexed, with the numbering of the variables of `_createDeclaredIndex`.
+  */
+  _indexChanged(index) {
+    let r = this._getModel()._thinkagain.r;
+    let table = r.table(this.getTableName());
+    let scratch = r.table(SYNC_TABLE);
+    let name = this.getTableName() + '_' + index.name;
+
+    return scratch.indexCreate(name, util.indexTerm(r, index), util.indexOptions(index)).run()
+      .then(() => Promise.all([ table.indexStatus(index.name).nth(0).run(), scratch.indexStatus(name).nth(0).run() ]))
+      .spread((current, expected) => !current.function.equals(expected.function) ||
+        (current.multi !== expected.multi) || (current.geo !== expected.geo))
+      .finally(() => scratch.indexDrop(name).run());
+  }
+
+  /*
+  * Whether the options of a declared index differ from the ones of the index
+  * of the table, or its function indexes the documents of the table under
+  * other values, without writing to the database.
+  */
+  _indexDiffers(index) {
+    let model = this._getModel();
+    let r = model._thinkagain.r;
+    let table = r.table(this.getTableName());
+    let fn = util.indexFunction(index);
+
+    // The values under which the declared index would keep a document
+    let keys = doc => r.expr(fn(doc))
+      .do(value => (index.multi ? r.branch(value.typeOf().eq('ARRAY'), value.distinct(), [ value ]) : [ value ]))
+      .filter(key => key.ne(null))
+      .default([]);
+
+    return table.indexStatus(index.name).nth(0).run()
+      .then(status => {
+        if ((status.multi !== !!index.multi) || (status.geo !== !!index.geo)) return true;
+        if (index.geo) return false;
+
+        return r.expr([
+          table.filter(doc => keys(doc).isEmpty().not()).count(),
+          table.between(r.minval, r.maxval, { index: index.name })(model._pk).distinct().count(),
+          table.filter(doc => keys(doc).contains(key =>
+            table.getAll(key, { index: index.name })(model._pk).contains(doc(model._pk)).not())).count()
+        ]).run()
+        .then(counts => (counts[0] !== counts[1]) || (counts[2] > 0));
+      });
+  }
+
   /*
   * joinedModel: the joined model
   * fieldDoc: the field where the joined document will be kept
@@ -345,6 +542,9 @@ class Model extends EventEmitter {
   * - init: Boolean (create an index or not)
   * - timeFormat: 'raw'/'native'
   * - validate: 'oncreate'/'onsave'
+  * - onDelete: 'cascade'/'setNull'/'restrict', what happens to the joined
+  *   documents when the document is deleted (also for `hasMany` and
+  *   `hasAndBelongsToMany`)
   */
   hasOne(joinedModel, fieldDoc, leftKey, rightKey, options) {
     if ((joinedModel instanceof Model) === false) {
@@ -380,6 +580,7 @@ class Model extends EventEmitter {
     joinedModel._getModel()._localKeys[rightKey] = true;
 
     options = options || {};
+    documentModel._joins[fieldDoc].onDelete = util.onDeletePolicy(options);
     if (options.init === false) return;
 
     let newIndex = joinedModel._createIndex(rightKey)
@@ -401,6 +602,8 @@ class Model extends EventEmitter {
   *
   * Post.belongsTo(Author, "author", "authorId", "id"
   *                        ^- author.id
+  *
+  * The option `onDelete` applies to the posts when their author is deleted
   */
   belongsTo(joinedModel, fieldDoc, leftKey, rightKey, options) {
     if ((joinedModel instanceof Model) === false) {
@@ -436,14 +639,16 @@ class Model extends EventEmitter {
     };
     documentModel._localKeys[leftKey] = true;
 
+    // The policy applies to this model's documents when the joined document is deleted
+    options = options || {};
     joinedModelModel._reverseJoins[fieldDoc] = {
       model: this,
       leftKey: leftKey,
       rightKey: rightKey,
-      type: 'belongsTo'
+      type: 'belongsTo',
+      onDelete: util.onDeletePolicy(options)
     };
 
-    options = options || {};
     if (options.init === false) return;
 
     let newIndex = joinedModel._createIndex(rightKey)
@@ -453,6 +658,11 @@ class Model extends EventEmitter {
       });
 
     this._waitFor(newIndex);
+
+    if (options.onDelete !== undefined) {
+      // The documents to update are looked up by their key
+      this._waitFor(this._createIndex(leftKey).catch(error => documentModel._setError(error)));
+    }
   }
 
   /*
@@ -499,6 +709,7 @@ class Model extends EventEmitter {
     joinedModel._getModel()._localKeys[rightKey] = true;
 
     options = options || {};
+    documentModel._joins[fieldDoc].onDelete = util.onDeletePolicy(options);
     if (options.init === false) return;
 
     let newIndex = joinedModel._createIndex(rightKey)
@@ -510,6 +721,150 @@ class Model extends EventEmitter {
     this._waitFor(newIndex);
   }
 
+  /*
+  * fieldDoc: the field where the joined document will be kept
+  * joinedModels: the models (or names of models) the document can belong to
+  * options can be:
+  * - idKey: the key of the joined document, default `<fieldDoc>Id`
+  * - typeKey: the key storing the name of the model of the joined document,
+  *   default `<fieldDoc>Type`
+  * - init: Boolean (create an index or not)
+  *
+  * The joined document is the one with the primary key `idKey` in the model
+  * named by `typeKey`
+  *
+  * Comment.belongsToPolymorphic("commentable", [ Post, Photo ])
+  *   -> comment.commentableType is "Post" and comment.commentableId is post.id
+  */
+  belongsToPolymorphic(fieldDoc, joinedModels, options) {
+    let thinkagain = this._getModel()._thinkagain;
+    options = options || {};
+
+    if (!Array.isArray(joinedModels) || (joinedModels.length === 0)) {
+      throw new Errors.ThinkAgainError('Second argument of `belongsToPolymorphic` must be an array of Models');
+    }
+
+    if (fieldDoc in this._getModel()._joins) {
+      throw new Errors.ThinkAgainError('The field `' + fieldDoc + '` is already used by another relation.');
+    }
+
+    if (fieldDoc === '_apply') {
+      throw new Errors.ThinkAgainError('The field `_apply` is reserved by thinkagain. Please use another one.');
+    }
+
+    // The name of a model is stored with the key of the joined document
+    let models = {};
+    joinedModels.forEach(joinedModel => {
+      let name = (typeof joinedModel === 'string') ? joinedModel :
+        Object.keys(thinkagain.models).find(key => thinkagain.models[key] === joinedModel);
+      if ((name === undefined) || ((thinkagain.models[name] instanceof Model) === false)) {
+        throw new Errors.ThinkAgainError('Second argument of `belongsToPolymorphic` must be an array of Models');
+      }
+      models[name] = thinkagain.models[name];
+    });
+
+    let documentModel = this._getModel();
+    let leftKey = (options.idKey !== undefined) ? options.idKey : fieldDoc + 'Id';
+    let typeKey = (options.typeKey !== undefined) ? options.typeKey : fieldDoc + 'Type';
+
+    // recompile document schema
+    let schema = documentModel._validate.schema;
+    schema.properties[fieldDoc] = {
+      anyOf: Object.keys(models)
+        .map(name => ({ $ref: models[name]._getModel()._validate.schema.id }))
+        .concat([ { type: 'null' } ])
+    };
+
+    this._thinkagain.ajv.removeSchema(schema.id);
+    documentModel._validate = this._thinkagain.ajv.compile(schema);
+
+    documentModel._joins[fieldDoc] = {
+      models: models,
+      leftKey: leftKey,
+      typeKey: typeKey,
+      type: 'belongsToPolymorphic'
+    };
+    documentModel._localKeys[leftKey] = true;
+    documentModel._localKeys[typeKey] = true;
+
+    util.loopKeys(models, (_models, name) => {
+      models[name]._getModel()._reverseJoins[fieldDoc] = {
+        model: this,
+        leftKey: leftKey,
+        typeKey: typeKey,
+        typeValue: name,
+        type: 'belongsToPolymorphic'
+      };
+    });
+
+    if (options.init === false) return;
+
+    let newIndex = this._createIndex(leftKey)
+      .catch(error => documentModel._setError(error));
+
+    this._waitFor(newIndex);
+  }
+
+  /*
+  * joinedModel: the joined model
+  * fieldDoc: the field where the joined documents will be kept
+  * relation: the field of the `belongsToPolymorphic` relation of the joined
+  *   model
+  *
+  * The joined documents are the ones belonging to the document through the
+  * polymorphic relation
+  *
+  * Post.hasManyPolymorphic(Comment, "comments", "commentable")
+  *   -> the comments with commentableType "Post" and commentableId post.id
+  */
+  hasManyPolymorphic(joinedModel, fieldDoc, relation, options) {
+    if ((joinedModel instanceof Model) === false) {
+      throw new Errors.ThinkAgainError('First argument of `hasManyPolymorphic` must be a Model');
+    }
+
+    let join = joinedModel._getModel()._joins[relation];
+    let typeValue = (join !== undefined) && (join.type === 'belongsToPolymorphic') ?
+      util.polymorphicType(join, this) : undefined;
+    if (typeValue === undefined) {
+      throw new Errors.ThinkAgainError('The field `' + relation + '` is not a `belongsToPolymorphic` relation to this model.');
+    }
+
+    // A `hasMany` relation on the key of the joined documents, which also
+    // checks the name of their model
+    this.hasMany(joinedModel, fieldDoc, this._getModel()._pk, join.leftKey, options);
+    this._getModel()._joins[fieldDoc].typeKey = join.typeKey;
+    this._getModel()._joins[fieldDoc].typeValue = typeValue;
+  }
+
+  /*
+  * linkModel: the model of the links, with its own schema
+  * fieldDoc: the field where the links will be kept
+  * leftKey: the key in the model used for the join
+  * rightKey: the key in the link model used for the join
+  * through: the field of the `belongsTo` relation of the link model to the
+  *   joined model
+  *
+  * A `hasMany` relation to the links, whose joined documents are also
+  * retrieved and saved when the links are
+  *
+  * Membership.belongsTo(Group, "group", "groupId", "id");
+  * User.hasManyThrough(Membership, "memberships", "id", "userId", "group")
+  *   -> user.memberships[0].role and user.memberships[0].group
+  */
+  hasManyThrough(linkModel, fieldDoc, leftKey, rightKey, through, options) {
+    if ((linkModel instanceof Model) === false) {
+      throw new Errors.ThinkAgainError('First argument of `hasManyThrough` must be a Model');
+    }
+
+    let join = linkModel._getModel()._joins[through];
+    if ((join === undefined) || (join.type !== 'belongsTo')) {
+      throw new Errors.ThinkAgainError('The field `' + through + '` is not a `belongsTo` relation of the link model.');
+    }
+
+    this.hasMany(linkModel, fieldDoc, leftKey, rightKey, options);
+    this._getModel()._joins[fieldDoc].through = through;
+  }
+
   /*
   * joinedModel: the joined model
   * fieldDoc: the field where the joined document will be kept
@@ -576,7 +931,8 @@ class Model extends EventEmitter {
       rightKey: rightKey,
       type: 'hasAndBelongsToMany',
       link: link,
-      linkModel: linkModel
+      linkModel: linkModel,
+      onDelete: util.onDeletePolicy(options)
     };
 
     joinedModel._getModel()._reverseJoins[this.getTableName()] = {
@@ -659,6 +1015,41 @@ class Model extends EventEmitter {
     return query.getJoin.apply(query, arguments);
   }
 
+  include() {
+    let query = new Query(this);
+    return query.include.apply(query, arguments);
+  }
+
+  withDeleted() {
+    let query = new Query(this);
+    return query.withDeleted();
+  }
+
+  onlyDeleted() {
+    let query = new Query(this);
+    return query.onlyDeleted();
+  }
+
+  restore(options) {
+    let query = new Query(this);
+    return query.restore(options);
+  }
+
+  paginate(options, callback) {
+    let query = new Query(this);
+    return query.paginate(options, callback);
+  }
+
+  stream(options) {
+    let query = new Query(this);
+    return query.stream(options);
+  }
+
+  aggregate() {
+    let query = new Query(this);
+    return query.aggregate();
+  }
+
   removeRelations(relationsToRemove) {
     let query = new Query(this);
     return query.removeRelations(relationsToRemove);
@@ -693,7 +1084,7 @@ class Model extends EventEmitter {
       if (toSave === 0) {
         let copies = [];
         for (let i = 0, ii = docs.length; i < ii; ++i) {
-          copies.push(docs[i]._makeSavableCopy());
+          copies.push(docs[i]._stampCopy(docs[i]._makeSavableCopy()));
         }
 
         let _options;
@@ -733,7 +1124,7 @@ class Model extends EventEmitter {
     let promises = [];
     for (let i = 0, ii = docs.length; i < ii; ++i) {
       if (docs[i] instanceof Document === false) {
-        docs[i] = new this(docs[i]); // eslint-disable-line
+        docs[i] = new (this._modelOf(docs[i]))(docs[i]); // eslint-disable-line
       }
 
       let promise = docs[i].validate();
@@ -755,21 +1146,148 @@ class Model extends EventEmitter {
     return (!isArray) ? result.get(0) : result;
   }
 
+  /**
+   * Create a model for a kind of documents stored in the table of this model.
+   * Its documents have `value` in the field `discriminatorKey` of this model
+   * (`kind` by default), and its queries only return them, while the queries
+   * of this model return instances of the models of their kind. The schema of
+   * the model extends the one of this model, and it inherits its methods and
+   * hooks, but not its relations.
+   * @param {string} name The name of the model
+   * @param {Object} schema The schema extending the one of this model
+   * @param {*=} value The value of the discriminator, the name by default
+   * @return {Function} The model
+   */
+  discriminator(name, schema, value) {
+    let model = this._getModel();
+    let thinkagain = model._thinkagain;
+    value = (value !== undefined) ? value : name;
+
+    if (model._discriminator !== undefined) {
+      throw new Errors.ThinkAgainError('`discriminator` cannot be called on a model created with `discriminator`.');
+    }
+    if (thinkagain.models[name] !== undefined) {
+      throw new Error('Cannot redefine a Model');
+    }
+    if (model._discriminators.has(value)) {
+      throw new Errors.ThinkAgainError('The value `' + value + '` of the discriminator is already used by another model.');
+    }
+
+    let _schema = util.extendSchema(this._schema, schema);
+    _schema.id = name;
+    _schema.properties = _schema.properties || {};
+    _schema.properties[model._discriminatorKey] = { enum: [ value ] };
+    let rawSchema = JSON.parse(JSON.stringify(_schema));
+
+    // The table and its indexes are the ones of this model
+    let options = {};
+    util.loopKeys(model._modelOptions, (_options, key) => {
+      if (key !== 'indexes') options[key] = _options[key];
+    });
+    options.init = false;
+
+    let discriminated = Model.new(model._name, util.injectTermSupport(_schema), options, thinkagain);
+    discriminated._schema = rawSchema;
+
+    let proto = discriminated._getModel();
+    proto._discriminator = { key: model._discriminatorKey, value: value };
+    proto._indexes = model._indexes;
+    proto._indexDefinitions = model._indexDefinitions;
+    proto._waitFor(this.ready());
+
+    util.loopKeys(model._methods, (methods, key) => discriminated.define(key, methods[key]));
+    util.loopKeys(model._staticMethods, (methods, key) => discriminated.defineStatic(key, methods[key]));
+    util.loopKeys(model._scopes, (scopes, key) => {
+      discriminated.scope(key, scopes[key], { default: model._defaultScopes.indexOf(key) !== -1 });
+    });
+    util.loopKeys(model._pre, (hooks, ev) => { proto._pre[ev] = hooks[ev].slice(); });
+    util.loopKeys(model._post, (hooks, ev) => { proto._post[ev] = hooks[ev].slice(); });
+    util.loopKeys(model._async, (async, ev) => { proto._async[ev] = async[ev]; });
+
+    model._discriminators.set(value, discriminated);
+    thinkagain.models[name] = discriminated;
+    return discriminated;
+  }
+
+  /*
+  * The model of a document of the table: the discriminated model of its kind,
+  * or this model.
+  */
+  _modelOf(data) {
+    let model = this._getModel();
+    if ((model._discriminators.size === 0) || !util.isPlainObject(data)) return this;
+
+    let discriminated = model._discriminators.get(data[model._discriminatorKey]);
+    return (discriminated !== undefined) ? discriminated : this;
+  }
+
   define(key, fn) {
+    let inherited = this._methods[key];
     this._methods[key] = fn;
+
+    // The discriminated models inherit the method, unless they redefined it
+    this._getModel()._discriminators.forEach(model => {
+      if (model._methods[key] === inherited) model.define(key, fn);
+    });
   }
 
   defineStatic(key, fn) {
+    let inherited = this._staticMethods[key];
     this._staticMethods[key] = fn;
     this[key] = function() {
       return fn.apply(this, arguments);
     };
+
+    this._getModel()._discriminators.forEach(model => {
+      if (model._staticMethods[key] === inherited) model.defineStatic(key, fn);
+    });
+  }
+
+  /**
+   * Define a scope, a named fragment of query that can be chained on the model
+   * and on its queries, e.g. `Post.published().recent(10).run()` after
+   * `Post.scope('recent', (query, count) => query.orderBy(r.desc('date')).limit(count))`.
+   * @param {string} name The name of the scope
+   * @param {Function} fn Called with a query and the arguments of the scope,
+   * returns the query with the fragment
+   * @param {Object=} options With `default: true`, the scope is applied to
+   * every query of the model, see `unscoped`
+   */
+  scope(name, fn, options) {
+    let model = this._getModel();
+    if (typeof fn !== 'function') {
+      throw new Errors.ThinkAgainError('The second argument of `scope` must be a function.');
+    }
+
+    if ((model._scopes[name] === undefined) && ((name in this) || (name in Query.prototype))) {
+      throw new Errors.ThinkAgainError('The name `' + name + '` is already used by a method.');
+    }
+
+    let inherited = model._scopes[name];
+    model._scopes[name] = fn;
+    if ((options != null) && (options.default === true) && (model._defaultScopes.indexOf(name) === -1)) { // eslint-disable-line
+      model._defaultScopes.push(name);
+    }
+
+    this[name] = function() {
+      let query = new Query(this);
+      return query[name].apply(query, arguments);
+    };
+
+    model._discriminators.forEach(discriminated => {
+      if (discriminated._scopes[name] === inherited) discriminated.scope(name, fn, options);
+    });
+  }
+
+  unscoped() {
+    let query = new Query(this);
+    return query.unscoped();
   }
 
 
   __createDocument(data, shouldCallHookAndValidate) {
     return Promise.try(() => {
-      let doc = new this(data); // eslint-disable-line
+      let doc = new (this._modelOf(data))(data); // eslint-disable-line
       doc.setSaved(true);
       doc._emitRetrieve();
 
@@ -916,6 +1434,7 @@ class Model extends EventEmitter {
     }
     this._getModel()._async[ev] = this._getModel()._async[ev] || (fn.length === 1);
     this._getModel()._pre[ev].push(fn);
+    this._getModel()._discriminators.forEach(model => model.pre(ev, fn));
   }
 
   post(ev, fn) {
@@ -930,12 +1449,23 @@ class Model extends EventEmitter {
     }
     this._getModel()._async[ev] = this._getModel()._async[ev] || (fn.length === 1);
     this._getModel()._post[ev].push(fn);
+    this._getModel()._discriminators.forEach(model => model.post(ev, fn));
   }
 }
 
 // aliases
 Model.prototype.docOn = Model.prototype.docAddListener;
 
+if (typeof Symbol.asyncIterator === 'symbol') {
+  Model.prototype[Symbol.asyncIterator] = function() {
+    let query = new Query(this);
+    return query[Symbol.asyncIterator]();
+  };
+}
+
+// The operators of `filter` that can be replaced by `between` on an index
+const RANGE_OPERATORS = new Set([ '$gt', '$gte', '$lt', '$lte' ]);
+
 // Import rethinkdbdash methods
 let Term = require('rethinkdbdash')({pool: false}).expr(1).__proto__; // eslint-disable-line
 util.loopKeys(Term, (term, key) => {
@@ -960,18 +1490,69 @@ util.loopKeys(Term, (term, key) => {
   case 'filter':
     Model.prototype[key] = function() {
       let query = new Query(this);
+      // Check the fields before some of them are replaced by indexes
+      query._check(key, arguments);
       if ((arguments.length === 1)
         && (util.isPlainObject(arguments[0]))) {
         // Optimize a filter with an object
         // We replace the first key that match an index name
         let filter = arguments[0];
 
-        let keys = Object.keys(filter).sort(); // Lexicographical order
-        for (let i = 0, ii = keys.length; i < ii; ++i) {
-          let index = keys[i];
+        // A compound index is used when the filter has all of its fields,
+        // preferably the one with the most fields
+        let compound;
+        util.loopKeys(this._getModel()._indexes, (indexes, name) => {
+          let index = indexes[name];
+          if (index === true || index.multi || index.geo || !Array.isArray(index.fields)) return;
+          if (index.fields.length < 2 || !index.fields.every(field => filter.hasOwnProperty(field) && !util.hasOperators(filter[field]))) {
+            return;
+          }
+          if (compound === undefined || index.fields.length > compound.fields.length) {
+            compound = { name: name, fields: index.fields };
+          }
+        });
+
+        if (compound !== undefined) {
+          query = query.getAll(compound.fields.map(field => filter[field]), {index: compound.name});
+          compound.fields.forEach(field => delete filter[field]);
+          query = query[key].apply(query, arguments);
+          return query;
+        }
+
+        let keys = Object.keys(filter).sort() // Lexicographical order
+          .filter(index => this._getModel()._indexes[index] === true);
+        let equal = keys.find(index => !util.hasOperators(filter[index]));
+        if (equal !== undefined) { // Index found
+          query = query.getAll(filter[equal], {index: equal});
+          delete filter[equal];
+        } else {
+          // Else `$in` is replaced by `getAll`, and the range operators by
+          // `between`. An array matches `$in` by its elements, which its
+          // simple index does not have, so fields that can be arrays keep
+          // `$in` in the filter.
+          let r = this._getModel()._thinkagain.r;
+          for (let i = 0, ii = keys.length; i < ii; ++i) {
+            let index = keys[i];
+            let operators = Object.keys(filter[index]);
+            let values = filter[index].$in;
+            let schema = util.fieldSchema(this._schema, [ index ]);
+            let scalar = (schema !== undefined) && (schema.type !== undefined) && ([].concat(schema.type).indexOf('array') === -1);
+            if ((operators.length === 1) && Array.isArray(values) && (values.length > 0) && scalar) {
+              values = values.filter((value, position) => values.indexOf(value) === position);
+              query = query.getAll(r.args(values), {index: index});
+            } else if (operators.every(operator => RANGE_OPERATORS.has(operator)) &&
+                ((filter[index].$gt === undefined) || (filter[index].$gte === undefined)) &&
+                ((filter[index].$lt === undefined) || (filter[index].$lte === undefined))) {
+              let range = filter[index];
+              query = query.between(
+                [ range.$gt, range.$gte, r.minval ].find(value => value !== undefined),
+                [ range.$lt, range.$lte, r.maxval ].find(value => value !== undefined),
+                { index: index, leftBound: (range.$gt !== undefined) ? 'open' : 'closed', rightBound: (range.$lt !== undefined) ? 'open' : 'closed' }
+              );
+            } else {
+              continue;
+            }
 
-          if (this._getModel()._indexes[index] === true) { // Index found
-            query = query.getAll(filter[index], {index: index});
             delete filter[index];
             break;
           }
@@ -1,5 +1,7 @@
 'use strict';
 const Promise = require('bluebird'),
+      Readable = require('stream').Readable,
+      Aggregation = require('./aggregation'),
       Errors = require('./errors'),
       Feed = require('./feed'),
       util = require('./util');
@@ -22,6 +24,11 @@ class Query {
           return staticMethods[key].apply(self, arguments);
         };
       });
+      util.loopKeys(model._getModel()._scopes, (scopes, key) => {
+        this[key] = function() {
+          return asQuery(model, scopes[key].apply(null, [ this ].concat(util.toArray(arguments))));
+        };
+      });
     }
 
     if (query !== undefined) {
@@ -29,6 +36,25 @@ class Query {
     } else if (model !== undefined) {
       // By default, we initialize the query to `r.table(<tableName>)`.
       this._query = this._r.table(model.getTableName());
+
+      // The soft deleted documents, and the documents of other kinds for a
+      // model created with `discriminator`, are filtered out when the first
+      // method is chained, see `_chain`.
+      if ((model._getModel()._softDelete !== undefined) || (model._getModel()._discriminator !== undefined)) {
+        this._deleted = 'exclude';
+      }
+
+      // The default scopes too, unless `unscoped` is called
+      if (model._getModel()._defaultScopes.length > 0) {
+        this._scoped = true;
+      }
+
+      // The fields passed to the methods are checked against the schema of a
+      // model with `strict`, as long as the query returns its documents, see
+      // `_check`.
+      if (model._getModel()._strict) {
+        this._typed = true;
+      }
     }
 
     if (util.isPlainObject(options)) {
@@ -59,6 +85,158 @@ class Query {
     this._pointWrite = true;
   }
 
+  /**
+   * Include the soft deleted documents in the query. Must be called before
+   * any other method of the query.
+   * @return {Query}
+   */
+  withDeleted() {
+    return this._setDeleted('with', 'withDeleted');
+  }
+
+  /**
+   * Only return the soft deleted documents. Must be called before any other
+   * method of the query.
+   * @return {Query}
+   */
+  onlyDeleted() {
+    return this._setDeleted('only', 'onlyDeleted');
+  }
+
+  /**
+   * Restore the soft deleted documents of the query by removing the field
+   * storing when they were deleted. Called on the model, it restores all the
+   * soft deleted documents.
+   * @param {Object=} options The options of `replace`
+   * @return {Query}
+   */
+  restore(options) {
+    let field = this._model._getModel()._softDelete;
+    if (field === undefined) {
+      throw new Errors.ThinkAgainError('`restore` can only be called on a model with `softDelete`.');
+    }
+
+    let query = (this._deleted === 'exclude') ? this.onlyDeleted() : this;
+    return new Query(this._model, query._chain('replace', [ stampWrite(this._model, 'replace', doc => doc.without(field)), options ]));
+  }
+
+  /**
+   * Set which documents of a model with `softDelete` the query returns.
+   * @param {string} deleted "with" or "only"
+   * @param {string} method The method called, for the error message
+   * @return {Query}
+   */
+  _setDeleted(deleted, method) {
+    if ((this._deleted === undefined) || (this._model._getModel()._softDelete === undefined)) {
+      throw new Errors.ThinkAgainError('`' + method + '` must be called on a model with `softDelete`, before any other method.');
+    }
+
+    let query = new Query(this._model, this._query);
+    query._deleted = deleted;
+    query._scoped = this._scoped;
+    query._typed = this._typed;
+    return query;
+  }
+
+  /**
+   * Do not apply the default scopes of the model to the query. Must be called
+   * before any other method of the query.
+   * @return {Query}
+   */
+  unscoped() {
+    if ((this._scoped !== true) && (this._model._getModel()._defaultScopes.length > 0)) {
+      throw new Errors.ThinkAgainError('`unscoped` must be called before any other method.');
+    }
+
+    let query = new Query(this._model, this._query);
+    query._deleted = this._deleted;
+    query._typed = this._typed;
+    return query;
+  }
+
+  /**
+   * Select the documents of the model in a sequence of its table, if the
+   * query is still the table: see `filterDeleted`, and the default scopes of
+   * the model.
+   * @param {ReQLQuery} sequence
+   * @return {ReQLQuery}
+   */
+  _selectDocuments(sequence) {
+    if (this._deleted !== undefined) {
+      sequence = filterDeleted(this._model, sequence, this._deleted);
+    }
+
+    if (this._scoped === true) {
+      let model = this._model;
+      sequence = model._getModel()._defaultScopes
+        .reduce((scoped, name) => asQuery(model, model._getModel()._scopes[name](new Query(model, scoped)))._query, sequence);
+    }
+    return sequence;
+  }
+
+  /**
+   * Chain a method of the driver to the query. If the query is still the table
+   * of a model with `softDelete`, a discriminator or default scopes, the
+   * documents of the model are selected first (see `_selectDocuments`), or
+   * right after the methods that can only be called on a table.
+   * @param {string} key The name of the method
+   * @param {Array|Arguments} args The arguments of the method
+   * @return {ReQLQuery}
+   */
+  _chain(key, args) {
+    if (!this._isFiltered() || TABLE_METHODS.has(key)) {
+      return this._query[key].apply(this._query, args);
+    }
+
+    if (INDEXED_METHODS.has(key)) {
+      return this._selectDocuments(this._query[key].apply(this._query, args));
+    }
+
+    let sequence = this._selectDocuments(this._query);
+    return sequence[key].apply(sequence, args);
+  }
+
+  /**
+   * Whether the documents of the query must still be selected with
+   * `_selectDocuments`.
+   * @return {boolean}
+   */
+  _isFiltered() {
+    return isFiltered(this._model, this._deleted) || (this._scoped === true);
+  }
+
+  /**
+   * Select a document with `get`. For a model with `softDelete`, the selection
+   * is empty if the document is deleted (or if it is not, with `onlyDeleted`).
+   * @param {Array|Arguments} args The arguments of `get`
+   * @return {Query}
+   */
+  _select(args) {
+    let query;
+    if (!this._isFiltered()) {
+      query = new Query(this._model, this._query.get.apply(this._query, args));
+    } else {
+      query = new Query(this._model, this._selectDocuments(this._query.getAll(args[0])).nth(0));
+      // Changefeeds can't follow `nth`, the feed is the one of the document.
+      query._point = this._query.get.apply(this._query, args);
+    }
+    query._typed = this._typed;
+    return query;
+  }
+
+  /**
+   * Check the arguments of a method against the schema of a model with
+   * `strict`, if the query still returns its documents, see `checkFields`.
+   * @param {string} key The name of the method
+   * @param {Array|Arguments} args The arguments of the method
+   * @throws {ValidationError}
+   */
+  _check(key, args) {
+    if (this._typed === true) {
+      checkFields(this._model, key, args);
+    }
+  }
+
   /**
    * Execute a Query and expect the results to be object(s) that can be converted
    * to instances of the model.
@@ -113,6 +291,194 @@ class Query {
     return Function.prototype.bind.apply(this.execute, [this].concat(curriedArgs));
   }
 
+  /**
+   * Execute the query and stream the instances of the model it returns. The
+   * documents are read from the cursor of the driver and parsed when the stream
+   * is read, so that large results are never held in memory.
+   * @param {Object=} options The options passed to the driver's method `run`
+   * @return {stream.Readable} A stream in object mode
+   */
+  stream(options) {
+    let cursor;
+    let destroyed = false;
+    let stream = new Readable({ objectMode: true });
+    stream._read = () => {
+      if (cursor === undefined) cursor = this._openCursor(options);
+      cursor.then(opened => opened.next())
+        .then(doc => {
+          if (!destroyed) stream.push((doc === undefined) ? null : doc);
+        })
+        .catch(error => stream.destroy(error));
+    };
+
+    // `destroy` closes the cursor. It is defined here as `Readable` only has
+    // it from Node 8.
+    stream.destroy = error => {
+      if (destroyed) return stream;
+      destroyed = true;
+      let closed = (cursor !== undefined) ? cursor.then(opened => opened.close()) : Promise.resolve();
+      closed
+        .catch(() => {}) // the error of the stream is the one reported
+        .then(() => {
+          if (error) stream.emit('error', error);
+          stream.emit('close');
+        });
+      return stream;
+    };
+    return stream;
+  }
+
+  /**
+   * Execute the query with a cursor. Used by `stream` and the async iterator.
+   * The joined documents of `include` are retrieved for each document, and
+   * the feeds of `getJoin` queries are the ones of `_joinedFeed`.
+   * @param {Object=} options The options passed to the driver's method `run`
+   * @return {Promise} Resolved with an object with the methods `next`, resolved
+   * with the next instance of the model or `undefined` after the last one, and
+   * `close`.
+   * @private
+   */
+  _openCursor(options) {
+    let fullOptions = {};
+    util.loopKeys(options || {}, (opts, key) => { fullOptions[key] = opts[key]; });
+    fullOptions.cursor = true;
+
+    if (this._model._error !== null) {
+      return Promise.reject(this._model._error);
+    }
+
+    let joinedFeed = (this._join !== undefined) && (this._feed !== undefined);
+    let query = this._selectDocuments(this._query);
+    let parse = doc => {
+      if ((this._include === undefined) || !util.isPlainObject(doc)) return this._model._parse(doc);
+      return includeJoins(this._model, [ doc ], this._include.modelToGet, {})
+        .then(() => this._model._parse(doc));
+    };
+
+    return this._model.ready()
+      .then(() => joinedFeed ? this._joinedFeed(fullOptions) : query.run(fullOptions))
+      .then(result => {
+        if ((result === null) || (result === undefined) || (typeof result.next !== 'function')) {
+          let items = (result === null || result === undefined) ? [] : [].concat(result);
+          return {
+            next: () => (items.length > 0) ? parse(items.shift()) : Promise.resolve(),
+            close: () => Promise.resolve()
+          };
+        }
+
+        // Feeds skip the changes that are not documents, see `Feed.next`
+        let feed = joinedFeed ? result : undefined;
+        if (!joinedFeed && FEED_TYPES.has(result.getType())) {
+          feed = new Feed(result, this._model, this._feedOptions(fullOptions));
+        }
+        let read = () => (feed !== undefined) ? feed.next() : result.next().then(parse);
+        let next = () => read()
+          .then(doc => ((doc === undefined) && (feed !== undefined)) ? next() : doc, error => {
+            if (error.message.match(/^No more rows in the/)) return undefined;
+            throw Errors.create(error);
+          });
+
+        return { next: next, close: () => result.close() };
+      });
+  }
+
+  /**
+   * Aggregate the documents of the query on the server, see `Aggregation`.
+   * @return {Aggregation}
+   */
+  aggregate() {
+    return new Aggregation(this);
+  }
+
+  /**
+   * Return a page of the documents of a model ordered by an index, starting
+   * after (or ending before) the cursor of another page. The documents are
+   * selected with `between`, so unlike with `skip` the cost of a page does not
+   * depend on its position. Must be called on the table of the model.
+   * @param {Object=} options The fields can be:
+   *  - `orderBy` {string} The index, by default the primary key. It must be
+   *  the primary key or an index on fields, e.g. declared with `indexes`.
+   *  Documents with the same value are ordered by primary key.
+   *  - `limit` {number} The number of documents of the page, default 20.
+   *  - `after` {string} The `nextCursor` of a page, to return the next one.
+   *  - `before` {string} The `prevCursor` of a page, to return the previous one.
+   * @param {Function=} callback
+   * @return {Promise} Resolved with `{ items, nextCursor, prevCursor }`, where
+   * the cursors are `null` when there is no next/previous page.
+   */
+  paginate(options, callback) {
+    options = options || {};
+    let model = this._model._getModel();
+    let r = this._r;
+    let pk = model._pk;
+    let index = (options.orderBy !== undefined) ? options.orderBy : pk;
+    let limit = (options.limit !== undefined) ? options.limit : 20;
+    let backward = (options.before !== undefined);
+    let fields;
+
+    return this._model.ready()
+      .then(() => {
+        // The pages are selected with `between`, which needs the table (15 is
+        // the term type of `table`)
+        if ((typeof this._query !== 'function') || (this._query._query[0] !== 15)) {
+          throw new Errors.ThinkAgainError('`paginate` can only be called on the table of a model, not after other methods.');
+        }
+        if (!Number.isInteger(limit) || limit <= 0) {
+          throw new Errors.ThinkAgainError('The `limit` of `paginate` must be a positive integer.');
+        }
+
+        let definition = model._indexes[index];
+        if (index === pk || definition === true) {
+          fields = [ index ];
+        } else if (util.isPlainObject(definition) && Array.isArray(definition.fields) && !definition.multi && !definition.geo) {
+          fields = definition.fields;
+        } else {
+          throw new Errors.ThinkAgainError('`paginate` can only order by the primary key or an index on fields, not `' + index + '`.');
+        }
+
+        let sequence = this._query;
+        let cursor = backward ? options.before : options.after;
+        if (cursor !== undefined) {
+          cursor = decodeCursor(cursor);
+
+          // With a secondary index, `between` includes the documents with the
+          // value of the cursor, and the ones up to the cursor in the order of
+          // the primary key are filtered out below.
+          let bound = (index === pk) ? 'open' : 'closed';
+          sequence = backward ?
+            sequence.between(r.minval, cursor.value, { index: index, rightBound: bound }) :
+            sequence.between(cursor.value, r.maxval, { index: index, leftBound: bound });
+        }
+
+        sequence = this._selectDocuments(sequence.orderBy({ index: backward ? r.desc(index) : index }));
+
+        if ((cursor !== undefined) && (index !== pk)) {
+          let key = doc => (fields.length > 1) ? r.expr(fields.map(field => doc(field))) : doc(fields[0]);
+          sequence = sequence.filter(doc => key(doc).ne(cursor.value)
+            .or(backward ? doc(pk).lt(cursor.key) : doc(pk).gt(cursor.key)));
+        }
+
+        return new Query(this._model, sequence.limit(limit + 1)).run();
+      })
+      .then(items => {
+        let more = (items.length > limit);
+        items = items.slice(0, limit);
+        if (backward) items.reverse();
+
+        let cursorOf = doc =>
+          encodeCursor((fields.length > 1) ? fields.map(field => doc[field]) : doc[fields[0]], doc[pk]);
+        let paged = (options.after !== undefined) || backward;
+        let hasNext = backward ? paged : more;
+        let hasPrev = backward ? more : paged;
+        return {
+          items: items,
+          nextCursor: (hasNext && items.length > 0) ? cursorOf(items[items.length - 1]) : null,
+          prevCursor: (hasPrev && items.length > 0) ? cursorOf(items[0]) : null
+        };
+      })
+      .asCallback(callback);
+  }
+
   /**
    * Internal method to execute a query. Called by `run` and `execute`.
    * @param {Object} options The options passed to the driver's method `run`
@@ -143,7 +509,21 @@ class Query {
       return Promise.reject(new Errors.ThinkAgainError('The partial value is not valid, so the write was not executed.', this._error));
     }
 
-    return this._query.run(fullOptions)
+    if ((this._join !== undefined) && (this._feed !== undefined)) {
+      return this._joinedFeed(fullOptions);
+    }
+
+    let query = this._selectDocuments(this._query);
+    return query.run(fullOptions)
+      .then(result => {
+        if ((this._include === undefined) || (this._postValidation === true) ||
+          (result == null) || (typeof result.getType === 'function')) { // eslint-disable-line
+          return result;
+        }
+
+        let docs = [].concat(result).filter(doc => util.isPlainObject(doc));
+        return includeJoins(this._model, docs, this._include.modelToGet, {}).return(result);
+      })
       .then(result => {
         if (result === null && parse) {
           throw new Errors.DocumentNotFound();
@@ -160,18 +540,21 @@ class Query {
             resultType === 'OrderByLimitFeed' ||
             resultType === 'UnionedFeed'
           ) {
-            let feed = new Feed(result, this._model);
+            let feed = new Feed(result, this._model, this._feedOptions(fullOptions));
             return feed;
           }
 
           if (resultType === 'AtomFeed') {
+            // The values that the query does not select are seen as removed
+            let select = (this._feed !== undefined) ? this._feed.select : undefined;
+            let selected = value => (((value == null) || (select === undefined) || select(value)) ? value : null); // eslint-disable-line
             return result.next()
               .then(initial => {
-                let value = initial.new_val || {};
+                let value = selected(initial.new_val) || {};
                 return this._model._parse(value);
               })
               .then(doc => {
-                doc._setFeed(result);
+                doc._setFeed(result, selected);
                 return doc;
               });
           }
@@ -190,6 +573,110 @@ class Query {
       .catch(err => Promise.reject(Errors.create(err)));
   }
 
+  /**
+   * The options of the `Feed` of a `changes` query, see its options `events`,
+   * `resilient` and `select`.
+   * @param {Object} fullOptions The options passed to the driver's method `run`
+   * @return {Object=}
+   * @private
+   */
+  _feedOptions(fullOptions) {
+    if (this._feed === undefined) return undefined;
+
+    let options = { events: this._feed.events, select: this._feed.select };
+    if (this._feed.resilient) {
+      options.reopen = () => this._model.ready().then(() => this._query.run(fullOptions));
+      options.retryDelay = this._feed.retryDelay;
+      options.includeInitial = this._feed.includeInitial;
+      options.includeStates = this._feed.includeStates;
+    }
+    return options;
+  }
+
+  /**
+   * Open the feed of a `getJoin` query. It follows the documents, and the
+   * tables joined to them: a change of a joined document returns the
+   * documents it is joined to, with their joins. Only the joins of the
+   * documents themselves are followed, not the joins of the joined documents.
+   * @param {Object} fullOptions The options passed to the driver's method `run`
+   * @return {Promise} Resolved with a `Feed`
+   * @private
+   */
+  _joinedFeed(fullOptions) {
+    let r = this._r;
+    let model = this._model;
+    let join = this._join;
+    let joins = model._getModel()._joins;
+    let tableName = model.getTableName();
+
+    // The values of `field` in the old and new values of a change
+    let values = field => change => [ change.old_val, change.new_val ]
+      .filter(value => (value != null) && (value[field] !== undefined)) // eslint-disable-line
+      .map(value => value[field]);
+    let flatten = pairs => [].concat.apply([], pairs);
+
+    let sources = [];
+    join.keys.forEach(key => {
+      let joinedModel = joins[key].model;
+      let leftKey = joins[key].leftKey;
+      let rightKey = joins[key].rightKey;
+      if (joins[key].type === 'belongsToPolymorphic') {
+        util.loopKeys(joins[key].models, (models, name) => {
+          sources.push({ query: r.table(models[name].getTableName()).changes(), key: leftKey, affected: values(models[name]._pk) });
+        });
+      } else if (joins[key].type !== 'hasAndBelongsToMany') {
+        sources.push({ query: r.table(joinedModel.getTableName()).changes(), key: leftKey, affected: values(rightKey) });
+      } else if ((tableName === joinedModel.getTableName()) && (leftKey === rightKey)) {
+        // The links hold the pair of keys in a field, see `getJoin`
+        let field = leftKey + '_' + leftKey;
+        sources.push({
+          query: r.table(joins[key].link).changes(),
+          key: leftKey,
+          affected: change => flatten(values(field)(change))
+        });
+        sources.push({
+          query: r.table(tableName).changes(),
+          key: leftKey,
+          affected: change => r.table(joins[key].link).getAll(r.args(values(rightKey)(change)), { index: field })(field)
+            .coerceTo('ARRAY').run().then(flatten)
+        });
+      } else {
+        let rootField = tableName + '_' + leftKey;
+        let joinedField = joinedModel.getTableName() + '_' + rightKey;
+        sources.push({ query: r.table(joins[key].link).changes(), key: leftKey, affected: values(rootField) });
+        sources.push({
+          query: r.table(joinedModel.getTableName()).changes(),
+          key: leftKey,
+          affected: change => r.table(joins[key].link).getAll(r.args(values(rightKey)(change)), { index: joinedField })(rootField)
+            .coerceTo('ARRAY').run()
+        });
+      }
+    });
+
+    let feeds = [];
+    let open = query => query.run(fullOptions).then(feed => { feeds.push(feed); return feed; });
+    return Promise.all([ open(this._query) ].concat(sources.map(source => open(source.query))))
+      .then(opened => {
+        if (opened[0].getType() === 'AtomFeed') {
+          throw new Errors.ThinkAgainError('The feeds of a single document are not available for `getJoin` queries.');
+        }
+
+        let related = sources.map((source, index) => ({ feed: opened[index + 1], key: source.key, affected: source.affected }));
+        let changes = new Feed.JoinedChanges(opened[0], related, {
+          pk: model._pk,
+          join: value => new Query(model, r.expr([ value ])).getJoin(join.modelToGet)._query.nth(0).run(),
+          refresh: (key, keys) => new Query(model, join.query.filter(doc => r.expr(keys).contains(doc(key))))
+            .getJoin(join.modelToGet)._query.coerceTo('ARRAY').run()
+        });
+        return new Feed(changes, model, this._feedOptions(fullOptions));
+      })
+      .catch(error => {
+        // Close the feeds already opened
+        return Promise.all(feeds.map(feed => feed.close()))
+          .finally(() => { throw Errors.create(error); });
+      });
+  }
+
   _validateQueryResult(result) {
     if (result.errors > 0) {
       return Promise.reject(new Errors.InvalidWrite('An error occured during the write', result));
@@ -304,6 +791,7 @@ class Query {
     let joins = this._model._getModel()._joins;
 
     let getAll = modelToGet === undefined;
+    let join = { modelToGet: modelToGet, keys: [] };
     if (util.isPlainObject(modelToGet) === false) {
       modelToGet = {};
     }
@@ -312,8 +800,14 @@ class Query {
     gotModel = gotModel || {};
     gotModel[model.getTableName()] = true;
 
+    this._query = this._selectDocuments(this._query);
+    this._deleted = undefined;
+    this._scoped = undefined;
+    join.query = this._query;
+
     util.loopKeys(joins, (_joins, key) => {
       if (util.recurse(key, joins, modelToGet, getAll, gotModel)) {
+        join.keys.push(key);
         switch (joins[key].type) { // eslint-disable-line
         case 'hasOne':
         case 'belongsTo':
@@ -321,8 +815,8 @@ class Query {
             .merge(doc => {
               return r.branch(
                 doc.hasFields(joins[key].leftKey),
-                r.table(joins[key].model.getTableName())
-                  .getAll(doc(joins[key].leftKey), {index: joins[key].rightKey}).coerceTo('ARRAY')
+                filterDeleted(joins[key].model, r.table(joins[key].model.getTableName())
+                  .getAll(doc(joins[key].leftKey), {index: joins[key].rightKey})).coerceTo('ARRAY')
                   .do(result => {
                     innerQuery = new Query(joins[key].model, result.nth(0));
 
@@ -345,16 +839,43 @@ class Query {
             });
           break;
 
+        case 'belongsToPolymorphic':
+          // The joined document is looked up in the model named by `typeKey`
+          this._query = this._query
+            .merge(doc => {
+              let lookup = {};
+              util.loopKeys(joins[key].models, (models, name) => {
+                lookup[name] = filterDeleted(models[name], r.table(models[name].getTableName())
+                  .getAll(doc(joins[key].leftKey))).coerceTo('ARRAY')
+                  .do(result => {
+                    innerQuery = new Query(models[name], result.nth(0));
+
+                    if ((modelToGet[key] != null) && (typeof modelToGet[key]._apply === 'function')) { // eslint-disable-line
+                      innerQuery = modelToGet[key]._apply(innerQuery);
+                    }
+                    innerQuery = innerQuery.getJoin(modelToGet[key], getAll, gotModel)._query;
+                    return r.branch(result.count().eq(1), r.object(key, innerQuery), {});
+                  });
+              });
+
+              return r.branch(
+                doc.hasFields(joins[key].leftKey, joins[key].typeKey),
+                Object.keys(lookup).reduceRight((otherwise, name) => r.branch(doc(joins[key].typeKey).eq(name), lookup[name], otherwise), {}),
+                {}
+              );
+            });
+          break;
+
         case 'hasMany':
           this._query = this._query.merge(doc => {
-            innerQuery = new Query(joins[key].model,
-                        r.table(joins[key].model.getTableName())
-                      .getAll(doc(joins[key].leftKey), {index: joins[key].rightKey}));
+            innerQuery = new Query(joins[key].model, filterDeleted(joins[key].model,
+                        filterType(joins[key], r.table(joins[key].model.getTableName())
+                      .getAll(doc(joins[key].leftKey), {index: joins[key].rightKey}))));
 
             if ((modelToGet[key] != null) && (typeof modelToGet[key]._apply === 'function')) { // eslint-disable-line
               innerQuery = modelToGet[key]._apply(innerQuery);
             }
-            innerQuery = innerQuery.getJoin(modelToGet[key], getAll, gotModel);
+            innerQuery = innerQuery.getJoin(getAll ? modelToGet[key] : util.withThrough(joins[key], modelToGet[key]), getAll, gotModel);
             if ((modelToGet[key] == null) || (modelToGet[key]._array !== false)) { // eslint-disable-line
               innerQuery = innerQuery.coerceTo('ARRAY');
             }
@@ -375,14 +896,14 @@ class Query {
 
               innerQuery = r.table(joins[key].link)
                 .getAll(doc(joins[key].leftKey), {index: joins[key].leftKey + '_' + joins[key].leftKey})
-                .concatMap(link => r.table(joins[key].model.getTableName())
+                .concatMap(link => filterDeleted(joins[key].model, r.table(joins[key].model.getTableName())
                   .getAll(
                     r.branch(
                       doc(joins[key].leftKey).eq(link(joins[key].leftKey + '_' + joins[key].leftKey).nth(0)),
                       link(joins[key].leftKey + '_' + joins[key].leftKey).nth(1),
                       link(joins[key].leftKey + '_' + joins[key].leftKey).nth(0)
                     )
-                  , {index: joins[key].rightKey})
+                  , {index: joins[key].rightKey}))
                 );
 
               if ((modelToGet[key] != null) && (typeof modelToGet[key]._apply === 'function')) { // eslint-disable-line
@@ -402,8 +923,8 @@ class Query {
 
             innerQuery = r.table(joins[key].link)
               .getAll(doc(joins[key].leftKey), { index: model.getTableName() + '_' + joins[key].leftKey })
-              .concatMap(link => r.table(joins[key].model.getTableName())
-                .getAll(link(joins[key].model.getTableName() + '_' + joins[key].rightKey), { index: joins[key].rightKey }));
+              .concatMap(link => filterDeleted(joins[key].model, r.table(joins[key].model.getTableName())
+                .getAll(link(joins[key].model.getTableName() + '_' + joins[key].rightKey), { index: joins[key].rightKey })));
 
             if ((modelToGet[key] != null) && (typeof modelToGet[key]._apply === 'function')) { // eslint-disable-line
               innerQuery = modelToGet[key]._apply(innerQuery);
@@ -425,6 +946,26 @@ class Query {
       }
     });
 
+    // Kept for the changefeeds, which can't follow the subqueries of the joins,
+    // see `_joinedFeed`
+    this._join = join;
+    return this;
+  }
+
+  /**
+   * Retrieve the joined documents like `getJoin`, but with a query per
+   * relation and per level of joins instead of subqueries for each document:
+   * once the documents are retrieved, the joined documents are fetched with
+   * `getAll` on the keys of all of them, grouped by key so that `_apply`
+   * applies to the joined documents of each document, and added to the
+   * documents on the client. Must be called after the methods selecting the
+   * documents.
+   * @param {Object=} modelToGet explicit joined documents to retrieve, all of
+   * them by default, like for `getJoin`
+   * @return {Query}
+   */
+  include(modelToGet) {
+    this._include = { modelToGet: modelToGet };
     return this;
   }
 
@@ -466,8 +1007,24 @@ class Query {
         );
       }
       updateValue[joins[field].rightKey] = this._query(joins[field].leftKey);
+      if (joins[field].typeKey !== undefined) {
+        updateValue[joins[field].typeKey] = joins[field].typeValue;
+      }
       return joinedModel.get(joinedDocument[joinedModel._pk]).update(updateValue, {nonAtomic: true}).run();
 
+    case 'belongsToPolymorphic':
+      // The model of the joined document tells the type stored
+      let type = (joinedDocument != null && typeof joinedDocument.getModel === 'function') ? // eslint-disable-line
+        util.polymorphicType(joins[field], joinedDocument.getModel()) : undefined;
+      if ((type === undefined) || (joinedDocument[joinedDocument._getModel()._pk] === undefined)) {
+        return new Query(model, this, {},
+            new Errors.ThinkAgainError('The joined document must be a saved document of a model of the `belongsToPolymorphic` relation.')
+        );
+      }
+      updateValue[joins[field].leftKey] = joinedDocument[joinedDocument._getModel()._pk];
+      updateValue[joins[field].typeKey] = type;
+      return this.update(updateValue, {nonAtomic: true}).run();
+
     case 'belongsTo':
       if (joinedDocument[joins[field].rightKey] === undefined) {
         if (joinedDocument[joinedModel._pk] === undefined) {
@@ -583,13 +1140,18 @@ class Query {
       return query;
 
     case 'hasMany':
+      // The joined documents of a `hasManyPolymorphic` relation also lose the type
+      let keys = [ joins[field].rightKey ].concat((joins[field].typeKey !== undefined) ? [ joins[field].typeKey ] : []);
       if (joinedDocument === undefined) {
         query = joinedModel
-          .getAll(this._query(joins[field].leftKey), { index: joins[field].rightKey })
-          .replace(row => row.without(joins[field].rightKey));
+          .getAll(this._query(joins[field].leftKey), { index: joins[field].rightKey });
+        if (joins[field].typeKey !== undefined) {
+          query = query.filter(row => row(joins[field].typeKey).eq(joins[field].typeValue));
+        }
+        query = query.replace(row => row.without(keys));
       } else {
         query = joinedModel.getAll(r.expr(joinedDocument)(joinedModel._pk))
-          .replace(row => row.without(joins[field].rightKey));
+          .replace(row => row.without(keys));
       }
       query.setPostValidation();
       return query;
@@ -599,6 +1161,11 @@ class Query {
       query.setPostValidation();
       return query;
 
+    case 'belongsToPolymorphic':
+      query = this.replace(row => row.without(joins[field].leftKey, joins[field].typeKey));
+      query.setPostValidation();
+      return query;
+
     case 'hasAndBelongsToMany':
       let linkModel = joins[field].linkModel;
       if (joinedDocument === undefined) {
@@ -707,6 +1274,622 @@ class Query {
   }
 }
 
+const FEED_TYPES = new Set([ 'Feed', 'OrderByLimitFeed', 'UnionedFeed', 'AtomFeed' ]);
+
+// Methods that must be called on the table itself, and whose results are not
+// documents of the model.
+const TABLE_METHODS = new Set([
+  'insert', 'sync', 'config', 'status', 'wait', 'reconfigure', 'rebalance', 'grant', 'info', 'getNearest',
+  'indexCreate', 'indexDrop', 'indexList', 'indexRename', 'indexStatus', 'indexWait'
+]);
+
+// Methods that must be called on the table itself, and return a selection.
+const INDEXED_METHODS = new Set([ 'getAll', 'between', 'getIntersecting', 'orderBy' ]);
+
+// Methods returning documents of the model, whose fields are still checked
+// against its schema with `strict`.
+const TYPED_METHODS = new Set([
+  'filter', 'orderBy', 'getAll', 'between', 'getIntersecting', 'limit', 'skip', 'slice', 'nth', 'sample',
+  'default', 'pluck', 'without'
+]);
+
+/**
+ * Encode the cursor of a document for `paginate`: the value of the index and
+ * the primary key, with the dates tagged so that they can be decoded.
+ * @param {*} value
+ * @param {*} key
+ * @return {string}
+ */
+function encodeCursor(value, key) {
+  let json = JSON.stringify([ value, key ], function(name, item) {
+    return (this[name] instanceof Date) ? { $date: this[name].getTime() } : item;
+  });
+  return Buffer.from(json).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    let decoded = JSON.parse(Buffer.from(cursor, 'base64').toString(), (name, item) => {
+      return (util.isPlainObject(item) && typeof item.$date === 'number') ? new Date(item.$date) : item;
+    });
+    if (Array.isArray(decoded) && decoded.length === 2) {
+      return { value: decoded[0], key: decoded[1] };
+    }
+  } catch (error) {
+    // reported below
+  }
+  throw new Errors.ThinkAgainError('Invalid cursor `' + cursor + '`.');
+}
+
+/**
+ * Select the documents of a model in a sequence of its table: the documents of
+ * its kind for a model created with `discriminator`, and for a model with
+ * `softDelete`, the documents that are not deleted, or only the deleted ones.
+ * @param {Function} model
+ * @param {ReQLQuery} sequence
+ * @param {string=} deleted "exclude", "with" or "only"
+ * @return {ReQLQuery}
+ */
+function filterDeleted(model, sequence, deleted) {
+  let discriminator = model._getModel()._discriminator;
+  if (discriminator !== undefined) {
+    sequence = sequence.filter(doc => doc(discriminator.key).default(null).eq(discriminator.value));
+  }
+
+  let field = model._getModel()._softDelete;
+  if ((field === undefined) || (deleted === 'with')) {
+    return sequence;
+  }
+
+  if (deleted === 'only') {
+    return sequence.filter(doc => doc(field).default(null).ne(null));
+  }
+  return sequence.filter(doc => doc(field).default(null).eq(null));
+}
+
+/**
+ * Whether a document of the table of a model is one of the documents selected
+ * by `filterDeleted`.
+ * @param {Function} model
+ * @param {Object} value The document
+ * @param {string=} deleted "exclude", "with" or "only"
+ * @return {boolean}
+ */
+function isSelected(model, value, deleted) {
+  let discriminator = model._getModel()._discriminator;
+  if ((discriminator !== undefined) && !util.deepEqual(value[discriminator.key], discriminator.value)) {
+    return false;
+  }
+
+  let field = model._getModel()._softDelete;
+  if ((field === undefined) || (deleted === 'with')) {
+    return true;
+  }
+
+  let isDeleted = (value[field] !== undefined) && (value[field] !== null);
+  return (deleted === 'only') ? isDeleted : !isDeleted;
+}
+
+/**
+ * Add the joined documents to documents retrieved by a query with `include`.
+ * For each relation, the joined documents of all the documents are retrieved
+ * with a single query grouping them by the key of the relation, then the
+ * joined documents of the joined documents, and so on. The relations are
+ * followed one after the other so that, without `modelToGet`, the models
+ * already retrieved are skipped like in `getJoin`.
+ * @param {Function} model The model of the documents
+ * @param {Array} docs The documents, as plain objects updated in place
+ * @param {Object=} modelToGet explicit joined documents to retrieve
+ * @param {Object} gotModel The models already retrieved
+ * @return {Promise}
+ */
+function includeJoins(model, docs, modelToGet, gotModel) {
+  let r = model._getModel()._thinkagain.r;
+  let joins = model._getModel()._joins;
+  let getAll = modelToGet === undefined;
+  if (util.isPlainObject(modelToGet) === false) {
+    modelToGet = {};
+  }
+  gotModel[model.getTableName()] = true;
+
+  // The keys of the documents to join with the values of `field`
+  let keysOf = (sources, field) => sources
+    .map(doc => doc[field])
+    .filter((key, index, keys) => (key !== undefined) && (keys.indexOf(key) === index));
+
+  return Promise.each(Object.keys(joins), key => {
+    if ((docs.length === 0) || !util.recurse(key, joins, modelToGet, getAll, gotModel)) return;
+
+    let join = joins[key];
+    let nested = (getAll || (join.type !== 'hasMany')) ? modelToGet[key] : util.withThrough(join, modelToGet[key]);
+    let sources = []; // The joined documents of some of the documents, grouped by key
+    let keys = keysOf(docs, join.leftKey);
+
+    switch (join.type) { // eslint-disable-line
+    case 'hasOne':
+    case 'belongsTo':
+    case 'hasMany':
+      if (keys.length === 0) break;
+      sources.push({
+        model: join.model,
+        docs: docs,
+        single: join.type !== 'hasMany',
+        query: filterDeleted(join.model, filterType(join, r.table(join.model.getTableName())
+          .getAll(r.args(keys), {index: join.rightKey}))).group(join.rightKey)
+      });
+      break;
+
+    case 'belongsToPolymorphic':
+      util.loopKeys(join.models, (models, name) => {
+        let typed = docs.filter(doc => doc[join.typeKey] === name);
+        let typedKeys = keysOf(typed, join.leftKey);
+        if (typedKeys.length === 0) return;
+        sources.push({
+          model: models[name],
+          docs: typed,
+          single: true,
+          query: filterDeleted(models[name], r.table(models[name].getTableName())
+            .getAll(r.args(typedKeys))).group(models[name]._getModel()._pk)
+        });
+      });
+      break;
+
+    case 'hasAndBelongsToMany':
+      if (keys.length === 0) break;
+      let joined = value => filterDeleted(join.model, r.table(join.model.getTableName()).getAll(value, {index: join.rightKey}));
+      let query;
+      if ((model.getTableName() === join.model.getTableName()) && (join.leftKey === join.rightKey)) {
+        // The links hold the pair of keys in a field, see `getJoin`
+        let pair = join.leftKey + '_' + join.leftKey;
+        query = r.table(join.link).getAll(r.args(keys), {index: pair})
+          .concatMap(link => [
+            { key: link(pair).nth(0), other: link(pair).nth(1) },
+            { key: link(pair).nth(1), other: link(pair).nth(0) }
+          ])
+          .filter(link => r.expr(keys).contains(link('key')))
+          .group('key')
+          .concatMap(link => joined(link('other')));
+      } else {
+        let field = model.getTableName() + '_' + join.leftKey;
+        query = r.table(join.link).getAll(r.args(keys), {index: field})
+          .group(field)
+          .concatMap(link => joined(link(join.model.getTableName() + '_' + join.rightKey)));
+      }
+      sources.push({ model: join.model, docs: docs, single: false, query: query });
+      break;
+    }
+
+    return Promise.each(sources, source => {
+      let innerQuery = new Query(source.model, source.query);
+      if ((modelToGet[key] != null) && (typeof modelToGet[key]._apply === 'function')) { // eslint-disable-line
+        innerQuery = modelToGet[key]._apply(innerQuery);
+      }
+
+      return innerQuery._query.ungroup().run()
+        .then(groups => {
+          let joinedDocs = [].concat.apply([], groups.map(group => Array.isArray(group.reduction) ? group.reduction : []));
+          return includeJoins(source.model, joinedDocs.filter(doc => util.isPlainObject(doc)), nested, gotModel)
+            .return(new Map(groups.map(group => [ group.group, group.reduction ])));
+        })
+        .then(values => {
+          source.docs.forEach(doc => {
+            let value = (doc[join.leftKey] !== undefined) ? values.get(doc[join.leftKey]) : undefined;
+            if (source.single) {
+              if (Array.isArray(value) && (value.length > 1)) {
+                throw new Errors.ThinkAgainError('More than one element found for the field `' + key + '`.');
+              }
+              value = Array.isArray(value) ? value[0] : value;
+              if (value !== undefined) doc[key] = util.deepCopy(value);
+            } else if (value !== undefined) {
+              doc[key] = util.deepCopy(value);
+            } else if ((doc[join.leftKey] !== undefined) && ((modelToGet[key] == null) || (modelToGet[key]._array !== false))) { // eslint-disable-line
+              doc[key] = [];
+            }
+          });
+        });
+    });
+  });
+}
+
+/**
+ * Select the joined documents of a `hasManyPolymorphic` relation, which also
+ * store the name of the model they belong to.
+ * @param {Object} join The relation
+ * @param {ReQLQuery} sequence The documents with the key of the relation
+ * @return {ReQLQuery}
+ */
+function filterType(join, sequence) {
+  if (join.typeKey === undefined) return sequence;
+  return sequence.filter(doc => doc(join.typeKey).eq(join.typeValue));
+}
+
+/**
+ * The query returned by a scope, which may return a query of the driver.
+ * @param {Function} model
+ * @param {Query|ReQLQuery} query
+ * @return {Query}
+ */
+function asQuery(model, query) {
+  return (query instanceof Query) ? query : new Query(model, query);
+}
+
+/**
+ * Whether the documents of a query on the table of a model must be selected
+ * with `filterDeleted`.
+ * @param {Function} model
+ * @param {string=} deleted The `_deleted` state of the query
+ * @return {boolean}
+ */
+function isFiltered(model, deleted) {
+  return (deleted !== undefined) && ((deleted !== 'with') || (model._getModel()._discriminator !== undefined));
+}
+
+/**
+ * Compile a `filter` object with operators into a function of the document.
+ * The fields can be compared with `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`,
+ * `$in`, `$nin`, `$exists`, `$regex` (with `$options`) and `$not`, and the
+ * objects combined with `$and` and `$or`, e.g.
+ * `{ age: { $gte: 18 }, $or: [ { name: { $regex: '^A' } }, { admin: true } ] }`.
+ * The other values must be equal, like in the objects of the driver. Like in
+ * MongoDB, a missing field matches `$ne`, `$nin` and `$not`, and an array
+ * matches `$in` when one of its elements is in the list.
+ * @param {Function} r
+ * @param {Object} filter
+ * @return {Function}
+ */
+function compileFilter(r, filter) {
+  return doc => matchObject(r, doc, filter, []);
+}
+
+function matchObject(r, doc, filter, path) {
+  let conditions = Object.keys(filter).map(key => {
+    let value = filter[key];
+    if ((key === '$and') || (key === '$or')) {
+      if (!Array.isArray(value) || !value.every(item => util.isPlainObject(item))) {
+        throw new Errors.ThinkAgainError('The value of `' + key + '` in `filter` must be an array of objects.');
+      }
+      let matches = value.map(item => matchObject(r, doc, item, path));
+      return (key === '$and') ? r.and.apply(r, matches) : r.or.apply(r, matches);
+    } else if (key[0] === '$') {
+      throw new Errors.ThinkAgainError('Unknown operator `' + key + '` in `filter`.');
+    }
+
+    let keys = path.concat(key);
+    if (util.isOperators(value)) {
+      return matchOperators(r, doc, keys, value);
+    } else if (util.isPlainObject(value)) {
+      return matchObject(r, doc, value, keys);
+    }
+    return selectField(doc, keys).eq(value).default(false);
+  });
+  return r.and.apply(r, conditions);
+}
+
+function matchOperators(r, doc, keys, operators) {
+  let field = selectField(doc, keys);
+  let conditions = Object.keys(operators).filter(operator => operator !== '$options').map(operator => {
+    let value = operators[operator];
+    switch (operator) {
+    case '$eq': return field.eq(value).default(false);
+    case '$ne': return field.ne(value).default(true);
+    case '$gt': return field.gt(value).default(false);
+    case '$gte': return field.ge(value).default(false);
+    case '$lt': return field.lt(value).default(false);
+    case '$lte': return field.le(value).default(false);
+    case '$in':
+    case '$nin':
+      if (!Array.isArray(value)) {
+        throw new Errors.ThinkAgainError('The value of `' + operator + '` in `filter` must be an array.');
+      }
+      return (operator === '$in') ? matchAny(r, field, value).default(false) : matchAny(r, field, value).not().default(true);
+    case '$exists':
+      let selector = keys.reduceRight((nested, key) => ({ [key]: nested }), true);
+      return doc.hasFields(selector).eq(value === true);
+    case '$regex':
+      return field.match(regularExpression(value, operators.$options)).ne(null).default(false);
+    case '$not':
+      if (!util.isOperators(value)) {
+        throw new Errors.ThinkAgainError('The value of `$not` in `filter` must be an object of operators.');
+      }
+      return matchOperators(r, doc, keys, value).not();
+    default:
+      throw new Errors.ThinkAgainError('Unknown operator `' + operator + '` in `filter`.');
+    }
+  });
+  return r.and.apply(r, conditions);
+}
+
+// Like in MongoDB, an array matches a list if the array itself or one of its
+// elements is in the list
+function matchAny(r, field, values) {
+  return r.branch(field.typeOf().eq('ARRAY'),
+    r.expr(values).contains(field).or(field.setIntersection(values).isEmpty().not()),
+    r.expr(values).contains(field));
+}
+
+function selectField(doc, keys) {
+  return keys.reduce((value, key) => value(key), doc);
+}
+
+/**
+ * The regular expression of `$regex` for `match`, given as a string or a
+ * `RegExp`. The flags `i` and `m` of the `RegExp`, and `i`, `m` and `s` of
+ * `$options`, are prepended as `(?ims)`.
+ * @param {string|RegExp} regex
+ * @param {string=} options
+ * @return {string}
+ */
+function regularExpression(regex, options) {
+  let source = regex;
+  let flags = (typeof options === 'string') ? options : '';
+  if (regex instanceof RegExp) {
+    source = regex.source;
+    flags += (regex.ignoreCase ? 'i' : '') + (regex.multiline ? 'm' : '');
+  } else if (typeof regex !== 'string') {
+    throw new Errors.ThinkAgainError('The value of `$regex` in `filter` must be a string or a regular expression.');
+  }
+
+  flags = [ 'i', 'm', 's' ].filter(flag => flags.indexOf(flag) !== -1).join('');
+  return (flags.length > 0) ? '(?' + flags + ')' + source : source;
+}
+
+/**
+ * Check the fields passed to a method against the schema of a model with
+ * `strict`: the fields of the objects of `filter` and `update`, which must also
+ * have values of their type, and the fields of `orderBy`, `pluck` and
+ * `without`. Functions and ReQL terms are not checked.
+ * @param {Function} model
+ * @param {string} key The name of the method
+ * @param {Array|Arguments} args The arguments of the method
+ * @throws {ValidationError}
+ */
+function checkFields(model, key, args) {
+  switch (key) { // eslint-disable-line
+  case 'filter':
+  case 'update':
+    if (util.isPlainObject(args[0])) {
+      checkValues(model, key, args[0], []);
+    }
+    break;
+
+  case 'orderBy':
+    util.toArray(args).forEach(arg => {
+      if (typeof arg === 'string') checkField(model, key, [ arg ]);
+    });
+    break;
+
+  case 'pluck':
+  case 'without':
+    util.toArray(args).forEach(arg => {
+      selectedFields(arg, []).forEach(keys => checkField(model, key, keys));
+    });
+    break;
+  }
+}
+
+/**
+ * Check that a field is in the schema of a model.
+ * @param {Function} model
+ * @param {string} method The method the field is passed to
+ * @param {Array} keys The path of the field
+ * @return {Object} The schema of the field
+ * @throws {ValidationError}
+ */
+function checkField(model, method, keys) {
+  let schema = util.fieldSchema(model._schema, keys, true);
+  if (schema === undefined) {
+    throw fieldError(keys, 'The field `' + keys.join('.') + '` passed to `' + method + '` is not in the schema of the model `' + model.getTableName() + '`.');
+  }
+  return schema;
+}
+
+/**
+ * Check the fields of an object passed to `filter` or `update` and the types
+ * of their values, and the same for the nested objects.
+ * @param {Function} model
+ * @param {string} method
+ * @param {Object} object
+ * @param {Array} path The path of the object in the documents
+ * @throws {ValidationError}
+ */
+function checkValues(model, method, object, path) {
+  util.loopKeys(object, (_object, key) => {
+    let value = object[key];
+    if ((method === 'filter') && ((key === '$and') || (key === '$or')) && Array.isArray(value)) {
+      value.forEach(item => {
+        if (util.isPlainObject(item)) checkValues(model, method, item, path);
+      });
+      return;
+    }
+
+    let keys = path.concat(key);
+    let schema = checkField(model, method, keys);
+    if ((method === 'filter') && util.isOperators(value)) {
+      checkOperators(model, method, keys, schema, value);
+    } else if (util.isPlainObject(value) && util.isPlainObject(schema.properties)) {
+      checkValues(model, method, value, keys);
+    } else {
+      checkType(model, method, keys, schema, value);
+    }
+  });
+}
+
+/**
+ * Check the types of the values compared with a field by the operators of
+ * `filter`, see `compileFilter`.
+ * @param {Function} model
+ * @param {string} method
+ * @param {Array} keys The path of the field
+ * @param {Object} schema The schema of the field
+ * @param {Object} operators
+ * @throws {ValidationError}
+ */
+function checkOperators(model, method, keys, schema, operators) {
+  util.loopKeys(operators, (_operators, operator) => {
+    let value = operators[operator];
+    if ((operator === '$in') || (operator === '$nin')) {
+      // The values of an array field are compared with its elements too
+      if (Array.isArray(value)) {
+        value.forEach(item => {
+          let itemSchema = (!Array.isArray(item) && util.isPlainObject(schema.items)) ? schema.items : schema;
+          checkType(model, method, keys, itemSchema, item);
+        });
+      }
+    } else if (operator === '$not') {
+      if (util.isOperators(value)) checkOperators(model, method, keys, schema, value);
+    } else if ([ '$eq', '$ne', '$gt', '$gte', '$lt', '$lte' ].indexOf(operator) !== -1) {
+      checkType(model, method, keys, schema, value);
+    }
+  });
+}
+
+function checkType(model, method, keys, schema, value) {
+  if (typeof value === 'function') return;
+  let types = schemaTypes(model, schema);
+  if ((types !== undefined) && !types.some(type => isOfType(value, type))) {
+    throw fieldError(keys, 'The value of the field `' + keys.join('.') + '` passed to `' + method + '` is not of type ' + types.join(' or ') + '.');
+  }
+}
+
+function fieldError(keys, message) {
+  return new Errors.ValidationError(message, [ { dataPath: '.' + keys.join('.'), message: message } ]);
+}
+
+/**
+ * The paths of the fields selected by `pluck` or `without`: names of fields,
+ * arrays of selectors, or objects selecting nested fields, e.g.
+ * `{ address: [ 'city' ] }`.
+ * @param {*} selector
+ * @param {Array} path The path of the nested fields
+ * @return {Array}
+ */
+function selectedFields(selector, path) {
+  if (typeof selector === 'string') {
+    return [ path.concat(selector) ];
+  } else if (Array.isArray(selector)) {
+    return [].concat.apply([], selector.map(item => selectedFields(item, path)));
+  } else if (util.isPlainObject(selector)) {
+    return [].concat.apply([], Object.keys(selector).map(key => {
+      let nested = selector[key];
+      return ((typeof nested === 'string') || Array.isArray(nested) || util.isPlainObject(nested)) ?
+        selectedFields(nested, path.concat(key)) : [ path.concat(key) ];
+    }));
+  }
+  return [];
+}
+
+/**
+ * The types accepted by a schema: the JSON types of `type`, or the names of
+ * the classes of `instanceOf`, following `$ref`, `anyOf` and `oneOf`. Undefined
+ * if the schema accepts any type.
+ * @param {Function} model
+ * @param {Object} schema
+ * @return {Array=}
+ */
+function schemaTypes(model, schema) {
+  if (schema.type !== undefined) {
+    return [].concat(schema.type);
+  } else if (typeof schema.instanceOf === 'string') {
+    return [ schema.instanceOf ];
+  } else if (typeof schema.$ref === 'string') {
+    let ref = model._getModel()._thinkagain.ajv.getSchema(schema.$ref);
+    return (ref !== undefined) ? schemaTypes(model, ref.schema) : undefined;
+  }
+
+  let schemas = schema.anyOf || schema.oneOf;
+  if (!Array.isArray(schemas)) return undefined;
+  let types = schemas.map(item => schemaTypes(model, item));
+  return types.every(item => item !== undefined) ? [].concat.apply([], types) : undefined;
+}
+
+function isOfType(value, type) {
+  switch (type) {
+  case 'null': return value === null;
+  case 'array': return Array.isArray(value);
+  case 'object': return util.isPlainObject(value);
+  case 'integer': return Number.isInteger(value);
+  case 'number':
+  case 'string':
+  case 'boolean':
+    return typeof value === type;
+  default:
+    return (typeof global[type] === 'function') && (value instanceof global[type]);
+  }
+}
+
+/**
+ * Stamp the value of an `update` or a `replace` with the timestamps of
+ * `model`, and increment the version of the documents. A `replace` keeps the
+ * creation date of the replaced document.
+ * @param {Function} model The model of the documents
+ * @param {string} key "update" or "replace"
+ * @param {*} value The value passed to `update`/`replace`
+ * @return {*} The stamped value
+ */
+function stampWrite(model, key, value) {
+  let timestamps = model._getModel()._timestamps;
+  let versionKey = model._getModel()._versionKey;
+  if (((timestamps === undefined) && (versionKey === undefined)) || (value === null) || (value === undefined)) {
+    return value;
+  }
+
+  let r = model._getModel()._thinkagain.r;
+  let stamp = doc => {
+    let result = {};
+    if ((timestamps !== undefined) && (timestamps.updatedAt !== undefined)) {
+      result[timestamps.updatedAt] = r.now();
+    }
+    if (versionKey !== undefined) {
+      result[versionKey] = doc(versionKey).add(1).default(0);
+    }
+    return result;
+  };
+
+  // JavaScript functions, but not ReQL terms
+  let isFunction = (typeof value === 'function') && (value._query === undefined);
+  if ((key === 'update') && util.isPlainObject(value)) {
+    let result = {};
+    let fields = stamp(r.row);
+    util.loopKeys(value, (_value, field) => { result[field] = value[field]; });
+    util.loopKeys(fields, (_fields, field) => { result[field] = fields[field]; });
+    return result;
+  } else if (key === 'update') {
+    return isFunction ? doc => r.expr(value(doc)).merge(stamp(doc)) : r.expr(value).merge(stamp(r.row));
+  }
+
+  return doc => {
+    let result = r.expr(isFunction ? value(doc) : value).merge(stamp(doc));
+    if ((timestamps === undefined) || (timestamps.createdAt === undefined)) {
+      return result;
+    }
+
+    return result.merge(row => {
+      let created = {};
+      created[timestamps.createdAt] = row(timestamps.createdAt).default(doc(timestamps.createdAt).default(r.now()));
+      return created;
+    });
+  };
+}
+
+// `for await (let doc of query)` iterates over the instances of the model
+// read from a cursor, like `stream`.
+if (typeof Symbol.asyncIterator === 'symbol') {
+  Query.prototype[Symbol.asyncIterator] = function() {
+    let cursor;
+    return {
+      next: () => {
+        if (cursor === undefined) cursor = this._openCursor();
+        return cursor.then(opened => opened.next())
+          .then(doc => (doc === undefined) ? { value: undefined, done: true } : { value: doc, done: false });
+      },
+      return: () => {
+        let closed = (cursor !== undefined) ? cursor.then(opened => opened.close()) : Promise.resolve();
+        return closed.then(() => ({ value: undefined, done: true }));
+      }
+    };
+  };
+}
+
 /**
  * Import all the methods from rethinkdbdash, expect the private one (the one
  * starting with an underscore).
@@ -721,16 +1904,23 @@ util.loopKeys(Term, (term, key) => {
     // `get` in thinkagain returns an error if the document is not found.
     // The driver currently just returns `null`.
     Query.prototype[key] = function() {
-      return new Query(this._model, this._query[key]
-        .apply(this._query, arguments))
-        .default(this._r.error(new Errors.DocumentNotFound().message));
+      let selection = this._select(arguments);
+      let query = selection.default(this._r.error(new Errors.DocumentNotFound().message));
+      query._point = selection._point;
+      return query;
     };
 
     // Copy it in `_get` without `default`.
     Query.prototype._get = function() {
       // Create a new query to let people fork it
-      return new Query(this._model, this._query[key]
-        .apply(this._query, arguments));
+      let selection = this._select(arguments);
+      if (selection._point === undefined) {
+        return selection;
+      }
+
+      let query = selection.default(null);
+      query._point = selection._point;
+      return query;
     };
     break;
   case 'update':
@@ -743,6 +1933,7 @@ util.loopKeys(Term, (term, key) => {
       options.returnChanges = 'always';
       let error = null;
 
+      this._check(key, [ value ]);
       if (util.isPlainObject(value)) {
         let valid = this._model._validate(value);
         if (!valid) {
@@ -750,18 +1941,109 @@ util.loopKeys(Term, (term, key) => {
         }
       }
 
-      return new Query(this._model, this._query[key].call(this._query, value, options), { postValidation: true }, error);
+      value = stampWrite(this._model, key, value);
+      let query = new Query(this._model, this._chain(key, [ value, options ]), { postValidation: true }, error);
+      if (this._point !== undefined) {
+        query.setPointWrite();
+      }
+      return query;
+    };
+    break;
+
+  case 'delete':
+    // The documents of a model with `softDelete` are only marked as deleted.
+    Query.prototype[key] = function(options) {
+      let field = (this._model !== undefined) ? this._model._getModel()._softDelete : undefined;
+      if (field === undefined) {
+        return new Query(this._model, this._chain(key, arguments));
+      }
+
+      let value = {};
+      value[field] = this._r.now();
+      return new Query(this._model, this._chain('update', [ stampWrite(this._model, 'update', value), options ]));
     };
     break;
 
   case 'changes':
-    Query.prototype[key] = function() {
+    Query.prototype[key] = function(options) {
+      let args = util.toArray(arguments);
+
+      // `events` and `resilient` are options of `Feed`, not of the driver
+      let feedOptions = {};
+      if (util.isPlainObject(options) && ((options.events !== undefined) || (options.resilient !== undefined))) {
+        args[0] = {};
+        util.loopKeys(options, (opts, name) => {
+          if (name === 'events' || name === 'resilient') {
+            feedOptions[name] = opts[name];
+          } else {
+            args[0][name] = opts[name];
+          }
+        });
+      }
+
+      if (this._point !== undefined) {
+        // The feed follows the document, which is removed once the query
+        // does not select it, e.g. when it is soft deleted.
+        let point = new Query(this._model, this._point[key].apply(this._point, args));
+        point._feed = {
+          events: feedOptions.events === true,
+          select: value => isSelected(this._model, value, this._deleted)
+        };
+        return point;
+      }
+
       // In case of `get().changes()` we want to remove the default(r.errror(...))
       // TODO: Do not hardcode this?
       if ((typeof this._query === 'function') && (this._query._query[0] === 92)) {
         this._query._query = this._query._query[1][0];
       }
-      return new Query(this._model, this._query[key].apply(this._query, arguments));
+
+      let feed = { events: feedOptions.events === true };
+      if (this._join !== undefined) {
+        // The feed follows the documents without their joins, and the joined
+        // tables, see `_joinedFeed`.
+        if (feedOptions.resilient) {
+          throw new Errors.ThinkAgainError('The `resilient` option is not available for the feeds of `getJoin` queries.');
+        }
+
+        let joined = new Query(this._model, this._join.query[key].apply(this._join.query, args));
+        joined._feed = feed;
+        joined._join = this._join;
+        return joined;
+      }
+
+      if (feedOptions.resilient) {
+        // A resilient feed is reopened after connection errors, see `Feed`. It
+        // always includes the initial values and the states, to skip the
+        // documents that did not change in the meantime.
+        feed.resilient = true;
+        feed.retryDelay = util.isPlainObject(feedOptions.resilient) ? feedOptions.resilient.retryDelay : undefined;
+        feed.includeInitial = args[0].includeInitial === true;
+        feed.includeStates = args[0].includeStates === true;
+        args[0].includeInitial = true;
+        args[0].includeStates = true;
+      }
+
+      let query = new Query(this._model, this._chain(key, args));
+      query._feed = feed;
+      return query;
+    };
+    break;
+
+  case 'filter':
+    // An object with operators, e.g. `{ age: { $gte: 18 } }`, is compiled into
+    // a function, see `compileFilter`.
+    Query.prototype[key] = function(predicate) {
+      this._check(key, arguments);
+      let args = util.toArray(arguments);
+      if (util.hasOperators(predicate)) {
+        args[0] = compileFilter(this._r, predicate);
+      }
+
+      let query = new Query(this._model, this._chain(key, args));
+      query._include = this._include;
+      query._typed = this._typed;
+      return query;
     };
     break;
 
@@ -777,16 +2059,20 @@ util.loopKeys(Term, (term, key) => {
 
   case 'ungroup':
     Query.prototype[key] = function() {
-      return new Query(this._model, this._query[key]
-        .apply(this._query, arguments), { ungroup: true });
+      return new Query(this._model, this._chain(key, arguments), { ungroup: true });
     };
     break;
 
   default:
     Query.prototype[key] = function() {
       // Create a new query to let people fork it
-      return new Query(this._model, this._query[key]
-        .apply(this._query, arguments));
+      this._check(key, arguments);
+      let query = new Query(this._model, this._chain(key, arguments));
+      query._include = this._include;
+      if (TYPED_METHODS.has(key)) {
+        query._typed = this._typed;
+      }
+      return query;
     };
     break;
   }
@@ -1,6 +1,7 @@
 'use strict';
 const Promise = require('bluebird'),
-      EventEmitter = require('events');
+      EventEmitter = require('events'),
+      Errors = require('./errors');
 
 let util = module.exports = {};
 
@@ -211,10 +212,46 @@ util.changeProto = changeProto;
 
 function recurse(key, joins, modelTo, all, done) {
   return (util.isPlainObject(modelTo) && modelTo.hasOwnProperty(key))
-    || ((all === true) && (done[joins[key].model.getTableName()] !== true));
+    || ((all === true) && joinedModels(joins[key]).some(model => done[model.getTableName()] !== true));
 }
 util.recurse = recurse;
 
+/**
+ * Return the models joined by a relation: its model, or the models of a
+ * `belongsToPolymorphic` relation.
+ * @param {Object} join The relation, a value of the `_joins` of a model
+ * @return {Array}
+ */
+function joinedModels(join) {
+  return (join.models !== undefined) ? Object.keys(join.models).map(name => join.models[name]) : [ join.model ];
+}
+util.joinedModels = joinedModels;
+
+/**
+ * Return the name under which the model of a document is stored by a
+ * `belongsToPolymorphic` relation, or undefined if the relation does not join
+ * this model.
+ * @param {Object} join The relation
+ * @param {Function} model The model of the joined document
+ * @return {string=}
+ */
+util.polymorphicType = (join, model) => Object.keys(join.models).find(name => join.models[name] === model);
+
+/**
+ * Return the joined documents to retrieve or save in the links of a
+ * `hasManyThrough` relation, which always include the documents joined by the
+ * links.
+ * @param {Object} join The relation
+ * @param {Object|boolean} modelTo The joined documents requested for the links
+ * @return {Object|boolean}
+ */
+util.withThrough = (join, modelTo) => {
+  if (join.through === undefined) return modelTo;
+  let result = Object.assign({}, isPlainObject(modelTo) ? modelTo : {});
+  if (!result.hasOwnProperty(join.through)) result[join.through] = true;
+  return result;
+};
+
 function bindEmitter(self) {
   util.loopKeys(EventEmitter.prototype, function(emitter, key) {
     let fn = emitter[key];
@@ -242,6 +279,91 @@ function extractPrimaryKey(oldValue, newValue, primaryKey) {
 }
 util.extractPrimaryKey = extractPrimaryKey;
 
+/**
+ * Whether two values are equal. Objects and arrays are compared recursively,
+ * dates and buffers by value.
+ * @return {boolean}
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if ((a instanceof Date) && (b instanceof Date)) return a.getTime() === b.getTime();
+  if ((a instanceof Buffer) && (b instanceof Buffer)) return a.equals(b);
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0, ii = a.length; i < ii; ++i) {
+      if (!deepEqual(a[i], b[i])) return false;
+    }
+    return true;
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    let keys = Object.keys(a).concat(Object.keys(b));
+    for (let i = 0, ii = keys.length; i < ii; ++i) {
+      if (!deepEqual(a[keys[i]], b[keys[i]])) return false;
+    }
+    return true;
+  }
+
+  return false;
+}
+util.deepEqual = deepEqual;
+
+/**
+ * Return the differences between two values. Objects are compared field by
+ * field, other values (arrays included) as a whole.
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @param {Array=} path The path of the values, used when recursing
+ * @param {Array=} result The differences found, used when recursing
+ * @return {Array} The differences, objects with the fields `path` (an array of
+ * keys), `oldValue` and `newValue` (undefined if the field was removed)
+ */
+function diff(oldValue, newValue, path, result) {
+  path = path || [];
+  result = result || [];
+
+  if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    let keys = Object.keys(oldValue);
+    loopKeys(newValue, (_newValue, key) => {
+      if (!oldValue.hasOwnProperty(key)) keys.push(key);
+    });
+
+    for (let i = 0, ii = keys.length; i < ii; ++i) {
+      diff(oldValue[keys[i]], newValue[keys[i]], path.concat(keys[i]), result);
+    }
+  } else if (!deepEqual(oldValue, newValue)) {
+    result.push({ path: path, oldValue: oldValue, newValue: newValue });
+  }
+
+  return result;
+}
+util.diff = diff;
+
+/**
+ * Build the value of an `update` writing the differences returned by `diff`.
+ * Removed fields are written with `r.literal()`.
+ * @param {Array} differences
+ * @param {Object} r The driver
+ * @return {Object}
+ */
+function updateValue(differences, r) {
+  let result = {};
+  for (let i = 0, ii = differences.length; i < ii; ++i) {
+    let path = differences[i].path;
+    let target = result;
+    for (let j = 0, jj = path.length - 1; j < jj; ++j) {
+      if (!isPlainObject(target[path[j]])) target[path[j]] = {};
+      target = target[path[j]];
+    }
+
+    target[path[path.length - 1]] =
+      (differences[i].newValue === undefined) ? r.literal() : differences[i].newValue;
+  }
+  return result;
+}
+util.updateValue = updateValue;
+
 function toArray(args) {
   return Array.prototype.slice.call(args);
 }
@@ -258,9 +380,260 @@ util.copySchemaDefinition = (schema, options) => {
     result.properties.id = { type: 'string', format: 'uuid' };
   }
 
+  // inject the field storing when a document was soft deleted
+  let softDeleteField = util.softDeleteField(options);
+  if ((softDeleteField !== undefined) &&
+      (!!result && !!result.properties && !result.properties.hasOwnProperty(softDeleteField))) {
+    result.properties[softDeleteField] = { $ref: 'date' };
+  }
+
+  // inject the version
+  let versionField = util.versionField(options);
+  if ((versionField !== undefined) &&
+      (!!result && !!result.properties && !result.properties.hasOwnProperty(versionField))) {
+    result.properties[versionField] = { type: 'integer', minimum: 0 };
+  }
+
+  // inject the timestamps
+  let timestampFields = util.timestampFields(options);
+  if ((timestampFields !== undefined) && !!result && !!result.properties) {
+    util.loopKeys(timestampFields, (fields, key) => {
+      if (!result.properties.hasOwnProperty(fields[key])) {
+        result.properties[fields[key]] = { $ref: 'date' };
+      }
+    });
+  }
+
   return result;
 };
 
+/**
+ * Return a copy of a schema extended by another one: the properties of both,
+ * the required fields of both, and the other keywords of the extending schema.
+ * @param {Object} base The schema extended
+ * @param {Object} schema The extending schema
+ * @return {Object}
+ */
+util.extendSchema = (base, schema) => {
+  let result = JSON.parse(JSON.stringify(base));
+  let extension = JSON.parse(JSON.stringify(schema || {}));
+  loopKeys(extension, (_extension, key) => {
+    if ((key === 'properties') && isPlainObject(result.properties)) {
+      loopKeys(extension.properties, (properties, property) => {
+        result.properties[property] = properties[property];
+      });
+    } else if ((key === 'required') && Array.isArray(result.required)) {
+      extension.required.forEach(field => {
+        if (result.required.indexOf(field) === -1) result.required.push(field);
+      });
+    } else {
+      result[key] = extension[key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Return the schema of a nested field given the schema of a document, or
+ * undefined if the field is not declared in its `properties`.
+ * @param {Object} schema The schema of the document
+ * @param {Array} keys The path of the field, e.g. [ 'address', 'city' ]
+ * @param {boolean=} open Whether the fields nested in an object whose
+ * properties are not declared (e.g. `{}` or `anyOf`) are accepted, with an
+ * empty schema. The `additionalProperties` of an object are used as well.
+ * @return {Object=}
+ */
+util.fieldSchema = (schema, keys, open) => {
+  for (let i = 0, ii = keys.length; i < ii; ++i) {
+    if (!isPlainObject(schema)) return undefined;
+    if (isPlainObject(schema.properties) && isPlainObject(schema.properties[keys[i]])) {
+      schema = schema.properties[keys[i]];
+    } else if (!open) {
+      return undefined;
+    } else if (isPlainObject(schema.properties)) {
+      schema = isPlainObject(schema.additionalProperties) ? schema.additionalProperties : undefined;
+    } else {
+      let types = (schema.type !== undefined) ? [].concat(schema.type) : [ 'object' ];
+      return (types.indexOf('object') !== -1) ? {} : undefined;
+    }
+  }
+  return isPlainObject(schema) ? schema : undefined;
+};
+
+/**
+ * Return whether the value of a field in a `filter` object is an object of
+ * operators, e.g. `{ $gte: 18, $lt: 65 }`.
+ * @param {*} value
+ * @return {boolean}
+ */
+util.isOperators = value => {
+  return isPlainObject(value) && (Object.keys(value).length > 0) && Object.keys(value).every(key => key[0] === '$');
+};
+
+/**
+ * Return whether a `filter` object uses operators, at any level.
+ * @param {*} filter
+ * @return {boolean}
+ */
+util.hasOperators = filter => {
+  return isPlainObject(filter) && Object.keys(filter).some(key => {
+    return (key[0] === '$') || util.isOperators(filter[key]) || util.hasOperators(filter[key]);
+  });
+};
+
+/**
+ * Return the field storing when a document was soft deleted given the options
+ * of a model, or undefined if the model does not soft delete its documents.
+ * @param {Object} options The options of the model, where `softDelete` is
+ * either `true` (the field is `deletedAt`) or the name of the field.
+ * @return {string=}
+ */
+util.softDeleteField = options => {
+  if (typeof options.softDelete === 'string') return options.softDelete;
+  if (options.softDelete === true) return 'deletedAt';
+  return undefined;
+};
+
+/**
+ * Return the field storing the version of a document given the options of a
+ * model, or undefined if the documents are not versioned.
+ * @param {Object} options The options of the model, where `versionKey` is
+ * either `true` (the field is `__v`) or the name of the field.
+ * @return {string=}
+ */
+util.versionField = options => {
+  if (typeof options.versionKey === 'string') return options.versionKey;
+  if (options.versionKey === true) return '__v';
+  return undefined;
+};
+
+/**
+ * Return the fields storing when a document was created and last updated given
+ * the options of a model, or undefined if the model has no timestamps.
+ * @param {Object} options The options of the model, where `timestamps` is
+ * either `true` or an object mapping `createdAt`/`updatedAt` to the name of
+ * the field, or to `false` to disable it.
+ * @return {Object=} An object with the fields `createdAt` and/or `updatedAt`
+ */
+util.timestampFields = options => {
+  if (!options.timestamps) return undefined;
+
+  let timestamps = isPlainObject(options.timestamps) ? options.timestamps : {};
+  let fields = {};
+  [ 'createdAt', 'updatedAt' ].forEach(key => {
+    if (timestamps[key] === false) return;
+    fields[key] = (typeof timestamps[key] === 'string') ? timestamps[key] : key;
+  });
+  return fields;
+};
+
+/**
+ * Return what happens to the joined documents when a document is deleted,
+ * given the options of a relation, or undefined if nothing is declared.
+ * @param {Object} options The options of the relation, where `onDelete` is
+ * `cascade` (delete them), `setNull` (remove their key) or `restrict` (refuse
+ * to delete the document while they exist).
+ * @return {string=}
+ */
+util.onDeletePolicy = options => {
+  if (options.onDelete === undefined) return undefined;
+  if ([ 'cascade', 'setNull', 'restrict' ].indexOf(options.onDelete) === -1) {
+    throw new Errors.ThinkAgainError('The option `onDelete` must be `cascade`, `setNull` or `restrict`.');
+  }
+  return options.onDelete;
+};
+
+/**
+ * Return the indexes declared in the options of a model.
+ * @param {Object} options The options of the model, where `indexes` is an
+ * array of index names (an index on the field of the same name) or of objects
+ * with the fields:
+ * - name: the name of the index
+ * - fields: the field, or array of fields for a compound index (defaults to
+ *   the name of the index)
+ * - fn: a function computing the value indexed, instead of `fields`
+ * - multi, geo: the options of `indexCreate`
+ * @return {Array} The indexes as objects with the fields `name`, `fields`
+ * (undefined if the index uses `fn`), `fn`, `multi` and `geo`
+ */
+util.indexDefinitions = options => {
+  if (options.indexes === undefined) return [];
+  if (!Array.isArray(options.indexes)) {
+    throw new Errors.ThinkAgainError('The option `indexes` must be an array.');
+  }
+
+  return options.indexes.map(index => {
+    if (typeof index === 'string') index = { name: index };
+    if (!isPlainObject(index) || typeof index.name !== 'string') {
+      throw new Errors.ThinkAgainError('An index must be a string or an object with a `name`.');
+    }
+
+    let fields;
+    if (index.fn === undefined) {
+      fields = (index.fields === undefined) ? [ index.name ] : [].concat(index.fields);
+      if (!fields.length || fields.some(field => typeof field !== 'string')) {
+        throw new Errors.ThinkAgainError('The fields of the index `' + index.name + '` must be strings.');
+      }
+    } else if (typeof index.fn !== 'function') {
+      throw new Errors.ThinkAgainError('The `fn` of the index `' + index.name + '` must be a function.');
+    }
+
+    return {
+      name: index.name,
+      fields: fields,
+      fn: index.fn,
+      multi: index.multi === true,
+      geo: index.geo === true
+    };
+  });
+};
+
+/**
+ * Return the function of an index returned by `util.indexDefinitions`: its
+ * `fn`, or a function returning its field, or the array of its fields for a
+ * compound index.
+ * @param {Object} index
+ * @return {Function}
+ */
+util.indexFunction = index => {
+  if (index.fn !== undefined) return index.fn;
+
+  let fields = index.fields;
+  return (fields.length > 1) ? doc => fields.map(field => doc(field)) : doc => doc(fields[0]);
+};
+
+/**
+ * Return the ReQL function of an index returned by `util.indexDefinitions`,
+ * with its variables numbered from 1. The driver numbers the variables with a
+ * global counter, and the server keeps them, so that the same index would
+ * otherwise have a different definition each time it is created.
+ * @param {Object} r The driver
+ * @param {Object} index
+ * @return {Term}
+ */
+util.indexTerm = (r, index) => {
+  let nextVarId = r.nextVarId;
+  r.nextVarId = 1;
+  try {
+    return r.expr(util.indexFunction(index));
+  } finally {
+    r.nextVarId = nextVarId;
+  }
+};
+
+/**
+ * Return the options of `indexCreate` for an index returned by
+ * `util.indexDefinitions`.
+ * @param {Object} index
+ * @return {Object}
+ */
+util.indexOptions = index => {
+  let options = {};
+  if (index.multi) options.multi = true;
+  if (index.geo) options.geo = true;
+  return options;
+};
+
 util.injectTermSupport = schema => {
   if (schema.type === 'object') {
     if (!schema.hasOwnProperty('properties')) {
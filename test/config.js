@@ -3,6 +3,8 @@ module.exports = {
   host: 'localhost',
   port: 28015,
   db: 'thinkagain_test',
-  authKey: ''
+  authKey: '',
+  // Run the tests with the in-memory driver instead of a RethinkDB server
+  memory: !!process.env.THINKAGAIN_MEMORY
 };
 
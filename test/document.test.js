@@ -1,5 +1,6 @@
 'use strict';
-const TestFixture = require('./test-fixture'),
+const Promise = require('bluebird'),
+      TestFixture = require('./test-fixture'),
       Errors = require('../lib/errors'),
       util = require('./util'),
       assert = require('assert'),
@@ -1494,6 +1495,151 @@ describe('documents', function() {
       });
     });
 
+    describe('saveAll atomic', function() {
+      afterEach(() => test.cleanTables());
+      after(() => { delete test.Model; delete test.OtherModel; });
+      before(() => {
+        test.Model = test.thinkagain.createModel(test.table(0), {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            str: { type: 'string' },
+            num: { type: 'number' },
+            foreignKey: { type: 'string' }
+          }
+        });
+
+        test.OtherModel = test.thinkagain.createModel(test.table(1), {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            str: { type: 'string' },
+            foreignKey: { type: 'string' }
+          }
+        });
+
+        test.Model.hasMany(test.OtherModel, 'otherDocs', 'id', 'foreignKey');
+        test.Model.belongsTo(test.OtherModel, 'parent', 'foreignKey', 'id');
+      });
+
+      it('should revert the writes if a joined document fails to save', function() {
+        let doc = new test.Model({ str: util.s8(), num: util.random() });
+        let otherId = util.s8();
+        doc.otherDocs = [ new test.OtherModel({ id: otherId, str: util.s8() }) ];
+
+        return test.OtherModel.save({ id: otherId, str: 'original' })
+          .then(() => doc.saveAll({ otherDocs: true }, { atomic: true }))
+          .then(() => assert.fail('should have failed'), error => {
+            assert(error instanceof Errors.TransactionError);
+            assert(error.parent instanceof Errors.DuplicatePrimaryKey);
+            assert.equal(error.message, 'The save failed, and the changes were reverted.');
+            assert.equal(error.reverted.length, 1);
+            assert.equal(error.reverted[0].table, test.table(0));
+            assert.equal(error.reverted[0].primaryKey, error.reverted[0].newValue.id);
+            assert.equal(error.reverted[0].oldValue, null);
+            assert.equal(doc.isSaved(), false);
+            return test.Model.get(error.reverted[0].primaryKey).run();
+          })
+          .then(() => assert.fail('should have been deleted'), error => assert(error instanceof Errors.DocumentNotFound))
+          .then(() => test.OtherModel.get(otherId).run())
+          .then(result => assert.equal(result.str, 'original'));
+      });
+
+      it('should revert the belongsTo documents if the document fails validation', function() {
+        let doc = new test.Model({ str: util.s8(), num: 'notANumber' });
+        doc.parent = new test.OtherModel({ str: util.s8() });
+
+        return doc.saveAll({ parent: true }, { atomic: true })
+          .then(() => assert.fail('should have failed'), error => {
+            assert(error instanceof Errors.TransactionError);
+            assert(error.parent instanceof Errors.ValidationError);
+            assert.equal(error.reverted.length, 1);
+            assert.equal(error.reverted[0].table, test.table(1));
+            assert.equal(doc.parent.isSaved(), false);
+            return test.OtherModel.get(error.reverted[0].primaryKey).run();
+          })
+          .then(() => assert.fail('should have been deleted'), error => assert(error instanceof Errors.DocumentNotFound));
+      });
+
+      it('should restore the old values of updated documents', function() {
+        let doc = new test.Model({ str: 'foo', num: 1 });
+        let otherId = util.s8();
+        return doc.save()
+          .then(() => {
+            doc.str = 'bar';
+            doc.otherDocs = [ new test.OtherModel({ str: util.s8() }), new test.OtherModel({ id: otherId }) ];
+            return test.OtherModel.save({ id: otherId });
+          })
+          .then(() => doc.saveAll({ otherDocs: true }, { atomic: true }))
+          .then(() => assert.fail('should have failed'), error => {
+            assert(error instanceof Errors.TransactionError);
+            return test.Model.get(doc.id).run();
+          })
+          .then(result => {
+            assert.equal(result.str, 'foo');
+            return test.OtherModel.getAll(doc.id, { index: 'foreignKey' }).run();
+          })
+          .then(result => {
+            assert.equal(result.length, 0);
+            // The document is written again in full once its write was reverted
+            return doc.save();
+          })
+          .then(() => test.Model.get(doc.id).run())
+          .then(result => assert.equal(result.str, 'bar'));
+      });
+
+      it('should not revert the documents modified since they were written', function() {
+        let r = test.r;
+        let Parent = test.thinkagain.createModel(test.table(2), {
+          type: 'object',
+          properties: { id: { type: 'string' }, str: { type: 'string' } }
+        });
+        let Child = test.thinkagain.createModel(test.table(3), {
+          type: 'object',
+          properties: { id: { type: 'string' }, parentId: { type: 'string' } }
+        });
+        Parent.hasMany(Child, 'children', 'id', 'parentId');
+
+        let doc = new Parent({ str: 'foo' });
+        let childId = util.s8();
+        doc.children = [ new Child({ id: childId }) ];
+        Child.pre('save', function(next) {
+          Parent.get(doc.id).update({ str: 'bar' }).run().then(() => next(), next);
+        });
+
+        return Child.ready()
+          .then(() => r.table(test.table(3)).insert({ id: childId }).run())
+          .then(() => doc.saveAll({ children: true }, { atomic: true }))
+          .then(() => assert.fail('should have failed'), error => {
+            assert(error instanceof Errors.TransactionError);
+            assert.equal(error.message, 'The save failed, and the changes were reverted except for the documents modified since they were written.');
+            assert.equal(error.reverted.length, 0);
+            assert.equal(error.conflicts.length, 1);
+            assert.equal(error.conflicts[0].table, test.table(2));
+            assert.equal(error.conflicts[0].primaryKey, doc.id);
+            return Parent.get(doc.id).run();
+          })
+          .then(result => assert.equal(result.str, 'bar'));
+      });
+
+      it('should keep the writes without the atomic option', function(done) {
+        let doc = new test.Model({ str: util.s8(), num: util.random() });
+        let otherId = util.s8();
+        doc.otherDocs = [ new test.OtherModel({ id: otherId }) ];
+
+        test.OtherModel.save({ id: otherId })
+          .then(() => doc.saveAll({ otherDocs: true }, error => {
+            assert(error instanceof Errors.DuplicatePrimaryKey);
+            test.Model.get(doc.id).run()
+              .then(result => {
+                assert.equal(result.id, doc.id);
+                done();
+              })
+              .catch(done);
+          }));
+      });
+    });
+
     describe('validate', function() {
       afterEach(() => test.cleanTables());
 
@@ -2758,6 +2904,191 @@ describe('documents', function() {
     });
   });
 
+  describe('onDelete', function() {
+    let Author, Post, Comment, Tag;
+    beforeEach(function() {
+      let schema = () => ({
+        type: 'object',
+        properties: { id: { type: 'string' }, authorId: { type: 'string' }, postId: { type: 'string' } }
+      });
+      Author = test.thinkagain.createModel(test.table(), schema());
+      Post = test.thinkagain.createModel(test.table(), schema());
+      Comment = test.thinkagain.createModel(test.table(), schema());
+      Tag = test.thinkagain.createModel(test.table(), schema());
+      return Promise.all([ Author.ready(), Post.ready(), Comment.ready(), Tag.ready() ]);
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should delete the joined documents in the database with `cascade`', function() {
+      Author.hasMany(Post, 'posts', 'id', 'authorId', { onDelete: 'cascade' });
+      Comment.belongsTo(Post, 'post', 'postId', 'id', { onDelete: 'cascade' });
+      let deleted = [];
+      Comment.post('delete', function() { deleted.push(this.id); });
+
+      let author = new Author({ id: '1' });
+      return Promise.all([ Author.ready(), Comment.ready() ])
+        .then(() => Promise.all([
+          author.save(),
+          Post.save([ { id: 'a', authorId: '1' }, { id: 'b', authorId: '1' }, { id: 'c', authorId: '2' } ]),
+          Comment.save([ { id: 'x', postId: 'a' }, { id: 'y', postId: 'c' } ])
+        ]))
+        .then(() => author.delete())
+        .then(() => Promise.all([ Post.orderBy('id').execute(), Comment.orderBy('id').execute() ]))
+        .spread((posts, comments) => {
+          assert.deepEqual(posts.map(post => post.id), [ 'c' ]);
+          assert.deepEqual(comments.map(comment => comment.id), [ 'y' ]);
+          assert.deepEqual(deleted, [ 'x' ]);
+        });
+    });
+
+    it('should remove the keys of the joined documents with `setNull`', function() {
+      Author.hasOne(Post, 'post', 'id', 'authorId', { onDelete: 'setNull' });
+      Author.hasAndBelongsToMany(Tag, 'tags', 'id', 'id', { onDelete: 'setNull' });
+
+      let author = new Author({ id: '1', post: { id: 'a' }, tags: [ { id: 't' } ] });
+      return Promise.all([ Author.ready(), Tag.ready() ])
+        .then(() => author.saveAll())
+        .then(() => Author.get('1').run())
+        .then(saved => saved.delete())
+        .then(() => Promise.all([
+          Post.get('a').execute(),
+          Tag.count().execute(),
+          test.r.table(Author._getModel()._joins.tags.link).count().run()
+        ]))
+        .spread((post, tags, links) => {
+          assert.deepEqual(post, { id: 'a' });
+          assert.equal(tags, 1);
+          assert.equal(links, 0);
+        });
+    });
+
+    it('should not delete a document with joined documents with `restrict`', function() {
+      Comment.belongsTo(Post, 'post', 'postId', 'id', { onDelete: 'restrict' });
+      let post = new Post({ id: 'a' });
+      return Comment.ready()
+        .then(() => Promise.all([ post.save(), Comment.save([ { id: 'x', postId: 'a' }, { id: 'y', postId: 'b' } ]) ]))
+        .then(() => post.delete())
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.RestrictedDelete);
+          assert.deepEqual(error.children, [ { field: 'post', table: Comment.getTableName(), primaryKey: 'x' } ]);
+          return post.purge();
+        })
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.RestrictedDelete);
+          return Promise.all([ Post.count().execute(), Comment.get('x').execute() ]);
+        })
+        .spread((posts, comment) => {
+          assert.equal(posts, 1);
+          assert.equal(comment.postId, 'a');
+          return Comment.get('x').delete().execute();
+        })
+        .then(() => post.delete())
+        .then(() => Post.count().execute())
+        .then(count => assert.equal(count, 0));
+    });
+
+    it('should only accept the known policies', function() {
+      expect(() => Author.hasMany(Post, 'posts', 'id', 'authorId', { onDelete: 'ignore' }))
+        .to.throw(Errors.ThinkAgainError, 'The option `onDelete` must be `cascade`, `setNull` or `restrict`.');
+    });
+  });
+
+  describe('load', function() {
+    let Author, Post, Tag;
+    beforeEach(function() {
+      let schema = () => ({
+        type: 'object',
+        properties: { id: { type: 'string' }, authorId: { type: 'string' }, rank: { type: 'integer' } }
+      });
+      Author = test.thinkagain.createModel(test.table(), schema());
+      Post = test.thinkagain.createModel(test.table(), schema());
+      Tag = test.thinkagain.createModel(test.table(), schema());
+      Author.hasMany(Post, 'posts', 'id', 'authorId');
+      Post.belongsTo(Author, 'author', 'authorId', 'id');
+      Post.hasAndBelongsToMany(Tag, 'tags', 'id', 'id');
+
+      let post = new Post({ id: 'a', rank: 1, author: { id: '1' }, tags: [ { id: 't' }, { id: 'u' } ] });
+      return Promise.all([ Author.ready(), Post.ready(), Tag.ready() ])
+        .then(() => post.saveAll())
+        .then(() => Post.save([ { id: 'b', rank: 2, authorId: '1' }, { id: 'c', rank: 3, authorId: '2' } ]));
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should return a query of the joined documents', function() {
+      return Author.get('1').run()
+        .then(author => author.related('posts').filter(post => post('rank').gt(1)).run())
+        .then(posts => {
+          assert.deepEqual(posts.map(post => post.id), [ 'b' ]);
+          assert.strictEqual(posts[0].getModel(), Post);
+          return Post.get('a').run();
+        })
+        .then(post => post.related('tags').orderBy('id').run())
+        .then(tags => assert.deepEqual(tags.map(tag => tag.id), [ 't', 'u' ]));
+    });
+
+    it('should keep the joined documents for saveAll', function() {
+      let author;
+      return Author.get('1').run()
+        .then(result => {
+          author = result;
+          return author.load('posts');
+        })
+        .then(posts => {
+          assert.strictEqual(author.posts, posts);
+          assert.deepEqual(posts.map(post => post.id).sort(), [ 'a', 'b' ]);
+          author.posts = posts.filter(post => post.id === 'a');
+          return author.saveAll({ posts: true });
+        })
+        .then(() => Post.get('b').execute())
+        .then(post => assert.equal(post.authorId, undefined));
+    });
+
+    it('should register the document in the joined documents for delete', function() {
+      let post;
+      return Post.get('a').run()
+        .then(result => {
+          post = result;
+          return post.load('author');
+        })
+        .then(author => {
+          assert.strictEqual(post.author, author);
+          assert.equal(author.id, '1');
+          return author.delete();
+        })
+        .then(() => {
+          assert.equal(post.author, undefined);
+          assert.equal(post.authorId, undefined);
+          return Post.get('a').execute();
+        })
+        .then(raw => assert.equal(raw.authorId, undefined));
+    });
+
+    it('should not accept a field without relation', function() {
+      return Post.get('a').run()
+        .then(post => {
+          expect(() => post.related('rank'))
+            .to.throw(Errors.ThinkAgainError, 'The field `rank` is not a relation of the model `' + Post.getTableName() + '`.');
+          let loaded;
+          expect(() => { loaded = post.load('rank'); }).to.not.throw();
+          return expect(loaded)
+            .to.be.rejectedWith(Errors.ThinkAgainError, 'The field `rank` is not a relation of the model `' + Post.getTableName() + '`.');
+        });
+    });
+
+    it('should pass the error of a field without relation to the callback', function(done) {
+      Post.get('a').run()
+        .then(post => {
+          post.load('rank', error => {
+            assert(error instanceof Errors.ThinkAgainError);
+            assert.equal(post.rank, 1);
+            done();
+          });
+        });
+    });
+  });
+
 /**** ISSUES
   describe('date', function() {
     afterEach(() => test.cleanTables());
@@ -2917,6 +3248,108 @@ describe('documents', function() {
     });
   });
 
+  describe('modified', function() {
+    let Model;
+    beforeEach(function() {
+      Model = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          str: { type: 'string' },
+          num: { type: 'number' },
+          nested: {
+            type: 'object',
+            properties: { foo: { type: 'string' }, bar: { type: 'string' } }
+          },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      });
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should track the modified paths', function() {
+      return Model.save({ id: '1', str: 'foo', num: 1, nested: { foo: 'foo', bar: 'bar' }, tags: [ 'a' ] })
+        .then(() => Model.get('1').run())
+        .then(doc => {
+          assert.equal(doc.isModified(), false);
+          assert.deepEqual(doc.modifiedPaths(), []);
+
+          doc.str = 'bar';
+          doc.nested.foo = 'buzz';
+          doc.tags.push('b');
+          delete doc.num;
+
+          assert.deepEqual(doc.modifiedPaths().sort(), [ 'nested.foo', 'num', 'str', 'tags' ]);
+          assert.equal(doc.isModified('nested'), true);
+          assert.equal(doc.isModified('nested.foo'), true);
+          assert.equal(doc.isModified('nested.bar'), false);
+          assert.equal(doc.isModified('tags.0'), true);
+          assert.deepEqual(doc.changes(), {
+            str: { oldValue: 'foo', newValue: 'bar' },
+            num: { oldValue: 1, newValue: undefined },
+            'nested.foo': { oldValue: 'foo', newValue: 'buzz' },
+            tags: { oldValue: [ 'a' ], newValue: [ 'a', 'b' ] }
+          });
+
+          return doc.save();
+        })
+        .then(doc => {
+          assert.equal(doc.isModified(), false);
+          return Model.get('1').execute();
+        })
+        .then(result => {
+          assert.deepEqual(result, { id: '1', str: 'bar', nested: { foo: 'buzz', bar: 'bar' }, tags: [ 'a', 'b' ] });
+        });
+    });
+
+    it('should consider all the fields of a new document modified', function() {
+      let doc = new Model({ str: 'foo', nested: { foo: 'bar' } });
+      assert.equal(doc.isModified('str'), true);
+      assert.equal(doc.isModified('nested.foo'), true);
+      assert.deepEqual(doc.modifiedPaths().sort(), [ 'nested', 'str' ]);
+    });
+
+    it('should only write the modified fields', function() {
+      let doc;
+      return Model.save({ id: '1', str: 'foo', num: 1, nested: { foo: 'foo', bar: 'bar' } })
+        .then(() => Model.get('1').run())
+        .then(_doc => {
+          doc = _doc;
+          return Model.get('1').update({ num: 2, nested: { bar: 'buzz' } }).run();
+        })
+        .then(() => {
+          doc.str = 'bar';
+          doc.nested.foo = 'bar';
+          return doc.save();
+        })
+        .then(() => {
+          assert.deepEqual(doc, { id: '1', str: 'bar', num: 2, nested: { foo: 'bar', bar: 'buzz' } });
+          return Model.get('1').execute();
+        })
+        .then(result => assert.deepEqual(result, { id: '1', str: 'bar', num: 2, nested: { foo: 'bar', bar: 'buzz' } }));
+    });
+
+    it('should write a document deleted from the database again', function() {
+      let doc;
+      return Model.save({ id: '1', str: 'foo', num: 1 })
+        .then(() => Model.get('1').run())
+        .then(_doc => {
+          doc = _doc;
+          return test.r.table(Model.getTableName()).get('1').delete().run();
+        })
+        .then(() => {
+          doc.str = 'bar';
+          return doc.save();
+        })
+        .then(() => {
+          assert.equal(doc.isSaved(), true);
+          return Model.get('1').execute();
+        })
+        .then(result => assert.deepEqual(result, { id: '1', str: 'bar', num: 1 }));
+    });
+  });
+
   describe('hooks', function() {
     afterEach(() => test.cleanTables());
 
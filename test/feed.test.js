@@ -1,5 +1,6 @@
 'use strict';
-const TestFixture = require('./test-fixture'),
+const Promise = require('bluebird'),
+      TestFixture = require('./test-fixture'),
       Document = require('../lib/document'),
       assert = require('assert'),
       expect = require('chai').expect;
@@ -151,6 +152,210 @@ describe('feed', function() {
         });
     });
 
+    it('should implement the async iterator', function() {
+      if (typeof Symbol.asyncIterator !== 'symbol') this.skip();
+      let iterator;
+      return test.Model.changes().run()
+        .then(feed => {
+          iterator = feed[Symbol.asyncIterator]();
+          return test.Model.save({ str: 'iterator' });
+        })
+        .then(() => iterator.next())
+        .then(result => {
+          assert.equal(result.done, false);
+          assert(result.value instanceof Document);
+          assert.equal(result.value.str, 'iterator');
+          return iterator.return();
+        })
+        .then(result => assert.equal(result.done, true));
+    });
+
+    it('should reopen a resilient feed after a connection error', function() {
+      let r = test.r;
+      let Model = test.thinkagain.createModel(test.table(2), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      });
+
+      let feed;
+      return Model.save([ { id: 'a', num: 1 }, { id: 'b', num: 1 } ])
+        .then(() => Model.changes({ resilient: { retryDelay: 10 } }).run())
+        .then(result => {
+          feed = result;
+          return Model.get('a').update({ num: 2 }).run();
+        })
+        .then(() => feed.next())
+        .then(doc => {
+          assert.deepEqual(doc, { id: 'a', num: 2 });
+
+          // The connection drops, and the writes in the meantime are missed.
+          let dropped = feed.feed;
+          return dropped.close()
+            .then(() => {
+              dropped.next = () => Promise.reject(new r.Error.ReqlDriverError('The connection was closed by the other party'));
+              return Model.get('a').update({ num: 3 }).run();
+            })
+            .then(() => Model.save({ id: 'c', num: 1 }));
+        })
+        .then(() => Promise.all([ feed.next(), feed.next() ]))
+        .then(docs => {
+          docs.sort((a, b) => (a.id < b.id) ? -1 : 1);
+          assert.deepEqual(docs, [ { id: 'a', num: 3 }, { id: 'c', num: 1 } ]);
+          assert.notEqual(feed.feed, null);
+          return Model.get('b').update({ num: 4 }).run();
+        })
+        .then(() => feed.next())
+        .then(doc => {
+          assert.deepEqual(doc, { id: 'b', num: 4 });
+          assert.deepEqual(doc.getOldValue(), { id: 'b', num: 1 });
+          return feed.close();
+        });
+    });
+
+    it('should remove the documents deleted while a resilient feed was reopened', function() {
+      let r = test.r;
+      let Model = test.thinkagain.createModel(test.table(7), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      });
+
+      let feed;
+      return Model.save([ { id: 'a', num: 1 }, { id: 'b', num: 1 }, { id: 'c', num: 1 } ])
+        .then(() => Model.changes({ events: true, resilient: { retryDelay: 10 } }).run())
+        .then(result => {
+          feed = result;
+          return Model.get('a').update({ num: 2 }).run();
+        })
+        .then(() => feed.next())
+        .then(event => {
+          assert.deepEqual([ event.type, event.doc.id ], [ 'change', 'a' ]);
+          let dropped = feed.feed;
+          return dropped.close()
+            .then(() => {
+              dropped.next = () => Promise.reject(new r.Error.ReqlDriverError('The connection was closed by the other party'));
+              return Model.get('b').delete().run();
+            })
+            .then(() => Model.get('c').update({ num: 2 }).run());
+        })
+        .then(() => Promise.all([ feed.next(), feed.next() ]))
+        .then(events => {
+          events.sort((a, b) => (a.doc.id < b.doc.id) ? -1 : 1);
+          assert.deepEqual(events.map(event => [ event.type, event.doc.id ]), [ [ 'remove', 'b' ], [ 'change', 'c' ] ]);
+          assert.deepEqual(events[0].doc, { id: 'b', num: 1 });
+          assert.equal(events[0].doc.isSaved(), false);
+          return Model.get('a').delete().run();
+        })
+        .then(() => feed.next())
+        .then(event => {
+          assert.deepEqual([ event.type, event.doc.id ], [ 'remove', 'a' ]);
+          return feed.close();
+        });
+    });
+
+    it('should return typed events with the `events` option', function() {
+      let Model = test.thinkagain.createModel(test.table(3), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      });
+
+      let feed;
+      return Model.save({ id: 'initial', num: 0 })
+        .then(() => Model.changes({ events: true, includeInitial: true, includeStates: true }).run())
+        .then(result => {
+          feed = result;
+          return feed.next();
+        })
+        .then(event => {
+          assert.deepEqual(event, { type: 'state', state: 'initializing' });
+          return feed.next();
+        })
+        .then(event => {
+          assert.equal(event.type, 'initial');
+          assert.deepEqual(event.doc, { id: 'initial', num: 0 });
+          assert.equal(event.oldDoc, null);
+          return feed.next();
+        })
+        .then(event => {
+          assert.deepEqual(event, { type: 'state', state: 'ready' });
+          return Model.save({ id: 'doc', num: 1 });
+        })
+        .then(() => feed.next())
+        .then(event => {
+          assert.equal(event.type, 'add');
+          assert(event.doc instanceof Document);
+          assert.deepEqual(event.doc, { id: 'doc', num: 1 });
+          assert.equal(event.oldDoc, null);
+          return Model.get('doc').update({ num: 2 }).run();
+        })
+        .then(() => feed.next())
+        .then(event => {
+          assert.equal(event.type, 'change');
+          assert.deepEqual(event.doc, { id: 'doc', num: 2 });
+          assert(event.oldDoc instanceof Document);
+          assert.deepEqual(event.oldDoc, { id: 'doc', num: 1 });
+          return Model.get('doc').delete().run();
+        })
+        .then(() => feed.next())
+        .then(event => {
+          assert.equal(event.type, 'remove');
+          assert.deepEqual(event.doc, { id: 'doc', num: 2 });
+          assert.equal(event.doc.isSaved(), false);
+          return feed.close();
+        });
+    });
+
+    it('should emit the events by type', function(done) {
+      let Model = test.thinkagain.createModel(test.table(4), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      });
+
+      let types = [];
+      Model.changes().run()
+        .then(feed => {
+          feed.on('data', doc => assert(doc instanceof Document));
+          feed.on('add', event => types.push(event.type));
+          feed.on('change', event => {
+            types.push(event.type);
+            // The old documents are only built with the `events` option
+            assert.equal(event.oldDoc, null);
+          });
+          feed.on('remove', event => {
+            types.push(event.type);
+            assert.deepEqual(types, [ 'add', 'change', 'remove' ]);
+            feed.close().then(() => done());
+          });
+
+          return Model.save({ id: 'doc', num: 1 })
+            .then(() => Model.get('doc').update({ num: 2 }).run())
+            .then(() => Model.get('doc').delete().run());
+        })
+        .catch(done);
+    });
+
+    it('should emit the events by type with the old documents', function(done) {
+      let Model = test.thinkagain.createModel(test.table(5), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      });
+
+      Model.changes({ events: true }).run()
+        .then(feed => {
+          feed.on('data', event => assert(event.doc instanceof Document));
+          feed.on('change', event => {
+            assert.equal(event.type, 'change');
+            assert(event.oldDoc instanceof Document);
+            assert.equal(event.oldDoc.num, 1);
+            assert.equal(event.doc.num, 2);
+            feed.close().then(() => done());
+          });
+
+          return Model.save({ id: 'doc', num: 1 })
+            .then(() => Model.get('doc').update({ num: 2 }).run());
+        })
+        .catch(done);
+    });
+
     describe('errors', function() {
       it('should throw an error if `toArray` is called', function() {
         return test.Model.changes().run()
@@ -283,4 +488,88 @@ describe('feed', function() {
         .then(() => test.Model.get(data.id).delete().run());
     });
   });
+
+  describe('Joined feeds', function() {
+    after(() => test.cleanTables());
+    before(function() {
+      test.Author = test.thinkagain.createModel(test.table(5), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      });
+      test.Post = test.thinkagain.createModel(test.table(6), {
+        type: 'object',
+        properties: { id: { type: 'string' }, title: { type: 'string' }, authorId: { type: 'string' } }
+      });
+      test.Author.hasMany(test.Post, 'posts', 'id', 'authorId');
+      test.Post.belongsTo(test.Author, 'author', 'authorId', 'id');
+      return Promise.all([ test.Author.ready(), test.Post.ready() ]);
+    });
+
+    it('should return the documents with their joins', function() {
+      let feed;
+      return test.Author.getJoin({ posts: true }).changes().run()
+        .then(result => {
+          feed = result;
+          return test.Author.save({ id: 'a', name: 'Ann' });
+        })
+        .then(() => feed.next())
+        .then(author => {
+          assert(author instanceof Document);
+          assert.deepEqual(author, { id: 'a', name: 'Ann', posts: [] });
+          return feed.close();
+        });
+    });
+
+    it('should return a document when a joined document is inserted', function() {
+      let feed;
+      return test.Author.save({ id: 'b', name: 'Bob' })
+        .then(() => test.Author.getJoin({ posts: true }).changes().run())
+        .then(result => {
+          feed = result;
+          return test.Post.save([ { id: 'p1', title: 'first', authorId: 'b' }, { id: 'p2', title: 'other', authorId: 'unknown' } ]);
+        })
+        .then(() => feed.next())
+        .then(author => {
+          assert.equal(author.id, 'b');
+          assert.deepEqual(author.posts, [ { id: 'p1', title: 'first', authorId: 'b' } ]);
+          return feed.close();
+        });
+    });
+
+    it('should return the documents a joined document belongs to when it is updated', function() {
+      let feed;
+      return test.Author.save({ id: 'c', name: 'Cid' })
+        .then(() => test.Post.save({ id: 'p3', title: 'post', authorId: 'c' }))
+        .then(() => test.Post.getJoin({ author: true }).changes({ events: true }).run())
+        .then(result => {
+          feed = result;
+          return test.Author.get('c').update({ name: 'Cyd' }).run();
+        })
+        .then(() => feed.next())
+        .then(event => {
+          assert.equal(event.type, 'change');
+          assert.deepEqual(event.doc, { id: 'p3', title: 'post', authorId: 'c', author: { id: 'c', name: 'Cyd' } });
+          return feed.close();
+        });
+    });
+
+    it('should stream the documents with their joins', function(done) {
+      let stream = test.Author.getJoin({ posts: true }).changes().stream();
+      stream.once('data', author => {
+        assert(author instanceof Document);
+        assert.deepEqual(author, { id: 'd', name: 'Dan', posts: [] });
+        stream.on('close', () => done());
+        stream.destroy();
+      });
+      stream.on('error', done);
+
+      // The feed is opened when the stream is read
+      setTimeout(() => test.Author.save({ id: 'd', name: 'Dan' }), 50);
+    });
+
+    it('should not accept the `resilient` option', function() {
+      expect(() => test.Author.getJoin().changes({ resilient: true }))
+        .to.throw(Error, 'The `resilient` option is not available for the feeds of `getJoin` queries.');
+    });
+  });
 });
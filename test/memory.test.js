@@ -0,0 +1,120 @@
+'use strict';
+const thinkagain = require('..'),
+      assert = require('assert'),
+      chai = require('chai'),
+      expect = chai.expect;
+
+chai.use(require('chai-as-promised'));
+
+describe('memory', function() {
+  let r;
+  beforeEach(function() {
+    r = thinkagain.memory({ db: 'memory' });
+    return r.dbCreate('memory').run()
+      .then(() => r.tableCreate('users').run())
+      .then(() => r.table('users').insert([
+        { id: 1, name: 'foo', age: 20, tags: [ 'a', 'b' ] },
+        { id: 2, name: 'bar', age: 30, tags: [ 'b' ] },
+        { id: 3, name: 'buzz', age: 30 }
+      ]).run());
+  });
+
+  it('should return the changes of a write in order', function() {
+    return r.table('users').insert([ { id: 5, name: 'five' }, { id: 4, name: 'four' } ], { returnChanges: true }).run()
+      .then(result => {
+        assert.equal(result.inserted, 2);
+        assert.deepEqual(result.changes.map(change => change.new_val.id), [ 5, 4 ]);
+      });
+  });
+
+  it('should report duplicate primary keys like RethinkDB', function() {
+    return r.table('users').insert({ id: 1 }).run()
+      .then(result => {
+        assert.equal(result.errors, 1);
+        assert(result.first_error.match(/^Duplicate primary key `id`/));
+      });
+  });
+
+  it('should update and replace documents', function() {
+    return r.table('users').get(1).update({ age: r.row('age').add(1) }).run()
+      .then(() => r.table('users').get(2).replace(doc => doc.without('tags')).run())
+      .then(() => r.table('users').getAll(1, 2).orderBy('id').run())
+      .then(docs => {
+        assert.equal(docs[0].age, 21);
+        assert.deepEqual(docs[1], { id: 2, name: 'bar', age: 30 });
+      });
+  });
+
+  it('should use secondary indexes', function() {
+    return r.table('users').indexCreate('tags', { multi: true }).run()
+      .then(() => r.table('users').indexCreate('age').run())
+      .then(() => r.table('users').getAll('b', { index: 'tags' })('id').orderBy(r.asc(doc => doc)).run())
+      .then(ids => assert.deepEqual(ids, [ 1, 2 ]))
+      .then(() => r.table('users').between(25, r.maxval, { index: 'age' })('id').coerceTo('array').run())
+      .then(ids => assert.deepEqual(ids, [ 2, 3 ]))
+      .then(() => r.table('users').orderBy({ index: r.desc('age') }).limit(1)('age').run())
+      .then(ages => assert.deepEqual(ages, [ 30 ]));
+  });
+
+  it('should reject queries on missing indexes and tables', function() {
+    return expect(r.table('users').getAll(1, { index: 'missing' }).run())
+      .to.be.rejectedWith(/^Index `missing` was not found on table `memory.users`/)
+      .then(() => expect(r.table('missing').run()).to.be.rejectedWith(/^Table `memory.missing` does not exist in/));
+  });
+
+  it('should group and aggregate', function() {
+    return r.table('users').group('age').count().run()
+      .then(groups => assert.deepEqual(groups, [ { group: 20, reduction: 1 }, { group: 30, reduction: 2 } ]))
+      .then(() => r.table('users').sum('age').run())
+      .then(sum => assert.equal(sum, 80));
+  });
+
+  it('should merge documents with subqueries', function() {
+    return r.table('users').get(1).merge(user => ({
+      friends: r.table('users').filter(other => other('age').gt(user('age')))('name').coerceTo('array')
+    })).run()
+      .then(user => assert.deepEqual(user.friends, [ 'bar', 'buzz' ]));
+  });
+
+  it('should convert times and binaries', function() {
+    let date = new Date(Date.UTC(2016, 0, 1));
+    return r.table('users').get(1).update({ date: date, data: Buffer.from('foo') }).run()
+      .then(() => r.table('users').get(1).run())
+      .then(user => {
+        assert.equal(user.date.getTime(), date.getTime());
+        assert.equal(user.data.toString(), 'foo');
+      });
+  });
+
+  it('should feed the changes of a table', function() {
+    let feed;
+    return r.table('users').filter(r.row('age').gt(25)).changes({ includeTypes: true }).run()
+      .then(_feed => { feed = _feed; })
+      .then(() => r.table('users').get(1).update({ age: 40 }).run())
+      .then(() => feed.next())
+      .then(change => {
+        assert.equal(change.type, 'add');
+        assert.equal(change.new_val.age, 40);
+        return r.table('users').get(2).delete().run();
+      })
+      .then(() => feed.next())
+      .then(change => {
+        assert.equal(change.type, 'remove');
+        assert.equal(change.old_val.id, 2);
+      })
+      .finally(() => feed.close());
+  });
+
+  it('should feed the initial value of a document', function() {
+    let feed;
+    return r.table('users').get(1).changes({ includeInitial: true }).run()
+      .then(_feed => { feed = _feed; return feed.next(); })
+      .then(change => {
+        assert.equal(change.new_val.name, 'foo');
+        return r.table('users').get(1).update({ name: 'fizz' }).run();
+      })
+      .then(() => feed.next())
+      .then(change => assert.deepEqual([ change.old_val.name, change.new_val.name ], [ 'foo', 'fizz' ]))
+      .finally(() => feed.close());
+  });
+});
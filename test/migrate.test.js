@@ -0,0 +1,188 @@
+'use strict';
+const Promise = require('bluebird'),
+      TestFixture = require('./test-fixture'),
+      Errors = require('../lib/errors'),
+      assert = require('assert'),
+      expect = require('chai').expect;
+
+let test = new TestFixture();
+describe('migrate', function() {
+  before(() => test.setup());
+  after(() => test.teardown());
+
+  let table, migrationsTable;
+  beforeEach(function() {
+    table = test.table();
+    migrationsTable = test.table();
+    return test.r.tableCreate(table).run()
+      .then(() => test.r.table(table).insert([ { id: '1', name: 'foo' }, { id: '2', name: 'bar' } ]).run());
+  });
+
+  afterEach(function() {
+    return Promise.all([
+      test.r.tableDrop(table).run(),
+      test.r.tableDrop(migrationsTable).run()
+    ]);
+  });
+
+  function migrations() {
+    return [
+      {
+        version: 2,
+        up: (r, context) => context.createIndex(table, 'fullName'),
+        down: (r, context) => context.dropIndex(table, 'fullName')
+      },
+      {
+        version: 1,
+        up: (r, context) => context.transform(table, doc => doc.merge({ fullName: doc('name').upcase() }).without('name')),
+        down: (r, context) => context.transform(table, doc => doc.merge({ name: doc('fullName').downcase() }).without('fullName'))
+      }
+    ];
+  }
+
+  it('should apply the migrations in order', function() {
+    return test.thinkagain.migrate(migrations(), { table: migrationsTable })
+      .then(result => {
+        expect(result).to.eql({ applied: [ 1, 2 ], reverted: [] });
+        return test.r.table(table).getAll('FOO', { index: 'fullName' }).run();
+      })
+      .then(docs => expect(docs).to.eql([ { id: '1', fullName: 'FOO' } ]));
+  });
+
+  it('should record the applied versions', function() {
+    return test.thinkagain.migrate(migrations(), { table: migrationsTable })
+      .then(() => test.thinkagain.migrate(migrations(), { table: migrationsTable }))
+      .then(result => {
+        expect(result).to.eql({ applied: [], reverted: [] });
+        return test.r.table(migrationsTable).orderBy('id')('id').run();
+      })
+      .then(versions => expect(versions).to.eql([ 1, 2 ]));
+  });
+
+  it('should revert the migrations down to `to`', function() {
+    return test.thinkagain.migrate(migrations(), { table: migrationsTable })
+      .then(() => test.thinkagain.migrate(migrations(), { table: migrationsTable, to: 0 }))
+      .then(result => {
+        expect(result).to.eql({ applied: [], reverted: [ 2, 1 ] });
+        return Promise.all([
+          test.r.table(table).indexList().run(),
+          test.r.table(table).get('1').run()
+        ]);
+      })
+      .spread((indexes, doc) => {
+        expect(indexes).to.eql([]);
+        expect(doc).to.eql({ id: '1', name: 'foo' });
+      });
+  });
+
+  it('should stop at the first failing migration', function() {
+    let steps = migrations().concat({
+      version: 3,
+      up: () => { throw new Error('boom'); }
+    });
+
+    return test.thinkagain.migrate(steps, { table: migrationsTable })
+      .then(() => assert.fail('Expecting an error'))
+      .catch(Errors.MigrationError, error => {
+        assert.equal(error.version, 3);
+        assert.equal(error.parent.message, 'boom');
+        return test.r.table(migrationsTable).orderBy('id')('id').run();
+      })
+      .then(versions => expect(versions).to.eql([ 1, 2 ]));
+  });
+
+  it('should not run concurrently', function() {
+    let running = 0, overlapped = false;
+    let slow = [
+      {
+        version: 1,
+        up: () => {
+          running++;
+          if (running > 1) overlapped = true;
+          return Promise.delay(200).then(() => { running--; });
+        }
+      }
+    ];
+
+    return Promise.all([
+      test.thinkagain.migrate(slow, { table: migrationsTable }),
+      test.thinkagain.migrate(slow, { table: migrationsTable })
+    ])
+    .then(results => {
+      assert.equal(overlapped, false);
+      expect(results[0].applied.concat(results[1].applied)).to.eql([ 1 ]);
+    });
+  });
+
+  it('should fail if the lock cannot be acquired', function() {
+    let r = test.r;
+    return test.thinkagain.migrate([], { table: migrationsTable })
+      .then(() => r.table(migrationsTable).insert({ id: '$lock', owner: 'other', expiresAt: r.now().add(60) }).run())
+      .then(() => test.thinkagain.migrate(migrations(), { table: migrationsTable, lockTimeout: 0 }))
+      .then(() => assert.fail('Expecting an error'))
+      .catch(error => assert(error instanceof Errors.MigrationLocked));
+  });
+
+  it('should take over a stale lock', function() {
+    let r = test.r;
+    return test.thinkagain.migrate([], { table: migrationsTable })
+      .then(() => r.table(migrationsTable).insert({ id: '$lock', owner: 'other', expiresAt: r.now().sub(60) }).run())
+      .then(() => test.thinkagain.migrate(migrations(), { table: migrationsTable, lockTimeout: 0 }))
+      .then(result => expect(result.applied).to.eql([ 1, 2 ]));
+  });
+
+  it('should renew the lock before each migration', function() {
+    let r = test.r;
+    let expirations = [];
+    let readLock = () => r.table(migrationsTable).get('$lock')('expiresAt').run()
+      .then(expiresAt => { expirations.push(expiresAt); });
+
+    return test.thinkagain.migrate([
+      { version: 1, up: () => readLock().delay(50) },
+      { version: 2, up: () => readLock() }
+    ], { table: migrationsTable })
+      .then(() => assert(expirations[1] > expirations[0]));
+  });
+
+  it('should stop if the lock is taken over', function() {
+    let r = test.r;
+    let steps = [
+      { version: 1, up: () => r.table(migrationsTable).get('$lock').update({ owner: 'other' }).run() },
+      { version: 2, up: () => assert.fail('should not run') }
+    ];
+
+    return test.thinkagain.migrate(steps, { table: migrationsTable })
+      .then(() => assert.fail('Expecting an error'))
+      .catch(error => {
+        assert(error instanceof Errors.MigrationLocked);
+        return r.table(migrationsTable).filter(doc => doc('id').ne('$lock'))('id').coerceTo('ARRAY').run();
+      })
+      .then(versions => expect(versions).to.eql([ 1 ]));
+  });
+
+  it('should reject versions of different types', function() {
+    return test.thinkagain.migrate([], { table: migrationsTable })
+      .then(() => test.thinkagain.migrate([ { version: 1, up: () => {} }, { version: '2', up: () => {} } ], { table: migrationsTable }))
+      .then(() => assert.fail('Expecting an error'))
+      .catch(error => {
+        assert(error instanceof Errors.ThinkAgainError);
+        assert.equal(error.message, 'The versions of the migrations must be all numbers or all strings.');
+        return test.thinkagain.migrate(migrations(), { table: migrationsTable, to: '1' });
+      })
+      .then(() => assert.fail('Expecting an error'))
+      .catch(error => {
+        assert(error instanceof Errors.ThinkAgainError);
+        assert.equal(error.message, 'The option `to` must be of the type of the versions of the migrations.');
+      });
+  });
+
+  it('should reject migrations without an `up` function', function() {
+    return test.thinkagain.migrate([], { table: migrationsTable })
+      .then(() => test.thinkagain.migrate([ { version: 1 } ], { table: migrationsTable }))
+      .then(() => assert.fail('Expecting an error'))
+      .catch(error => {
+        assert(error instanceof Errors.ThinkAgainError);
+        assert.equal(error.message, 'The migration `1` does not define an `up` function.');
+      });
+  });
+});
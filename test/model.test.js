@@ -1,5 +1,6 @@
 'use strict';
-const Errors = require('../lib/errors'),
+const Promise = require('bluebird'),
+      Errors = require('../lib/errors'),
       TestFixture = require('./test-fixture'),
       assert = require('assert'),
       expect = require('chai').expect,
@@ -782,46 +783,251 @@ describe('models', () => {
     });
   });
 
-  /*** ISSUES
-  describe('virtual', function() {
+  describe('indexes', function() {
     afterEach(() => test.cleanTables());
 
-    it('pass schema validation', function() {
-      test.thinkagain.createModel(test.table(0), {
-        id: { type: 'string' },
-        num: Number,
-        numVirtual: {
-          _type: 'virtual'
+    it('should create the declared indexes', function() {
+      let Model = test.thinkagain.createModel(test.table(0), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          first: { type: 'string' },
+          last: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          location: { $ref: 'point' }
         }
+      }, {
+        indexes: [
+          'first',
+          { name: 'fullName', fields: [ 'first', 'last' ] },
+          { name: 'tags', multi: true },
+          { name: 'location', geo: true },
+          { name: 'lastLength', fn: doc => doc('last').count() }
+        ]
       });
+
+      let r = test.r;
+      let doc = new Model({ first: 'John', last: 'Doe', tags: [ 'a', 'b' ], location: [ 1, 2 ] });
+      return Model.ready()
+        .then(() => r.table(Model.getTableName()).indexList().run())
+        .then(indexes => expect(indexes).to.include.members([ 'first', 'fullName', 'tags', 'location', 'lastLength' ]))
+        .then(() => doc.save())
+        .then(() => Model.getAll([ 'John', 'Doe' ], { index: 'fullName' }).run())
+        .then(result => {
+          assert.equal(result.length, 1);
+          return Model.getAll('b', { index: 'tags' }).run();
+        })
+        .then(result => {
+          assert.equal(result.length, 1);
+          return Model.getIntersecting(r.circle([ 1, 2 ], 1), { index: 'location' }).run();
+        })
+        .then(result => {
+          assert.equal(result.length, 1);
+          return Model.getAll(3, { index: 'lastLength' }).run();
+        })
+        .then(result => assert.equal(result.length, 1));
     });
 
-    it('Generate fields', function() {
+    it('should use a compound index in filter when all of its fields are given', function() {
       let Model = test.thinkagain.createModel(test.table(0), {
-        id: { type: 'string' },
-        num: Number,
-        numVirtual: {
-          _type: 'virtual',
-          default: function() {
-            return this.num + 2;
-          }
-        }
+        type: 'object',
+        properties: { id: { type: 'string' }, first: { type: 'string' }, last: { type: 'string' } }
+      }, {
+        indexes: [ 'first', { name: 'fullName', fields: [ 'first', 'last' ] } ]
+      });
+
+      return Model.ready()
+        .then(() => {
+          let query = Model.filter({ first: 'John', last: 'Doe', age: 30 }).toString();
+          assert.equal(query.replace(/\s/g, ''), 'r.table("' + Model.getTableName() +
+            '").getAll(["John","Doe"],{index:"fullName"}).filter({age:30})');
+
+          query = Model.filter({ first: 'John' }).toString();
+          assert(query.match(/index: "first"/));
+          return new Model({ first: 'John', last: 'Doe' }).save();
+        })
+        .then(() => Model.filter({ first: 'John', last: 'Doe' }).run())
+        .then(result => assert.equal(result.length, 1));
+    });
+
+    it('should not use multi, geo or function indexes in filter', function() {
+      let Model = test.thinkagain.createModel(test.table(0), {
+        type: 'object',
+        properties: { id: { type: 'string' }, tags: { type: 'string' }, size: { type: 'number' } }
+      }, {
+        indexes: [ { name: 'tags', multi: true }, { name: 'size', fn: doc => doc('size').mul(2) } ]
+      });
+
+      return Model.ready()
+        .then(() => {
+          let query = Model.filter({ tags: 'a', size: 1 }).toString();
+          assert.equal(query.match(/index/), null);
+        });
+    });
+
+    it('should not use a renamed index on a field as this field', function() {
+      let Model = test.thinkagain.createModel(test.table(0), {
+        type: 'object',
+        properties: { id: { type: 'string' }, email: { type: 'string' } }
+      }, {
+        indexes: [ { name: 'byEmail', fields: [ 'email' ] } ]
+      });
+
+      return Model.ready()
+        .then(() => {
+          assert.equal(Model.filter({ byEmail: 'a@b.c' }).toString().match(/index/), null);
+          assert.equal(Model.orderBy('byEmail').toString().match(/index/), null);
+          return Model.save([ { id: '1', email: 'b@b.c' }, { id: '2', email: 'a@b.c' }, { id: '3', email: 'c@b.c' } ]);
+        })
+        .then(() => Model.getAll('a@b.c', { index: 'byEmail' }).run())
+        .then(result => {
+          assert.deepEqual(result.map(doc => doc.id), [ '2' ]);
+          return Model.paginate({ orderBy: 'byEmail', limit: 2 });
+        })
+        .then(page => {
+          assert.deepEqual(page.items.map(doc => doc.id), [ '2', '1' ]);
+          return Model.paginate({ orderBy: 'byEmail', limit: 2, after: page.nextCursor });
+        })
+        .then(page => assert.deepEqual(page.items.map(doc => doc.id), [ '3' ]));
+    });
+
+    it('should sync the declared indexes with the table', function() {
+      let r = test.r;
+      let name = util.s8();
+      let Model;
+      return r.tableCreate(name).run()
+        .then(() => r.table(name).indexCreate('old').run())
+        .then(() => r.table(name).indexCreate('fullName', doc => doc('first')).run())
+        .then(() => {
+          Model = test.thinkagain.createModel(name, {
+            type: 'object',
+            properties: { id: { type: 'string' }, first: { type: 'string' }, last: { type: 'string' } }
+          }, {
+            indexes: [ 'first', { name: 'fullName', fields: [ 'first', 'last' ] }, { name: 'tags', multi: true } ]
+          });
+
+          Model.ensureIndex('last');
+          return Model.ready();
+        })
+        .then(() => r.table(name).indexDrop('tags').run())
+        .then(() => r.table(name).insert({ id: 'a', first: 'Jane', last: 'Doe' }).run())
+        .then(() => Model.syncIndexes({ dryRun: true }))
+        .then(result => {
+          assert.deepEqual(result, { missing: [ 'tags' ], extra: [ 'old' ], changed: [ 'fullName' ] });
+          return r.table(name).indexList().run();
+        })
+        .then(indexes => {
+          expect(indexes).to.have.members([ 'first', 'fullName', 'last', 'old' ]);
+          return Model.syncIndexes();
+        })
+        .then(result => {
+          assert.deepEqual(result, { missing: [ 'tags' ], extra: [ 'old' ], changed: [ 'fullName' ] });
+          return r.table(name).indexList().run();
+        })
+        .then(indexes => {
+          expect(indexes).to.have.members([ 'first', 'fullName', 'last', 'tags' ]);
+          return Model.syncIndexes({ dryRun: true });
+        })
+        .then(result => {
+          assert.deepEqual(result, { missing: [], extra: [], changed: [] });
+          // The rebuilt indexes have the same definition as the declared ones
+          return Model.syncIndexes();
+        })
+        .then(result => {
+          assert.deepEqual(result, { missing: [], extra: [], changed: [] });
+          return new Model({ first: 'John', last: 'Doe' }).save();
+        })
+        .then(() => Model.getAll([ 'John', 'Doe' ], { index: 'fullName' }).run())
+        .then(result => assert.equal(result.length, 1));
+    });
+
+    it('should report the changed indexes without writing on a dry run', function() {
+      let r = test.r;
+      let name = util.s8();
+      let Model;
+      return r.tableCreate(name).run()
+        .then(() => r.table(name).indexCreate('fullName', doc => doc('first')).run())
+        .then(() => r.table(name).indexCreate('tags').run())
+        .then(() => {
+          Model = test.thinkagain.createModel(name, {
+            type: 'object',
+            properties: { id: { type: 'string' }, first: { type: 'string' }, last: { type: 'string' } }
+          }, {
+            indexes: [ { name: 'fullName', fields: [ 'first', 'last' ] }, { name: 'tags', multi: true } ]
+          });
+
+          return Model.ready();
+        })
+        .then(() => Model.syncIndexes({ dryRun: true }))
+        .then(result => {
+          // The functions only differ on the documents of the table
+          assert.deepEqual(result, { missing: [], extra: [], changed: [ 'tags' ] });
+          return r.table(name).insert({ id: 'a', first: 'Jane', last: 'Doe', tags: [ 'x' ] }).run();
+        })
+        .then(() => {
+          Model._indexChanged = () => Promise.reject(new Error('The dry run created a temporary index'));
+          return Model.syncIndexes({ dryRun: true });
+        })
+        .then(result => assert.deepEqual(result, { missing: [], extra: [], changed: [ 'fullName', 'tags' ] }));
+    });
+
+    it('should reject when an index cannot be rebuilt', function() {
+      let r = test.r;
+      let name = util.s8();
+      let Model, emitted;
+      return r.tableCreate(name).run()
+        .then(() => r.table(name).indexCreate('fullName', doc => doc('first')).run())
+        .then(() => {
+          Model = test.thinkagain.createModel(name, {
+            type: 'object',
+            properties: { id: { type: 'string' }, first: { type: 'string' }, last: { type: 'string' } }
+          }, {
+            indexes: [ { name: 'fullName', fields: [ 'first', 'last' ] } ]
+          });
+
+          return Model.ready();
+        })
+        .then(() => {
+          Model.on('error', error => { emitted = error; });
+          Model._createIndex = () => Promise.reject(new Error('Cannot create the index'));
+          return expect(Model.syncIndexes()).to.be.rejectedWith('Cannot create the index');
+        })
+        .then(() => assert.equal(emitted.message, 'Cannot create the index'));
+    });
+
+    it('should throw on an invalid index', function() {
+      assert.throws(() => test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: { id: { type: 'string' } }
+      }, {
+        indexes: [ { fields: [ 'id' ] } ]
+      }), Errors.ThinkAgainError);
+    });
+  });
+
+  describe('virtual', function() {
+    afterEach(() => test.cleanTables());
+
+    it('should generate computed fields', function() {
+      let Model = test.thinkagain.createModel(test.table(0), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      }, {
+        init: false,
+        virtuals: { numVirtual: function() { return this.num + 2; } }
       });
 
       let doc = new Model({ num: 1 });
       assert.equal(doc.numVirtual, 3);
     });
 
-    it('Generate fields -- manually', function() {
+    it('should regenerate computed fields manually', function() {
       let Model = test.thinkagain.createModel(test.table(0), {
-        id: { type: 'string' },
-        num: Number,
-        numVirtual: {
-          _type: 'virtual',
-          default: function() {
-            return this.num + 2;
-          }
-        }
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      }, {
+        init: false,
+        virtuals: { numVirtual: function() { return this.num + 2; } }
       });
 
       let doc = new Model({ num: 1 });
@@ -832,44 +1038,44 @@ describe('models', () => {
       assert.equal(doc.numVirtual, 4);
     });
 
-    it('Validate fields', function() {
+    it('should not count against `additionalProperties: false`', function() {
       let Model = test.thinkagain.createModel(test.table(0), {
-        id: { type: 'string' },
-        num: Number,
-        numVirtual: {
-          _type: 'virtual'
-        }
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } },
+        additionalProperties: false
+      }, {
+        init: false,
+        virtuals: { numVirtual: function() { return this.num + 2; } }
       });
 
       let doc = new Model({ num: 1 });
-      doc.validate();
+      return doc.validate();
     });
 
-    it('Virtual fields should not be saved', function() {
+    it('should not be saved', function() {
       let Model = test.thinkagain.createModel(test.table(0), {
-        id: Number,
-        num: Number,
-        numVirtual: {
-          _type: 'virtual'
-        }
+        type: 'object',
+        properties: { id: { type: 'number' }, num: { type: 'number' } },
+        additionalProperties: false
+      }, {
+        virtuals: { numVirtual: undefined }
       });
 
-      let doc = new Model({ id: 1, num: 1, numVirtual: 3 });
+      let doc = new Model({ id: 1, num: 1, numVirtual: 10 });
       return doc.save()
-        .then(result => Model.get(1).execute())
+        .then(result => {
+          assert.equal(result.numVirtual, 10);
+          return Model.get(1).execute();
+        })
         .then(result => assert.equal(result.numVirtual, undefined));
     });
 
-    it('Virtual fields should not be saved but still regenerated once retrieved', function() {
+    it('should not be saved but still be regenerated once retrieved', function() {
       let Model = test.thinkagain.createModel(test.table(0), {
-        id: Number,
-        num: Number,
-        numVirtual: {
-          _type: 'virtual',
-          default: function() {
-            return this.num + 2;
-          }
-        }
+        type: 'object',
+        properties: { id: { type: 'number' }, num: { type: 'number' } }
+      }, {
+        virtuals: { numVirtual: function() { return this.num + 2; } }
       });
 
       let doc = new Model({ id: 1, num: 1 });
@@ -886,105 +1092,706 @@ describe('models', () => {
         .then(result => assert.equal(result.numVirtual, 3));
     });
 
-    it('Virtual fields should not be saved but should be put back later (if no default)', function() {
+    it('should use default values for non computed fields', function() {
       let Model = test.thinkagain.createModel(test.table(0), {
-        id: Number,
-        num: Number,
-        numVirtual: {
-          _type: 'virtual'
-        }
+        type: 'object',
+        properties: { id: { type: 'string' } }
+      }, {
+        init: false,
+        virtuals: { tags: [ 'foo' ] }
       });
 
-      let doc = new Model({ id: 1, num: 1, numVirtual: 10 });
-      return doc.save()
+      let doc = new Model({});
+      let other = new Model({ tags: [ 'bar' ] });
+      assert.deepEqual(doc.tags, [ 'foo' ]);
+      assert.deepEqual(other.tags, [ 'bar' ]);
+    });
+  });
+
+  describe('softDelete', function() {
+    let Model;
+    beforeEach(function() {
+      Model = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } },
+        additionalProperties: false
+      }, { softDelete: true });
+
+      return Model.save([ { id: '1', name: 'foo' }, { id: '2', name: 'bar' }, { id: '3', name: 'foo' } ]);
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should mark deleted documents instead of deleting them', function() {
+      return Model.get('1').run()
+        .then(doc => doc.delete())
+        .then(doc => {
+          assert(doc.deletedAt instanceof Date);
+          assert.equal(doc.isSaved(), true);
+          return expect(Model.get('1').run()).to.be.rejectedWith(Errors.DocumentNotFound);
+        })
+        .then(() => Model.withDeleted().get('1').run())
+        .then(doc => {
+          assert(doc.deletedAt instanceof Date);
+          return doc.validate();
+        });
+    });
+
+    it('should exclude the deleted documents from the queries', function() {
+      return Model.filter({ name: 'foo' }).delete().execute()
         .then(result => {
-          assert.equal(result.numVirtual, 10);
-          return Model.get(1).execute();
+          assert.equal(result.replaced, 2);
+          return Model.run();
         })
-        .then(result => assert.equal(result.numVirtual, undefined));
+        .then(docs => {
+          assert.deepEqual(docs.map(doc => doc.id), [ '2' ]);
+          return Model.orderBy('id').run();
+        })
+        .then(docs => assert.deepEqual(docs.map(doc => doc.id), [ '2' ]))
+        .then(() => Model.onlyDeleted().orderBy('id').run())
+        .then(docs => assert.deepEqual(docs.map(doc => doc.id), [ '1', '3' ]))
+        .then(() => Model.withDeleted().count().execute())
+        .then(count => assert.equal(count, 3));
     });
 
-    it('Virtual fields should be genrated after other default values', function() {
-      let Model = test.thinkagain.createModel(test.table(0), {
-        id: Number,
-        anumVirtual: {
-          _type: 'virtual',
-          default: function() {
-            return this.num + 1;
-          }
-        },
-        num: {
-          _type: Number,
-          default: function() {
-            return 2;
-          }
-        },
-        numVirtual: {
-          _type: 'virtual',
-          default: function() {
-            return this.num + 1;
-          }
-        }
+    it('should restore deleted documents', function() {
+      return Model.get('1').delete().execute()
+        .then(() => Model.get('2').delete().execute())
+        .then(() => Model.onlyDeleted().get('1').restore().execute())
+        .then(() => Model.get('1').run())
+        .then(doc => {
+          assert.equal(doc.deletedAt, undefined);
+          return Model.withDeleted().get('2').run();
+        })
+        .then(doc => doc.restore())
+        .then(doc => {
+          assert.equal(doc.deletedAt, undefined);
+          return Model.count().execute();
+        })
+        .then(count => assert.equal(count, 3));
+    });
+
+    it('should exclude the deleted joined documents', function() {
+      let Other = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, modelId: { type: 'string' } }
+      }, { softDelete: 'removedAt' });
+      Model.hasMany(Other, 'others', 'id', 'modelId');
+
+      return Other.save([ { id: 'a', modelId: '1' }, { id: 'b', modelId: '1' } ])
+        .then(() => Other.get('a').delete().execute())
+        .then(() => Model.get('1').getJoin().run())
+        .then(doc => assert.deepEqual(doc.others.map(other => other.id), [ 'b' ]))
+        .then(() => Other.withDeleted().get('a').run())
+        .then(other => assert(other.removedAt instanceof Date));
+    });
+
+    it('should not feed the deleted documents', function() {
+      let feed;
+      return Model.changes().run()
+        .then(_feed => {
+          feed = _feed;
+          return Model.get('1').delete().execute();
+        })
+        .then(() => feed.next())
+        .then(doc => {
+          assert.equal(doc.id, '1');
+          assert.equal(doc.isSaved(), false);
+        })
+        .finally(() => feed.close());
+    });
+
+    it('should remove the deleted documents from the feed of a document', function() {
+      let doc;
+      let write = query => {
+        let changed = new Promise(resolve => doc.once('change', resolve));
+        return query.execute().then(() => changed);
+      };
+
+      return Model.get('1').changes({ includeInitial: true }).run()
+        .then(_doc => {
+          doc = _doc;
+          assert.equal(doc.id, '1');
+          return write(Model.get('1').delete());
+        })
+        .then(() => {
+          assert.equal(doc.id, undefined);
+          assert.equal(doc.isSaved(), false);
+          return write(Model.withDeleted().get('1').restore());
+        })
+        .then(() => {
+          assert.equal(doc.id, '1');
+          assert.equal(doc.deletedAt, undefined);
+          assert.equal(doc.isSaved(), true);
+        })
+        .finally(() => doc.closeFeed());
+    });
+
+    it('should remove the deleted documents from the stream of a document', function() {
+      let stream = Model.get('1').changes({ includeInitial: true }).stream();
+      let docs = [];
+      return new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('data', doc => {
+          docs.push(doc);
+          if (docs.length === 1) Model.get('1').delete().execute().catch(reject);
+          if (docs.length === 2) resolve();
+        });
+      })
+      .then(() => {
+        assert.deepEqual(docs.map(doc => doc.id), [ '1', '1' ]);
+        assert.equal(docs[1].isSaved(), false);
+      })
+      .finally(() => stream.destroy());
+    });
+
+    it('should stamp the deletes and the restores', function() {
+      let Stamped = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      }, { softDelete: true, timestamps: true, versionKey: true });
+
+      let doc, updatedAt;
+      return Stamped.save({ id: '1', name: 'foo' })
+        .then(() => Stamped.get('1').run())
+        .then(saved => {
+          updatedAt = saved.updatedAt;
+          assert.equal(saved.__v, 0);
+          return Stamped.get('1').delete().execute();
+        })
+        .then(() => Stamped.withDeleted().get('1').restore().execute())
+        .then(() => Stamped.get('1').run())
+        .then(restored => {
+          doc = restored;
+          assert.equal(doc.__v, 2);
+          assert(doc.updatedAt >= updatedAt);
+          return doc.delete();
+        })
+        .then(() => {
+          assert.equal(doc.__v, 3);
+          return doc.restore();
+        })
+        .then(() => {
+          assert.equal(doc.__v, 4);
+          doc.name = 'bar';
+          return doc.save();
+        })
+        .then(() => Stamped.get('1').run())
+        .then(result => {
+          assert.equal(result.name, 'bar');
+          assert.equal(result.__v, 5);
+        });
+    });
+
+    it('should throw when including deleted documents of a model without softDelete', function() {
+      let Other = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' } }
+      }, { init: false });
+
+      expect(() => Other.withDeleted()).to.throw(Errors.ThinkAgainError, /softDelete/);
+      expect(() => Model.filter({ name: 'foo' }).onlyDeleted()).to.throw(Errors.ThinkAgainError, /softDelete/);
+    });
+  });
+
+  describe('timestamps', function() {
+    let Model;
+    beforeEach(function() {
+      Model = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } },
+        additionalProperties: false
+      }, { timestamps: true });
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should stamp the documents when they are saved', function() {
+      let doc = new Model({ name: 'foo' });
+      let createdAt;
+      return doc.save()
+        .then(() => {
+          assert(doc.createdAt instanceof Date);
+          assert.equal(doc.updatedAt.getTime(), doc.createdAt.getTime());
+          createdAt = doc.createdAt;
+          doc.name = 'bar';
+          return Promise.delay(5).then(() => doc.save());
+        })
+        .then(() => {
+          assert.equal(doc.createdAt.getTime(), createdAt.getTime());
+          assert(doc.updatedAt > createdAt);
+          return doc.validate();
+        });
+    });
+
+    it('should stamp the documents of a batch insert', function() {
+      return Model.save([ { name: 'foo' }, { name: 'bar' } ])
+        .then(docs => {
+          assert(docs[0].createdAt instanceof Date);
+          assert(docs[1].updatedAt instanceof Date);
+        });
+    });
+
+    it('should stamp updates and keep the creation date on replace', function() {
+      let doc;
+      return Model.save({ id: '1', name: 'foo' })
+        .then(_doc => {
+          doc = _doc;
+          return Promise.delay(5).then(() => Model.get('1').update({ name: 'bar' }).run());
+        })
+        .then(updated => {
+          assert.equal(updated.name, 'bar');
+          assert(updated.updatedAt > doc.updatedAt);
+          return Model.get('1').replace({ id: '1', name: 'buzz' }).run();
+        })
+        .then(replaced => {
+          assert.equal(replaced.name, 'buzz');
+          assert.equal(replaced.createdAt.getTime(), doc.createdAt.getTime());
+          assert(replaced.updatedAt instanceof Date);
+        });
+    });
+
+    it('should rename or disable the timestamps', function() {
+      let Other = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' } },
+        additionalProperties: false
+      }, { timestamps: { createdAt: 'created', updatedAt: false } });
+
+      return new Other({}).save()
+        .then(doc => {
+          assert(doc.created instanceof Date);
+          assert.equal(doc.updatedAt, undefined);
+          assert.equal(doc.createdAt, undefined);
+        });
+    });
+  });
+
+  describe('versionKey', function() {
+    let Model;
+    beforeEach(function() {
+      Model = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } },
+        additionalProperties: false
+      }, { versionKey: true });
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should increment the version of the saved documents', function() {
+      let doc = new Model({ name: 'foo' });
+      return doc.save()
+        .then(() => {
+          assert.equal(doc.__v, 0);
+          doc.name = 'bar';
+          return doc.save();
+        })
+        .then(() => {
+          assert.equal(doc.__v, 1);
+          return Model.get(doc.id).update({ name: 'buzz' }).run();
+        })
+        .then(updated => assert.equal(updated.__v, 2));
+    });
+
+    it('should reject the save of a document modified since it was loaded', function() {
+      let first, second;
+      return Model.save({ id: '1', name: 'foo' })
+        .then(() => Promise.all([ Model.get('1').run(), Model.get('1').run() ]))
+        .then(docs => {
+          first = docs[0];
+          second = docs[1];
+          first.name = 'bar';
+          return first.save();
+        })
+        .then(() => {
+          second.name = 'buzz';
+          return second.save();
+        })
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.VersionConflict);
+          assert.equal(error.current.name, 'bar');
+          assert.equal(error.current.__v, 1);
+          return Model.get('1').run();
+        })
+        .then(doc => assert.equal(doc.name, 'bar'));
+    });
+
+    it('should reject the save of a document deleted since it was loaded', function() {
+      return Model.save({ id: '1', name: 'foo' })
+        .then(doc => Model.get('1').delete().execute().return(doc))
+        .then(doc => doc.save())
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.VersionConflict);
+          assert.equal(error.current, null);
+        });
+    });
+
+    it('should use the field named by the option', function() {
+      let Other = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' } },
+        additionalProperties: false
+      }, { versionKey: 'revision' });
+
+      return new Other({}).save()
+        .then(doc => doc.save())
+        .then(doc => assert.equal(doc.revision, 1));
+    });
+  });
+
+  describe('discriminator', function() {
+    let Animal, Dog, Cat;
+    beforeEach(function() {
+      Animal = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, kind: { type: 'string' } },
+        required: [ 'name' ]
       });
+      Animal.define('describe', function() { return 'animal ' + this.name; });
+      Animal.pre('save', function() { this.named = this.name.toUpperCase(); });
+
+      Dog = Animal.discriminator(util.s8(), {
+        properties: { barks: { type: 'boolean' } },
+        required: [ 'barks' ]
+      }, 'dog');
+      Cat = Animal.discriminator(util.s8(), { properties: { lives: { type: 'integer' } } }, 'cat');
+      Cat.define('describe', function() { return 'cat ' + this.name; });
+      return Animal.ready();
+    });
 
-      let doc = new Model({ id: 1 });
-      assert.equal(doc.numVirtual, 3);
-      assert.equal(doc.anumVirtual, 3);
+    afterEach(() => test.cleanTables());
+
+    it('should store the documents in the table of the base model', function() {
+      return new Dog({ name: 'rex', barks: true }).save()
+        .then(dog => {
+          assert.equal(dog.kind, 'dog');
+          assert.equal(dog.named, 'REX');
+          assert.equal(Dog.getTableName(), Animal.getTableName());
+          return test.r.table(Animal.getTableName()).get(dog.id).run();
+        })
+        .then(raw => assert.deepEqual(raw.kind, 'dog'));
     });
 
-    it('Virtual fields should be not be generated if a parent is undefined', function() {
-      let Model = test.thinkagain.createModel(test.table(0), {
-        id: Number,
-        nested: {
-          field: {
-            _type: 'virtual',
-            default: function() {
-              return 3;
-            }
-          }
-        }
+    it('should validate the documents against the extended schema', function() {
+      return new Dog({ name: 'rex' }).validate()
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.ValidationError);
+          return new Dog({ name: 'rex', barks: true, kind: 'cat' }).validate();
+        })
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.ValidationError);
+        });
+    });
+
+    it('should only return the documents of their kind', function() {
+      return Promise.all([
+        Dog.save({ id: '1', name: 'rex', barks: true }),
+        Cat.save({ id: '2', name: 'tom', lives: 9 }),
+        Animal.save({ id: '3', name: 'nemo' })
+      ])
+      .then(() => Dog.run())
+      .then(dogs => {
+        assert.deepEqual(dogs.map(dog => dog.id), [ '1' ]);
+        return Cat.get('1').run();
+      })
+      .then(() => assert.fail('should have failed'), error => {
+        assert(error instanceof Errors.DocumentNotFound);
+        return Cat.filter({ name: 'rex' }).count().execute();
+      })
+      .then(count => assert.equal(count, 0));
+    });
+
+    it('should return instances of the models of their kind from the base model', function() {
+      return Promise.all([
+        Dog.save({ id: '1', name: 'rex', barks: true }),
+        Cat.save({ id: '2', name: 'tom', lives: 9 }),
+        Animal.save({ id: '3', name: 'nemo' })
+      ])
+      .then(() => Animal.orderBy('id').run())
+      .then(animals => {
+        assert.strictEqual(animals[0].getModel(), Dog);
+        assert.strictEqual(animals[1].getModel(), Cat);
+        assert.strictEqual(animals[2].getModel(), Animal);
+        assert.deepEqual(animals.map(animal => animal.describe()), [ 'animal rex', 'cat tom', 'animal nemo' ]);
       });
+    });
 
-      let doc = new Model({ id: 1 });
-      doc.generateVirtualValues();
-      assert.equal(doc.nested, undefined);
+    it('should inherit the methods and hooks defined later', function() {
+      Animal.define('greet', function() { return 'hello ' + this.name; });
+      Animal.post('save', function() { this.saved = true; });
+      return new Cat({ name: 'tom' }).save()
+        .then(cat => {
+          assert.equal(cat.greet(), 'hello tom');
+          assert.equal(cat.saved, true);
+        });
     });
 
-    it('Virtual fields should not throw if a parent has the wrong type', function() {
-      let Model = test.thinkagain.createModel(test.table(0), {
-        id: Number,
-        ar: type.array().schema({
-          num: type.number().default(3)
-        }).options({ enforce_type: 'none' })
+    it('should not accept a value already used', function() {
+      expect(() => Animal.discriminator(util.s8(), {}, 'dog'))
+        .to.throw(Errors.ThinkAgainError, 'The value `dog` of the discriminator is already used by another model.');
+      expect(() => Dog.discriminator(util.s8(), {}))
+        .to.throw(Errors.ThinkAgainError, '`discriminator` cannot be called on a model created with `discriminator`.');
+    });
+  });
+
+  describe('polymorphic relations', function() {
+    let Comment, Post, Photo;
+    beforeEach(function() {
+      let schema = {
+        type: 'object',
+        properties: { id: { type: 'string' }, title: { type: 'string' } }
+      };
+      Post = test.thinkagain.createModel(test.table(), schema);
+      Photo = test.thinkagain.createModel(test.table(), schema);
+      Comment = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, text: { type: 'string' } }
       });
 
-      let doc = new Model({ id: 1, ar: 3 });
-      doc._generateDefault();
-      assert.equal(doc.ar, 3);
+      Comment.belongsToPolymorphic('commentable', [ Post, Photo ]);
+      Post.hasManyPolymorphic(Comment, 'comments', 'commentable');
+      Photo.hasManyPolymorphic(Comment, 'comments', 'commentable');
+      return Promise.all([ Comment.ready(), Post.ready(), Photo.ready() ]);
     });
 
-    it('Virtual fields should work in nested arrays', function() {
-      let Model = test.thinkagain.createModel(test.table(0), {
-        nested: [
-          {
-            foo: String,
-            bar: type.virtual().default(function() {
-              return 'buzz';
-            })
-          }
-        ]
+    afterEach(() => test.cleanTables());
+
+    it('should save the key and the name of the model of the joined document', function() {
+      let comment = new Comment({ text: 'nice', commentable: new Photo({ id: '1', title: 'sunset' }) });
+      return comment.saveAll({ commentable: true })
+        .then(() => Comment.get(comment.id).execute())
+        .then(raw => {
+          assert.equal(raw.commentableId, '1');
+          assert.equal(raw.commentableType, Photo.getTableName());
+          assert.equal(raw.commentable, undefined);
+          return new Post({ id: '1', title: 'news', comments: [ new Comment({ text: 'first' }) ] }).saveAll({ comments: true });
+        })
+        .then(post => Comment.get(post.comments[0].id).execute())
+        .then(raw => assert.equal(raw.commentableType, Post.getTableName()));
+    });
+
+    it('should join the documents of the right model', function() {
+      return Promise.all([
+        Post.save({ id: '1', title: 'news' }),
+        Photo.save({ id: '1', title: 'sunset' }),
+        Comment.save([
+          { id: 'a', text: 'first', commentableId: '1', commentableType: Post.getTableName() },
+          { id: 'b', text: 'nice', commentableId: '1', commentableType: Photo.getTableName() },
+          { id: 'c', text: 'alone' }
+        ])
+      ])
+      .then(() => Comment.orderBy('id').getJoin({ commentable: true }).run())
+      .then(comments => {
+        assert.strictEqual(comments[0].commentable.getModel(), Post);
+        assert.equal(comments[0].commentable.title, 'news');
+        assert.strictEqual(comments[1].commentable.getModel(), Photo);
+        assert.equal(comments[1].commentable.title, 'sunset');
+        assert.equal(comments[2].commentable, undefined);
+        return Photo.get('1').getJoin({ comments: true }).run();
+      })
+      .then(photo => assert.deepEqual(photo.comments.map(comment => comment.id), [ 'b' ]));
+    });
+
+    it('should delete and purge the joined documents', function() {
+      let post = new Post({ id: '1', title: 'news', comments: [ new Comment({ id: 'a', text: 'first' }) ] });
+      let photo = new Photo({ id: '1', title: 'sunset', comments: [ new Comment({ id: 'b', text: 'nice' }) ] });
+      return Promise.all([ post.saveAll({ comments: true }), photo.saveAll({ comments: true }) ])
+        .then(() => post.deleteAll({ comments: true }))
+        .then(() => Comment.run())
+        .then(comments => {
+          assert.deepEqual(comments.map(comment => comment.id), [ 'b' ]);
+          return photo.purge();
+        })
+        .then(() => Comment.get('b').execute())
+        .then(raw => {
+          assert.deepEqual(raw, { id: 'b', text: 'nice' });
+          let comment = new Comment({ text: 'other', commentable: new Post({ id: '2', title: 'old' }) });
+          return comment.saveAll({ commentable: true });
+        })
+        .then(comment => comment.deleteAll({ commentable: true }))
+        .then(() => Post.count().execute())
+        .then(count => assert.equal(count, 0));
+    });
+
+    it('should add and remove relations', function() {
+      let photo = new Photo({ id: '1', title: 'sunset' });
+      return Promise.all([ photo.save(), Comment.save({ id: 'a', text: 'nice' }) ])
+        .then(() => Comment.get('a').addRelation('commentable', photo))
+        .then(() => Comment.get('a').execute())
+        .then(raw => {
+          assert.equal(raw.commentableId, '1');
+          assert.equal(raw.commentableType, Photo.getTableName());
+          return Comment.get('a').removeRelation('commentable');
+        })
+        .then(() => Post.save({ id: '2', title: 'news' }))
+        .then(() => Post.get('2').addRelation('comments', { id: 'a' }))
+        .then(() => Comment.get('a').execute())
+        .then(raw => {
+          assert.equal(raw.commentableId, '2');
+          assert.equal(raw.commentableType, Post.getTableName());
+          return Post.get('2').removeRelation('comments');
+        })
+        .then(() => Comment.get('a').execute())
+        .then(raw => assert.deepEqual(raw, { id: 'a', text: 'nice' }));
+    });
+
+    it('should not accept a document of another model', function() {
+      let comment = new Comment({ text: 'nice', commentable: new Comment({ text: 'other' }) });
+      return comment.saveAll({ commentable: true })
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.ThinkAgainError);
+          return Comment.save({ id: 'a', text: 'nice' });
+        })
+        .then(() => Comment.get('a').addRelation('commentable', { id: '1' }))
+        .then(() => assert.fail('should have failed'), error => {
+          assert.equal(error.parent.message, 'The joined document must be a saved document of a model of the `belongsToPolymorphic` relation.');
+        });
+    });
+  });
+
+  describe('hasManyThrough', function() {
+    let User, Group, Membership;
+    beforeEach(function() {
+      User = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      });
+      Group = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      });
+      Membership = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          userId: { type: 'string' },
+          groupId: { type: 'string' },
+          role: { type: 'string', enum: [ 'admin', 'member' ] },
+          joinedAt: { type: 'string' }
+        },
+        required: [ 'role' ]
       });
 
-      let doc = new Model({
-        nested: [
-          {
-            foo: 'hello'
-          }
-        ]
+      Membership.belongsTo(Group, 'group', 'groupId', 'id');
+      User.hasManyThrough(Membership, 'memberships', 'id', 'userId', 'group');
+      return Promise.all([ User.ready(), Group.ready(), Membership.ready() ]);
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should save the links and the joined documents', function() {
+      let user = new User({
+        id: '1',
+        name: 'ana',
+        memberships: [ { role: 'admin', joinedAt: '2016-01-01', group: { id: 'a', name: 'admins' } } ]
+      });
+      return user.saveAll({ memberships: true })
+        .then(() => Promise.all([ Membership.execute(), Group.get('a').execute() ]))
+        .spread((links, group) => {
+          assert.equal(links.length, 1);
+          assert.equal(links[0].userId, '1');
+          assert.equal(links[0].groupId, 'a');
+          assert.equal(links[0].role, 'admin');
+          assert.equal(links[0].group, undefined);
+          assert.deepEqual(group, { id: 'a', name: 'admins' });
+          return user.deleteAll({ memberships: true });
+        })
+        .then(() => Promise.all([ Membership.count().execute(), Group.count().execute() ]))
+        .spread((links, groups) => {
+          assert.equal(links, 0);
+          assert.equal(groups, 1);
+        });
+    });
+
+    it('should retrieve the payload of the links and the joined documents', function() {
+      return Promise.all([
+        User.save({ id: '1', name: 'ana' }),
+        Group.save([ { id: 'a', name: 'admins' }, { id: 'b', name: 'users' } ]),
+        Membership.save([
+          { id: 'x', userId: '1', groupId: 'a', role: 'admin' },
+          { id: 'y', userId: '1', groupId: 'b', role: 'member' }
+        ])
+      ])
+      .then(() => User.get('1').getJoin({ memberships: { _apply: links => links.orderBy('id') } }).run())
+      .then(user => {
+        assert.deepEqual(user.memberships.map(link => link.role), [ 'admin', 'member' ]);
+        assert.deepEqual(user.memberships.map(link => link.group.name), [ 'admins', 'users' ]);
+        assert.strictEqual(user.memberships[0].group.getModel(), Group);
+      });
+    });
+
+    it('should validate the links', function() {
+      let user = new User({ name: 'ana', memberships: [ { role: 'owner', group: { name: 'admins' } } ] });
+      return user.saveAll({ memberships: true })
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.ValidationError);
+        });
+    });
+
+    it('should only accept a `belongsTo` relation of the link model', function() {
+      expect(() => User.hasManyThrough(Membership, 'links', 'id', 'userId', 'user'))
+        .to.throw(Errors.ThinkAgainError, 'The field `user` is not a `belongsTo` relation of the link model.');
+    });
+  });
+
+  describe('scope', function() {
+    let Post;
+    beforeEach(function() {
+      Post = test.thinkagain.createModel(test.table(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, published: { type: 'boolean' }, rank: { type: 'integer' }, hidden: { type: 'boolean' } }
       });
+      Post.scope('published', query => query.filter({ published: true }));
+      Post.scope('ranked', (query, rank) => query.filter(doc => doc('rank').ge(rank)));
+
+      return Post.save([
+        { id: '1', published: true, rank: 1 },
+        { id: '2', published: true, rank: 2 },
+        { id: '3', published: false, rank: 3 },
+        { id: '4', published: true, rank: 4, hidden: true }
+      ]);
+    });
+
+    afterEach(() => test.cleanTables());
+
+    it('should chain the scopes on the model and on its queries', function() {
+      return Post.published().ranked(2).orderBy('id').run()
+        .then(posts => {
+          assert.deepEqual(posts.map(post => post.id), [ '2', '4' ]);
+          assert.strictEqual(posts[0].getModel(), Post);
+          return Post.filter(doc => doc('rank').lt(4)).published().count().execute();
+        })
+        .then(count => assert.equal(count, 2));
+    });
+
+    it('should apply the default scopes to every query', function() {
+      Post.scope('visible', query => query.filter(doc => doc('hidden').default(false).eq(false)), { default: true });
+      return Post.orderBy('id').run()
+        .then(posts => {
+          assert.deepEqual(posts.map(post => post.id), [ '1', '2', '3' ]);
+          return Post.published().count().execute();
+        })
+        .then(count => {
+          assert.equal(count, 2);
+          return Post.get('4').run();
+        })
+        .then(() => assert.fail('should have failed'), error => {
+          assert(error instanceof Errors.DocumentNotFound);
+          return Post.unscoped().orderBy({ index: 'id' }).execute();
+        })
+        .then(posts => {
+          assert.deepEqual(posts.map(post => post.id), [ '1', '2', '3', '4' ]);
+          expect(() => Post.filter({ published: true }).unscoped())
+            .to.throw(Errors.ThinkAgainError, '`unscoped` must be called before any other method.');
+        });
+    });
 
-      assert.equal(doc.nested[0].bar, 'buzz');
+    it('should not accept the name of a method', function() {
+      expect(() => Post.scope('filter', query => query))
+        .to.throw(Errors.ThinkAgainError, 'The name `filter` is already used by a method.');
+      expect(() => Post.scope('recent'))
+        .to.throw(Errors.ThinkAgainError, 'The second argument of `scope` must be a function.');
     });
   });
-  */
 });
@@ -1655,6 +1655,552 @@ describe('queries', function() {
     });
   });
 
+  describe('paginate', function() {
+    afterEach(() => test.cleanTables());
+    beforeEach(() => {
+      test.Model = test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, score: { type: 'number' } }
+      }, {
+        indexes: [ 'score', { name: 'rank', fields: [ 'score', 'id' ] } ],
+        softDelete: true
+      });
+
+      let scores = { a: 2, b: 1, c: 2, d: 1, e: 3, f: 2, g: 1 };
+      return test.Model.save(Object.keys(scores).map(id => ({ id: id, score: scores[id] })));
+    });
+
+    let ids = page => page.items.map(doc => doc.id);
+
+    it('should page through the documents in the order of the primary key', function() {
+      return test.Model.paginate({ limit: 3 })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'a', 'b', 'c' ]);
+          assert(page.items[0] instanceof Document);
+          assert(page.items[0].isSaved());
+          assert.equal(page.prevCursor, null);
+          return test.Model.paginate({ limit: 3, after: page.nextCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'd', 'e', 'f' ]);
+          return test.Model.paginate({ limit: 3, after: page.nextCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'g' ]);
+          assert.equal(page.nextCursor, null);
+          return test.Model.paginate({ limit: 3, before: page.prevCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'd', 'e', 'f' ]);
+          return test.Model.paginate({ limit: 3, before: page.prevCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'a', 'b', 'c' ]);
+          assert.equal(page.prevCursor, null);
+          assert.notEqual(page.nextCursor, null);
+        });
+    });
+
+    it('should page through the documents in the order of an index', function() {
+      let cursors = [];
+      return test.Model.paginate({ orderBy: 'score', limit: 2 })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'b', 'd' ]);
+          return test.Model.paginate({ orderBy: 'score', limit: 2, after: page.nextCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'g', 'a' ]);
+          cursors.push(page.nextCursor);
+          return test.Model.paginate({ orderBy: 'score', limit: 2, after: page.nextCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'c', 'f' ]);
+          return test.Model.paginate({ orderBy: 'score', limit: 2, after: page.nextCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'e' ]);
+          assert.equal(page.nextCursor, null);
+          return test.Model.paginate({ orderBy: 'score', limit: 2, before: page.prevCursor });
+        })
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'c', 'f' ]);
+          return test.Model.get('c').delete().execute();
+        })
+        .then(() => test.Model.paginate({ orderBy: 'score', limit: 2, after: cursors[0] }))
+        .then(page => {
+          assert.deepEqual(ids(page), [ 'f', 'e' ]);
+          return test.Model.paginate({ orderBy: 'rank', limit: 3 });
+        })
+        .then(page => test.Model.paginate({ orderBy: 'rank', limit: 3, after: page.nextCursor }))
+        .then(page => assert.deepEqual(ids(page), [ 'a', 'f', 'e' ]));
+    });
+
+    it('should reject an index that is not on fields and an invalid cursor', function() {
+      return test.Model.paginate({ orderBy: 'unknown' })
+        .then(() => assert.fail('should have been rejected'), error => {
+          assert(error instanceof Errors.ThinkAgainError);
+          return test.Model.paginate({ after: 'invalid' });
+        })
+        .then(() => assert.fail('should have been rejected'), error => {
+          assert(error instanceof Errors.ThinkAgainError);
+          assert.equal(error.message, 'Invalid cursor `invalid`.');
+        });
+    });
+
+    it('should only page through the table of the model', function() {
+      let message = '`paginate` can only be called on the table of a model, not after other methods.';
+      return test.Model.filter({ score: 2 }).paginate()
+        .then(() => assert.fail('should have been rejected'), error => {
+          assert(error instanceof Errors.ThinkAgainError);
+          assert.equal(error.message, message);
+          return test.Model.orderBy('score').paginate({ limit: 2 });
+        })
+        .then(() => assert.fail('should have been rejected'), error => {
+          assert.equal(error.message, message);
+          return test.Model.get('a').delete().run();
+        })
+        .then(() => test.Model.withDeleted().paginate({ limit: 2 }))
+        .then(page => assert.deepEqual(ids(page), [ 'a', 'b' ]));
+    });
+  });
+
+  describe('stream', function() {
+    afterEach(() => test.cleanTables());
+    beforeEach(() => {
+      test.Model = test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, num: { type: 'number' } }
+      }, {
+        softDelete: true
+      });
+
+      let docs = [];
+      for (let i = 0; i < 30; ++i) docs.push({ id: ('0' + i).slice(-2), num: i });
+      return test.Model.save(docs)
+        .then(() => test.Model.get('00').delete().execute());
+    });
+
+    it('should stream the documents', function(done) {
+      let docs = [];
+      test.Model.orderBy({ index: 'id' }).stream()
+        .on('data', doc => docs.push(doc))
+        .on('error', done)
+        .on('end', () => {
+          assert.equal(docs.length, 29);
+          assert.equal(docs[0].id, '01');
+          assert.equal(docs[28].id, '29');
+          assert(docs[0] instanceof Document);
+          assert(docs[0].isSaved());
+          done();
+        });
+    });
+
+    it('should close the cursor when the stream is destroyed', function(done) {
+      let query = test.Model.filter({});
+      let closed = false;
+      let openCursor = query._openCursor;
+      query._openCursor = function() {
+        return openCursor.apply(this, arguments)
+          .tap(cursor => {
+            let close = cursor.close;
+            cursor.close = () => { closed = true; return close(); };
+          });
+      };
+
+      let stream = query.stream();
+      stream.once('readable', () => {
+        let doc = stream.read();
+        assert(doc instanceof Document);
+        stream.on('close', () => {
+          assert.equal(closed, true);
+          done();
+        });
+        stream.destroy();
+      });
+    });
+
+    it('should stream the documents with their joins', function(done) {
+      let Other = test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: { id: { type: 'string' }, modelId: { type: 'string' } }
+      });
+      test.Model.hasMany(Other, 'others', 'id', 'modelId');
+
+      let docs = [];
+      Other.save([ { id: 'x', modelId: '01' }, { id: 'y', modelId: '01' } ])
+        .then(() => {
+          test.Model.orderBy({ index: 'id' }).limit(2).include({ others: true }).stream()
+            .on('data', doc => docs.push(doc))
+            .on('error', done)
+            .on('end', () => {
+              assert.deepEqual(docs.map(doc => doc.others.map(other => other.id).sort()), [ [ 'x', 'y' ], [] ]);
+              assert(docs[0].others[0] instanceof Document);
+              done();
+            });
+        });
+    });
+
+    it('should emit the errors of the query', function(done) {
+      test.Model.filter(doc => doc('num').add('a')).stream()
+        .on('data', () => done(new Error('should have failed')))
+        .on('error', error => {
+          assert(error instanceof Error);
+          done();
+        });
+    });
+
+    it('should iterate over the documents asynchronously', function() {
+      if (typeof Symbol.asyncIterator !== 'symbol') this.skip();
+      let iterator = test.Model.orderBy({ index: 'id' })[Symbol.asyncIterator]();
+      let ids = [];
+      let iterate = () => iterator.next()
+        .then(result => {
+          if (result.done) return;
+          assert(result.value instanceof Document);
+          ids.push(result.value.id);
+          return iterate();
+        });
+
+      return iterate()
+        .then(() => {
+          assert.equal(ids.length, 29);
+          assert.equal(ids[0], '01');
+
+          iterator = test.Model[Symbol.asyncIterator]();
+          return iterator.next();
+        })
+        .then(result => {
+          assert.equal(result.done, false);
+          return iterator.return();
+        })
+        .then(result => assert.equal(result.done, true));
+    });
+  });
+
+  describe('aggregate', function() {
+    afterEach(() => test.cleanTables());
+    beforeEach(() => {
+      test.Model = test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          country: { type: 'string' },
+          age: { type: 'integer' },
+          address: { type: 'object', properties: { city: { type: 'string' } } }
+        }
+      }, { softDelete: true });
+
+      return test.Model.save([
+        { id: 'a', country: 'FR', age: 30, address: { city: 'Paris' } },
+        { id: 'b', country: 'FR', age: 33, address: { city: 'Lyon' } },
+        { id: 'c', country: 'US', address: { city: 'Boston' } },
+        { id: 'd', country: 'US', age: 40, deletedAt: new Date() }
+      ]);
+    });
+
+    it('should count, sum and average the documents of each group', function() {
+      return test.Model.aggregate().groupBy('country').count().sum('age').avg('age')
+        .then(rows => {
+          assert.deepEqual(rows, [
+            { country: 'FR', count: 2, sum_age: 63, avg_age: 31.5 },
+            { country: 'US', count: 1, sum_age: 0, avg_age: null }
+          ]);
+        });
+    });
+
+    it('should group by several fields, and name the aggregates', function() {
+      return test.Model.filter({ country: 'FR' }).aggregate().groupBy('country', 'address.city').count('total')
+        .then(rows => {
+          assert.deepEqual(rows, [
+            { country: 'FR', 'address.city': 'Lyon', total: 1 },
+            { country: 'FR', 'address.city': 'Paris', total: 1 }
+          ]);
+        });
+    });
+
+    it('should return a single row without groups', function() {
+      return test.Model.aggregate().count().avg('age')
+        .then(rows => {
+          assert.deepEqual(rows, [ { count: 3, avg_age: 31.5 } ]);
+          return test.Model.filter({ country: 'none' }).aggregate().count().sum('age').avg('age').run();
+        })
+        .then(rows => assert.deepEqual(rows, [ { count: 0, sum_age: 0, avg_age: null } ]));
+    });
+
+    it('should reject the fields that are not in the schema', function() {
+      assert.throws(() => test.Model.aggregate().groupBy('city'), error => {
+        return (error instanceof Errors.ThinkAgainError) &&
+          (error.message === 'The field `city` passed to `groupBy` is not in the schema of the model `' + test.Model.getTableName() + '`.');
+      });
+      assert.throws(() => test.Model.aggregate().sum('country'), error => {
+        return error.message === 'The field `country` passed to `sum` is not a number.';
+      });
+    });
+  });
+
+  describe('include', function() {
+    let Author, Post, Comment, Tag, Profile;
+    afterEach(() => test.cleanTables());
+    beforeEach(() => {
+      let schema = () => ({
+        type: 'object',
+        properties: { id: { type: 'string' }, authorId: { type: 'string' }, postId: { type: 'string' }, rank: { type: 'integer' } }
+      });
+      Author = test.thinkagain.createModel(util.s8(), schema());
+      Profile = test.thinkagain.createModel(util.s8(), schema());
+      Post = test.thinkagain.createModel(util.s8(), schema(), { softDelete: true });
+      Comment = test.thinkagain.createModel(util.s8(), schema());
+      Tag = test.thinkagain.createModel(util.s8(), schema());
+
+      Author.hasOne(Profile, 'profile', 'id', 'authorId');
+      Author.hasMany(Post, 'posts', 'id', 'authorId');
+      Post.belongsTo(Author, 'author', 'authorId', 'id');
+      Post.hasMany(Comment, 'comments', 'id', 'postId');
+      Post.hasAndBelongsToMany(Tag, 'tags', 'id', 'id');
+
+      let posts = [
+        new Post({ id: 'a', rank: 2, authorId: '1', comments: [ { id: 'x', rank: 1 }, { id: 'y', rank: 2 } ], tags: [ { id: 't' } ] }),
+        new Post({ id: 'b', rank: 1, authorId: '1', comments: [ { id: 'z', rank: 3 } ] }),
+        new Post({ id: 'c', rank: 3, authorId: '2' }),
+        new Post({ id: 'd', rank: 4, authorId: '1', deletedAt: new Date() })
+      ];
+      return Promise.all([ Author.ready(), Post.ready() ])
+        .then(() => Promise.all([
+          Author.save([ { id: '1' }, { id: '2' }, { id: '3' } ]),
+          Profile.save({ id: 'p', authorId: '1' })
+        ]))
+        .then(() => Promise.each(posts, post => post.saveAll({ comments: true, tags: true })));
+    });
+
+    it('should return the same documents as getJoin', function() {
+      let modelToGet = { profile: true, posts: { comments: true, tags: true } };
+      return Promise.all([
+        Author.orderBy('id').getJoin(modelToGet).execute(),
+        Author.orderBy('id').include(modelToGet).execute()
+      ])
+      .spread((joined, included) => {
+        assert.deepEqual(included, joined);
+        assert.equal(included[0].profile.id, 'p');
+        assert.equal(included[0].posts.length, 2);
+        assert.deepEqual(included[2].posts, []);
+      });
+    });
+
+    it('should retrieve all the joins without modelToGet', function() {
+      return Promise.all([
+        Post.get('a').getJoin().execute(),
+        Post.get('a').include().execute()
+      ])
+      .spread((joined, included) => {
+        assert.deepEqual(included, joined);
+        assert.equal(included.author.id, '1');
+        assert.equal(included.comments.length, 2);
+        assert.equal(included.tags[0].id, 't');
+      });
+    });
+
+    it('should apply `_apply` to the joined documents of each document', function() {
+      return Author.include({
+        posts: { _apply: posts => posts.orderBy('rank').limit(1), comments: { _apply: comments => comments.orderBy(test.r.desc('rank')) } }
+      }).orderBy('id').run()
+      .then(authors => {
+        assert.deepEqual(authors[0].posts.map(post => post.id), [ 'b' ]);
+        assert.deepEqual(authors[0].posts[0].comments.map(comment => comment.id), [ 'z' ]);
+        assert.deepEqual(authors[1].posts.map(post => post.id), [ 'c' ]);
+        assert.deepEqual(authors[1].posts[0].comments, []);
+        assert.strictEqual(authors[0].posts[0].getModel(), Post);
+      });
+    });
+  });
+
+  describe('strict', function() {
+    afterEach(() => test.cleanTables());
+    beforeEach(() => {
+      test.Model = test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          age: { type: 'integer' },
+          born: { $ref: 'date' },
+          tag: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          address: { type: 'object', properties: { city: { type: 'string' } } },
+          extra: {}
+        }
+      }, { strict: true, softDelete: true, indexes: [ 'tag' ] });
+
+      return test.Model.save([
+        { id: 'a', name: 'Alice', age: 30, address: { city: 'Paris' } },
+        { id: 'b', name: 'Bob', age: 40, address: { city: 'Lyon' } }
+      ]);
+    });
+
+    let rejects = (fn, message) => assert.throws(fn, error => {
+      return (error instanceof Errors.ValidationError) && (error.message === message);
+    });
+
+    it('should run the queries with the fields of the schema', function() {
+      return test.Model.filter({ address: { city: 'Paris' } }).orderBy('name').pluck('id', { address: [ 'city' ] }).run()
+        .then(result => {
+          assert.deepEqual(result, [ { id: 'a', address: { city: 'Paris' } } ]);
+          return test.Model.filter({ age: 40 }).without('born').run();
+        })
+        .then(result => assert.deepEqual(result.map(doc => doc.id), [ 'b' ]));
+    });
+
+    it('should run the queries with operators on the fields of the schema', function() {
+      return test.Model.filter({ address: { city: { $regex: '^P' } }, age: { $gte: 18 } }).orderBy('name').pluck('id', { address: [ 'city' ] }).run()
+        .then(result => {
+          assert.deepEqual(result, [ { id: 'a', address: { city: 'Paris' } } ]);
+          return test.Model.filter({ tags: { $in: [ 'x', [ 'y', 'z' ] ] } }).run();
+        })
+        .then(result => assert.deepEqual(result, []));
+    });
+
+    it('should reject the fields that are not in the schema', function() {
+      let table = test.Model.getTableName();
+      rejects(() => test.Model.filter({ nmae: 'Alice' }),
+        'The field `nmae` passed to `filter` is not in the schema of the model `' + table + '`.');
+      rejects(() => test.Model.filter({ address: { town: 'Paris' } }),
+        'The field `address.town` passed to `filter` is not in the schema of the model `' + table + '`.');
+      rejects(() => test.Model.orderBy('id').filter(doc => doc('age').gt(30)).orderBy('nmae'),
+        'The field `nmae` passed to `orderBy` is not in the schema of the model `' + table + '`.');
+      rejects(() => test.Model.get('a').pluck('id', { address: [ 'town' ] }),
+        'The field `address.town` passed to `pluck` is not in the schema of the model `' + table + '`.');
+      rejects(() => test.Model.withDeleted().without([ 'nmae' ]),
+        'The field `nmae` passed to `without` is not in the schema of the model `' + table + '`.');
+      rejects(() => test.Model.get('a').update({ nmae: 'Alice' }),
+        'The field `nmae` passed to `update` is not in the schema of the model `' + table + '`.');
+    });
+
+    it('should reject the values of the wrong type', function() {
+      rejects(() => test.Model.filter({ age: '30' }),
+        'The value of the field `age` passed to `filter` is not of type integer.');
+      rejects(() => test.Model.filter({ address: { city: 1 } }),
+        'The value of the field `address.city` passed to `filter` is not of type string.');
+      rejects(() => test.Model.filter({ tag: 1 }),
+        'The value of the field `tag` passed to `filter` is not of type string.');
+      rejects(() => test.Model.filter({ born: true }),
+        'The value of the field `born` passed to `filter` is not of type Date or string or number.');
+      rejects(() => test.Model.filter({ $or: [ { age: { $in: [ 30, 'x' ] } } ] }),
+        'The value of the field `age` passed to `filter` is not of type integer.');
+      rejects(() => test.Model.filter({ tags: { $in: [ 'x', 1 ] } }),
+        'The value of the field `tags` passed to `filter` is not of type string.');
+      rejects(() => test.Model.filter({ age: { $not: { $gt: '30' } } }),
+        'The value of the field `age` passed to `filter` is not of type integer.');
+      rejects(() => test.Model.update({ age: 1.5 }),
+        'The value of the field `age` passed to `update` is not of type integer.');
+    });
+
+    it('should not check the functions, the terms and the other documents', function() {
+      let r = test.r;
+      return test.Model.filter({ age: r.expr(30) }).update({ age: r.row('age').add(1), extra: { any: 'value' } }).run()
+        .then(() => test.Model.map(doc => ({ other: doc('age') })).filter({ other: 31 }).run())
+        .then(result => assert.deepEqual(result, [ { other: 31 } ]));
+    });
+
+    it('should not check the queries of the other models', function() {
+      let Other = test.thinkagain.createModel(util.s8(), { type: 'object', properties: { id: { type: 'string' } } });
+      return Other.filter({ nmae: 'Alice' }).run()
+        .then(result => assert.deepEqual(result, []));
+    });
+  });
+
+  describe('filter operators', function() {
+    afterEach(() => test.cleanTables());
+    beforeEach(() => {
+      test.Model = test.thinkagain.createModel(util.s8(), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          age: { type: 'integer' },
+          tag: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          address: { type: 'object', properties: { city: { type: 'string' } } }
+        }
+      }, { indexes: [ 'age', 'tag', 'tags', 'address' ] });
+
+      return test.Model.save([
+        { id: 'a', name: 'Alice', age: 17, tag: 'x', tags: [ 'x', 'y' ], address: { city: 'Paris' } },
+        { id: 'b', name: 'Bob', age: 18, tag: 'y', tags: [ 'z' ], address: { city: 'Lyon' } },
+        { id: 'c', name: 'anna', age: 65, tag: 'z' },
+        { id: 'd', name: 'Dan' }
+      ]);
+    });
+
+    let ids = query => query.run().then(result => result.map(doc => doc.id).sort());
+
+    it('should compare the fields', function() {
+      return Promise.all([
+        ids(test.Model.filter({ age: { $gte: 18, $lt: 65 } })),
+        ids(test.Model.filter({ age: { $gt: 17 }, name: { $ne: 'Bob' } })),
+        ids(test.Model.filter({ age: { $lte: 17 } })),
+        ids(test.Model.filter({ name: { $eq: 'Dan' } }))
+      ])
+      .then(result => assert.deepEqual(result, [ [ 'b' ], [ 'c' ], [ 'a' ], [ 'd' ] ]));
+    });
+
+    it('should match the values of a list, and regular expressions', function() {
+      return Promise.all([
+        ids(test.Model.filter({ tag: { $in: [ 'x', 'z', 'w' ] } })),
+        ids(test.Model.filter({ tag: { $nin: [ 'x', 'z' ] } })),
+        ids(test.Model.filter({ name: { $regex: '^A' } })),
+        ids(test.Model.filter({ name: { $regex: '^a', $options: 'i' } })),
+        ids(test.Model.filter({ name: { $regex: /^A/i } }))
+      ])
+      .then(result => assert.deepEqual(result, [ [ 'a', 'c' ], [ 'b', 'd' ], [ 'a' ], [ 'a', 'c' ], [ 'a', 'c' ] ]));
+    });
+
+    it('should match the elements of the arrays', function() {
+      assert.equal(test.Model.filter({ tags: { $in: [ 'y' ] } }).toString().match(/index: "tags"/), null);
+      return Promise.all([
+        ids(test.Model.filter({ tags: { $in: [ 'y', 'w' ] } })),
+        ids(test.Model.filter({ tags: { $nin: [ 'z' ] } })),
+        ids(test.Model.filter({ tags: { $in: [ [ 'z' ] ] } })),
+        ids(test.Model.filter({ tags: { $not: { $in: [ 'x', 'z' ] } } }))
+      ])
+      .then(result => assert.deepEqual(result, [ [ 'a' ], [ 'a', 'c', 'd' ], [ 'b' ], [ 'c', 'd' ] ]));
+    });
+
+    it('should check the nested fields, and combine the conditions', function() {
+      return Promise.all([
+        ids(test.Model.filter({ address: { city: { $in: [ 'Lyon' ] } } })),
+        ids(test.Model.filter({ address: { $exists: false } })),
+        ids(test.Model.filter({ age: { $not: { $gte: 18 } } })),
+        ids(test.Model.filter({ $or: [ { age: { $gt: 60 } }, { address: { city: 'Paris' } } ] })),
+        ids(test.Model.orderBy('id').filter({ $and: [ { tag: { $exists: true } }, { name: { $regex: '^[AB]' } } ] }))
+      ])
+      .then(result => assert.deepEqual(result, [ [ 'b' ], [ 'c', 'd' ], [ 'a', 'd' ], [ 'a', 'c' ], [ 'a', 'b' ] ]));
+    });
+
+    it('should reject the unknown operators', function() {
+      assert.throws(() => test.Model.filter({ age: { $between: [ 1, 2 ] } }), error => {
+        return (error instanceof Errors.ThinkAgainError) && (error.message === 'Unknown operator `$between` in `filter`.');
+      });
+      assert.throws(() => test.Model.filter({ tag: { $in: 'x' } }), error => {
+        return error.message === 'The value of `$in` in `filter` must be an array.';
+      });
+    });
+
+    it('should use the indexes', function() {
+      let table = test.Model.getTableName();
+      assert.equal(test.Model.filter({ tag: { $in: [ 'x', 'z', 'x' ] } }).toString().replace(/\s/g, ''),
+        'r.table("' + table + '").getAll(r.args(["x","z"]),{index:"tag"}).filter({})');
+      assert.equal(test.Model.filter({ age: { $gte: 18, $lt: 65 } }).toString().replace(/\s/g, ''),
+        'r.table("' + table + '").between(18,65,{index:"age",leftBound:"closed",rightBound:"open"}).filter({})');
+      assert(test.Model.filter({ age: { $gt: 18 }, tag: 'x' }).toString().match(/getAll\("x", {\s*index: "tag"/));
+      assert.equal(test.Model.filter({ tag: { $regex: 'x' } }).toString().match(/index: "tag"/), null);
+      assert.equal(test.Model.filter({ address: { city: { $in: [ 'Lyon' ] } } }).toString().match(/index: "address"/), null);
+      return Promise.all([
+        ids(test.Model.filter({ tag: { $in: [ 'x', 'z', 'x' ] } })),
+        ids(test.Model.filter({ age: { $lte: 18 }, name: { $regex: 'o' } }))
+      ])
+      .then(result => assert.deepEqual(result, [ [ 'a', 'c' ], [ 'b' ] ]));
+    });
+  });
+
   describe('optimizer', function() {
     afterEach(() => test.cleanTables());
 
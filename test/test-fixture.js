@@ -22,6 +22,10 @@ class TestFixture {
       silent: true
     });
 
+    if (config.memory) {
+      thinkagainOptions.r = thinkagain.memory({ db: this.dbName });
+    }
+
     this.thinkagain = thinkagain(thinkagainOptions);
     this.r = this.thinkagain.r;
     return this.thinkagain.dbReady();